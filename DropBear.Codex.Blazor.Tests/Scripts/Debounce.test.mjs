@@ -0,0 +1,118 @@
+// Tests for the debounce and throttle timing shared through createDebounced. Run with: node --test DropBear.Codex.Blazor.Tests/Scripts/
+
+import {afterEach, beforeEach, describe, it, mock} from 'node:test';
+import assert from 'node:assert/strict';
+import {importModule} from './browserGlobals.mjs';
+
+const {DropBearUtils} = await importModule('DropBearUtils');
+
+describe('DropBearUtils.debounce', () => {
+  let calls;
+  const record = (...args) => {
+    calls.push(args);
+    return args[0];
+  };
+
+  beforeEach(() => {
+    calls = [];
+    mock.timers.enable({apis: ['setTimeout', 'Date'], now: 1_000_000});
+  });
+  afterEach(() => mock.timers.reset());
+
+  it('runs once on the trailing edge with the latest arguments', () => {
+    const debounced = DropBearUtils.debounce(record, 100);
+    debounced(1);
+    mock.timers.tick(50);
+    debounced(2);
+    mock.timers.tick(99);
+    assert.deepEqual(calls, []);
+
+    mock.timers.tick(1);
+    assert.deepEqual(calls, [[2]]);
+    assert.equal(debounced.pending(), false);
+  });
+
+  it('runs on the leading edge only when asked to', () => {
+    const debounced = DropBearUtils.debounce(record, 100, {leading: true, trailing: false});
+    assert.equal(debounced(1), 1);
+    debounced(2);
+    mock.timers.tick(100);
+    assert.deepEqual(calls, [[1]]);
+
+    debounced(3);
+    assert.deepEqual(calls, [[1], [3]]);
+  });
+
+  it('runs both edges of a burst, but a single call only once', () => {
+    const debounced = DropBearUtils.debounce(record, 100, {leading: true});
+    debounced(1);
+    mock.timers.tick(100);
+    assert.deepEqual(calls, [[1]]);
+
+    debounced(2);
+    debounced(3);
+    mock.timers.tick(100);
+    assert.deepEqual(calls, [[1], [2], [3]]);
+  });
+
+  it('runs at least once per maxWait while calls keep arriving', () => {
+    const debounced = DropBearUtils.debounce(record, 100, {maxWait: 250});
+    for (let i = 1; i <= 6; i++) {
+      debounced(i);
+      mock.timers.tick(50);
+    }
+    assert.deepEqual(calls, [[5]]);
+
+    mock.timers.tick(100);
+    assert.deepEqual(calls, [[5], [6]]);
+  });
+
+  it('drops the pending call on cancel', () => {
+    const debounced = DropBearUtils.debounce(record, 100);
+    debounced(1);
+    debounced.cancel();
+    mock.timers.tick(200);
+
+    assert.deepEqual(calls, []);
+    assert.equal(debounced.pending(), false);
+  });
+
+  it('runs the pending call immediately on flush', () => {
+    const debounced = DropBearUtils.debounce(record, 100);
+    debounced(1);
+
+    assert.equal(debounced.flush(), 1);
+    assert.deepEqual(calls, [[1]]);
+    mock.timers.tick(200);
+    assert.deepEqual(calls, [[1]]);
+    assert.equal(debounced.flush(), 1, 'flush without a pending call returns the last result');
+  });
+
+  it('ignores calls once its signal is aborted', () => {
+    const controller = new AbortController();
+    const debounced = DropBearUtils.debounce(record, 100, {signal: controller.signal});
+    debounced(1);
+    controller.abort();
+    debounced(2);
+    mock.timers.tick(200);
+
+    assert.deepEqual(calls, []);
+  });
+});
+
+describe('DropBearUtils.throttle', () => {
+  beforeEach(() => mock.timers.enable({apis: ['setTimeout', 'Date'], now: 1_000_000}));
+  afterEach(() => mock.timers.reset());
+
+  it('runs the first call at once and the latest call of each window at its end', () => {
+    const calls = [];
+    const throttled = DropBearUtils.throttle(value => calls.push(value), 100);
+    throttled(1);
+    throttled(2);
+    throttled(3);
+    assert.deepEqual(calls, [1]);
+
+    mock.timers.tick(100);
+    assert.deepEqual(calls, [1, 3]);
+  });
+});
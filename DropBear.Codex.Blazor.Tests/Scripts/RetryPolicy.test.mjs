@@ -0,0 +1,81 @@
+// Tests for RetryPolicy and the shared .NET circuit breaker. Run with: node --test DropBear.Codex.Blazor.Tests/Scripts/
+
+import {after, beforeEach, describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {importModule} from './browserGlobals.mjs';
+
+const {CircuitBreakerRegistry, RetryPolicy} = await importModule('DropBearCore');
+
+const dotNetError = () => Object.assign(new Error('System.InvalidOperationException: Menu item not found'), {name: 'Error'});
+const disconnectError = () => new Error('Invocation canceled due to the underlying connection being closed.');
+
+describe('RetryPolicy with the shared .NET circuit breaker', () => {
+  const breaker = CircuitBreakerRegistry.get(CircuitBreakerRegistry.DOTNET);
+  const policy = new RetryPolicy({baseDelay: 1, maxDelay: 1, circuitBreaker: breaker});
+
+  beforeEach(() => breaker.reset());
+  after(() => breaker.reset());
+
+  it('records one breaker failure for a call that fails on every attempt', async () => {
+    let attempts = 0;
+    await assert.rejects(policy.execute(() => {
+      attempts++;
+      throw disconnectError();
+    }));
+
+    assert.equal(attempts, 3);
+    assert.equal(breaker.failures, 1);
+    assert.equal(breaker.getState(), 'closed');
+  });
+
+  it('leaves other calls through the breaker working after one call fails', async () => {
+    await assert.rejects(policy.execute(() => Promise.reject(disconnectError())));
+
+    assert.equal(await policy.execute(() => 'visible'), 'visible');
+  });
+
+  it('does not retry exceptions thrown by .NET', async () => {
+    let attempts = 0;
+    await assert.rejects(policy.execute(() => {
+      attempts++;
+      throw dotNetError();
+    }), /Menu item not found/);
+
+    assert.equal(attempts, 1);
+    assert.equal(breaker.failures, 0);
+  });
+
+  it('stays closed however many exceptions .NET throws', async () => {
+    for (let i = 0; i < breaker.failureThreshold + 1; i++) {
+      await assert.rejects(policy.execute(() => Promise.reject(dotNetError())));
+    }
+
+    assert.equal(breaker.getState(), 'closed');
+  });
+
+  it('does not count a call aborted while waiting to retry as a breaker failure', async () => {
+    const controller = new AbortController();
+    const pending = policy.execute(() => Promise.reject(disconnectError()), {
+      signal: controller.signal,
+      onRetry: () => controller.abort()
+    });
+
+    await assert.rejects(pending, {name: 'AbortError'});
+    assert.equal(breaker.failures, 0);
+  });
+});
+
+describe('RetryPolicy.isTransient', () => {
+  it('accepts timeouts, network failures and lost connections', () => {
+    assert.ok(RetryPolicy.isTransient(Object.assign(new Error('expired'), {code: 'CALL_EXPIRED'})));
+    assert.ok(RetryPolicy.isTransient(new TypeError('Failed to fetch')));
+    assert.ok(RetryPolicy.isTransient(disconnectError()));
+  });
+
+  it('rejects aborts, open circuits and other errors', () => {
+    assert.ok(!RetryPolicy.isTransient(new DOMException('Aborted', 'AbortError')));
+    assert.ok(!RetryPolicy.isTransient(Object.assign(new Error('open'), {code: 'CIRCUIT_OPEN'})));
+    assert.ok(!RetryPolicy.isTransient(dotNetError()));
+    assert.ok(!RetryPolicy.isTransient(new TypeError('undefined is not a function')));
+  });
+});
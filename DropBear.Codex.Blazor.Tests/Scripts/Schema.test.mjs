@@ -0,0 +1,115 @@
+// Tests for Schema and the argument validation built on it. Run with: node --test DropBear.Codex.Blazor.Tests/Scripts/
+
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {importModule} from './browserGlobals.mjs';
+
+const {DropBearUtils, Schema} = await importModule('DropBearUtils');
+
+const dotNetRef = {invokeMethodAsync: () => Promise.resolve()};
+
+describe('Schema', () => {
+  it('accepts values of the expected shape', () => {
+    const cases = [
+      [Schema.any(), undefined],
+      [Schema.id(), 'menu-1'],
+      [Schema.string({maxLength: 3, pattern: /^a/}), 'abc'],
+      [Schema.number({min: 0, max: 1}), 0.5],
+      [Schema.integer({min: 1}), 3],
+      [Schema.boolean(), false],
+      [Schema.func(), () => {}],
+      [Schema.oneOf(['object', 'data']), 'data'],
+      [Schema.union([Schema.id(), Schema.arrayOf(Schema.id())]), ['a', 'b']],
+      [Schema.arrayOf(Schema.number(), {minLength: 1}), [1, 2]],
+      [Schema.object({size: Schema.number().optional()}), {}],
+      [Schema.object({id: Schema.id()}, {exact: true}), {id: 'x'}],
+      [Schema.instanceOf(Map), new Map()],
+      [Schema.dotNetRef(), dotNetRef],
+      [Schema.string().optional(), undefined],
+      [Schema.dotNetRef().nullable(), null]
+    ];
+
+    cases.forEach(([schema, value], index) => assert.equal(schema.validate(value, 'value'), null, `case ${index}`));
+  });
+
+  it('reports the path, expectation and received type of the first mismatch', () => {
+    const schema = Schema.object({
+      items: Schema.arrayOf(Schema.object({name: Schema.id(), size: Schema.integer({min: 0})}))
+    });
+
+    assert.deepEqual(schema.validate({items: [{name: 'a', size: 1}, {name: 'b', size: -1}]}, 'options'), {
+      path: 'options.items[1].size',
+      expected: 'integer >= 0',
+      received: '-1'
+    });
+    assert.deepEqual(schema.validate({items: 'a'}, 'options'), {
+      path: 'options.items',
+      expected: 'array of object',
+      received: 'string'
+    });
+  });
+
+  it('rejects values of the wrong shape', () => {
+    const cases = [
+      [Schema.id(), ''],
+      [Schema.string({pattern: /^a/}), 'b'],
+      [Schema.number(), NaN],
+      [Schema.number(), Infinity],
+      [Schema.integer(), 1.5],
+      [Schema.number({max: 1}), 2],
+      [Schema.boolean(), 'true'],
+      [Schema.oneOf(['object', 'data']), 'blob'],
+      [Schema.union([Schema.id(), Schema.number()]), null],
+      [Schema.arrayOf(Schema.id(), {maxLength: 1}), ['a', 'b']],
+      [Schema.object(), []],
+      [Schema.object({id: Schema.id()}, {exact: true}), {id: 'x', extra: 1}],
+      [Schema.instanceOf('File'), {}],
+      [Schema.dotNetRef(), {}],
+      [Schema.string(), undefined],
+      [Schema.string().optional(), null]
+    ];
+
+    cases.forEach(([schema, value], index) => assert.notEqual(schema.validate(value, 'value'), null, `case ${index}`));
+  });
+
+  it('leaves the original schema unchanged when marking a copy optional or nullable', () => {
+    const id = Schema.id();
+    id.optional();
+    id.nullable();
+
+    assert.notEqual(id.validate(undefined, 'value'), null);
+    assert.notEqual(id.validate(null, 'value'), null);
+  });
+});
+
+describe('DropBearUtils.validateArgs', () => {
+  it('throws INVALID_ARGUMENT naming the argument and expectation', () => {
+    assert.throws(
+      () => DropBearUtils.validateArgs(['', 3], {menuId: Schema.id(), x: Schema.number()}, 'show'),
+      error => error.code === 'INVALID_ARGUMENT' && /menuId expected non-empty string/.test(error.message)
+    );
+  });
+
+  it('still accepts plain typeof names', () => {
+    assert.doesNotThrow(() => DropBearUtils.validateArgs(['id', {}], ['string', 'object'], 'create'));
+    assert.throws(() => DropBearUtils.validateArgs([1], ['string'], 'create'), {code: 'INVALID_ARGUMENT'});
+  });
+});
+
+describe('DropBearUtils.withValidation', () => {
+  it('makes async functions reject invalid arguments instead of throwing', async () => {
+    const show = DropBearUtils.withValidation('show', {id: Schema.id()}, async id => id);
+
+    const pending = show('');
+    assert.ok(pending instanceof Promise);
+    await assert.rejects(pending, {code: 'INVALID_ARGUMENT'});
+    assert.equal(await show('alert'), 'alert');
+  });
+
+  it('makes sync functions throw invalid arguments', () => {
+    const capture = DropBearUtils.withValidation('capture', {id: Schema.id()}, id => id);
+
+    assert.throws(() => capture(''), {code: 'INVALID_ARGUMENT'});
+    assert.equal(capture('x'), 'x');
+  });
+});
@@ -0,0 +1,41 @@
+// Tests for the incremental SHA-256 behind whole-file upload hashes. Run with: node --test DropBear.Codex.Blazor.Tests/Scripts/
+
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {createHash, randomBytes} from 'node:crypto';
+import {importModule} from './browserGlobals.mjs';
+
+const {StreamingSha256} = await importModule('DropBearFileUploader');
+
+const expected = data => createHash('sha256').update(data).digest('hex');
+const hex = digest => Buffer.from(digest).toString('hex');
+
+const hashInSlices = (data, sliceSize) => {
+  const hasher = new StreamingSha256();
+  for (let offset = 0; offset < data.length; offset += sliceSize) {
+    hasher.update(data.subarray(offset, offset + sliceSize));
+  }
+  return hex(hasher.digest());
+};
+
+describe('StreamingSha256', () => {
+  it('hashes the empty input', () => {
+    assert.equal(hex(new StreamingSha256().digest()), expected(Buffer.alloc(0)));
+  });
+
+  it('matches node:crypto around the padding boundaries', () => {
+    for (const length of [1, 55, 56, 63, 64, 65, 119, 120, 128]) {
+      const data = randomBytes(length);
+      const hasher = new StreamingSha256();
+      hasher.update(new Uint8Array(data));
+      assert.equal(hex(hasher.digest()), expected(data), `length ${length}`);
+    }
+  });
+
+  it('gives the same digest however the input is sliced', () => {
+    const data = new Uint8Array(randomBytes(10_000));
+    for (const sliceSize of [1, 7, 64, 100, 4096, data.length]) {
+      assert.equal(hashInSlices(data, sliceSize), expected(data), `slices of ${sliceSize}`);
+    }
+  });
+});
@@ -0,0 +1,113 @@
+// Round-trip tests for the streaming ZIP writer behind downloadAsZip. Run with: node --test DropBear.Codex.Blazor.Tests/Scripts/
+
+import {describe, it} from 'node:test';
+import assert from 'node:assert/strict';
+import {inflateRawSync} from 'node:zlib';
+import {importModule} from './browserGlobals.mjs';
+
+const {createZipStream} = await importModule('DropBearFileDownloader');
+
+const SIGNATURES = {local: 0x04034b50, descriptor: 0x08074b50, central: 0x02014b50, end: 0x06054b50};
+
+/**
+ * Write entries through createZipStream and collect the archive
+ * @param {Array<Object>} entries - Archive entries with string or Uint8Array content
+ * @returns {Promise<Buffer>}
+ */
+async function writeZip(entries) {
+  const stream = createZipStream(entries, {openEntry: content => new Blob([content]).stream()});
+  return Buffer.from(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Read an archive back through its central directory, checking each local header and data descriptor
+ * @param {Buffer} zip - The archive
+ * @returns {Array<{name: string, method: number, crc: number, data: Buffer}>}
+ */
+function readZip(zip) {
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), SIGNATURES.end);
+  const count = zip.readUInt16LE(end + 10);
+  const directorySize = zip.readUInt32LE(end + 12);
+  const directoryOffset = zip.readUInt32LE(end + 16);
+  assert.equal(directoryOffset + directorySize, end, 'central directory ends where the end record starts');
+
+  const entries = [];
+  let position = directoryOffset;
+  for (let i = 0; i < count; i++) {
+    assert.equal(zip.readUInt32LE(position), SIGNATURES.central);
+    const method = zip.readUInt16LE(position + 10);
+    const crc = zip.readUInt32LE(position + 16);
+    const compressedSize = zip.readUInt32LE(position + 20);
+    const size = zip.readUInt32LE(position + 24);
+    const nameLength = zip.readUInt16LE(position + 28);
+    const headerOffset = zip.readUInt32LE(position + 42);
+    const name = zip.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength;
+
+    assert.equal(zip.readUInt32LE(headerOffset), SIGNATURES.local, `local header of ${name}`);
+    assert.equal(zip.readUInt16LE(headerOffset + 6) & 0x08, 0x08, 'sizes are deferred to the data descriptor');
+    assert.equal(zip.toString('utf8', headerOffset + 30, headerOffset + 30 + nameLength), name);
+
+    const dataStart = headerOffset + 30 + nameLength;
+    const descriptor = dataStart + compressedSize;
+    assert.equal(zip.readUInt32LE(descriptor), SIGNATURES.descriptor, `data descriptor of ${name}`);
+    assert.equal(zip.readUInt32LE(descriptor + 4), crc);
+    assert.equal(zip.readUInt32LE(descriptor + 8), compressedSize);
+    assert.equal(zip.readUInt32LE(descriptor + 12), size);
+
+    const raw = zip.subarray(dataStart, descriptor);
+    const data = method === 8 ? inflateRawSync(raw) : Buffer.from(raw);
+    assert.equal(data.length, size);
+    entries.push({name, method, crc, data});
+  }
+
+  assert.equal(position, end);
+  return entries;
+}
+
+describe('createZipStream', () => {
+  it('round-trips stored and deflated entries', async () => {
+    const binary = new Uint8Array(70_000).map((_, i) => (i * 31) % 251);
+    const text = 'DropBear '.repeat(2000);
+    const entries = readZip(await writeZip([
+      {name: 'docs/readme.txt', content: text},
+      {name: 'data.bin', content: binary, compress: false},
+      {name: 'empty.txt', content: ''}
+    ]));
+
+    assert.deepEqual(entries.map(entry => entry.name), ['docs/readme.txt', 'data.bin', 'empty.txt']);
+    assert.equal(entries[0].data.toString(), text);
+    assert.equal(entries[0].method, 8);
+    assert.deepEqual(new Uint8Array(entries[1].data), binary);
+    assert.equal(entries[1].method, 0);
+    assert.equal(entries[2].data.length, 0);
+  });
+
+  it('writes the standard CRC-32 of each entry', async () => {
+    const [check, empty] = readZip(await writeZip([
+      {name: 'check.txt', content: '123456789'},
+      {name: 'empty.txt', content: ''}
+    ]));
+
+    assert.equal(check.crc, 0xcbf43926);
+    assert.equal(empty.crc, 0);
+  });
+
+  it('encodes names as UTF-8', async () => {
+    const [entry] = readZip(await writeZip([{name: 'données/été.txt', content: 'x'}]));
+
+    assert.equal(entry.name, 'données/été.txt');
+  });
+
+  it('fails the stream once aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const stream = createZipStream([{name: 'a.txt', content: 'a'}], {
+      openEntry: content => new Blob([content]).stream(),
+      signal: controller.signal
+    });
+
+    await assert.rejects(new Response(stream).arrayBuffer(), {name: 'AbortError'});
+  });
+});
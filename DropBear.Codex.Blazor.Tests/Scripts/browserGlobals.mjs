@@ -0,0 +1,22 @@
+// Browser globals the DropBear modules touch while loading, and a loader that imports them in
+// registration order. Shared by the *.test.mjs files in this folder.
+
+globalThis.window = globalThis;
+globalThis.requestAnimationFrame = callback => setTimeout(() => callback(performance.now()), 0);
+globalThis.cancelAnimationFrame = id => clearTimeout(id);
+globalThis.Element = class Element {};
+globalThis.document = {addEventListener() {}, removeEventListener() {}, querySelector: () => null};
+console.debug = () => {};
+console.warn = () => {};
+
+const scripts = '../../DropBear.Codex.Blazor/wwwroot/js/';
+
+/**
+ * Import a module from wwwroot/js after the module manager it registers with
+ * @param {string} name - Module file name without the .module.js suffix, e.g. 'DropBearCore'
+ * @returns {Promise<Object>} The module's exports
+ */
+export async function importModule(name) {
+  await import(`${scripts}DropBearModuleManager.module.js`);
+  return import(`${scripts}${name}.module.js`);
+}
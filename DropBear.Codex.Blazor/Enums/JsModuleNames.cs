@@ -4,6 +4,7 @@ public static class JsModuleNames
 {
     public const string ContextMenu = "DropBearContextMenu";
     public const string Core = "DropBearCore";
+    public const string ErrorReporter = "DropBearErrorReporter";
     public const string FileDownloader = "DropBearFileDownloader";
     public const string FileReaderHelpers = "DropBearFileReaderHelpers";
     public const string FileUploader = "DropBearFileUploader";
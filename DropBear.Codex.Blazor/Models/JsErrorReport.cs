@@ -0,0 +1,99 @@
+#region
+
+using System.Text.Json;
+
+#endregion
+
+namespace DropBear.Codex.Blazor.Models;
+
+/// <summary>
+///     An error captured in the browser by the DropBearErrorReporter module.
+/// </summary>
+public sealed class JsErrorReport
+{
+    /// <summary>
+    ///     Gets or sets the unique report ID.
+    /// </summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>
+    ///     Gets or sets where the error was caught: "onerror", "unhandledrejection", "createError" or "manual".
+    /// </summary>
+    public string Source { get; set; } = string.Empty;
+
+    /// <summary>
+    ///     Gets or sets the JavaScript error name, or "NonError" for rejections with a non-error reason.
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    ///     Gets or sets the error message.
+    /// </summary>
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    ///     Gets or sets the DropBear error code, if any.
+    /// </summary>
+    public string? Code { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the component that raised the error, if known.
+    /// </summary>
+    public string? Component { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the JavaScript stack trace.
+    /// </summary>
+    public string? Stack { get; set; }
+
+    /// <summary>
+    ///     Gets or sets additional error details.
+    /// </summary>
+    public JsonElement? Details { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the page URL at the time of the error.
+    /// </summary>
+    public string? Url { get; set; }
+
+    /// <summary>
+    ///     Gets or sets when the error was captured, in Unix milliseconds.
+    /// </summary>
+    public long Timestamp { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the fingerprint used to deduplicate repeats of this error.
+    /// </summary>
+    public string Fingerprint { get; set; } = string.Empty;
+
+    /// <summary>
+    ///     Gets or sets how many times the error occurred since it was last reported.
+    /// </summary>
+    public int Occurrences { get; set; } = 1;
+
+    /// <summary>
+    ///     Gets or sets the recent events and interop calls that preceded the error.
+    /// </summary>
+    public IReadOnlyList<JsBreadcrumb> Breadcrumbs { get; set; } = [];
+}
+
+/// <summary>
+///     A recent event or interop call attached to a <see cref="JsErrorReport" />.
+/// </summary>
+public sealed class JsBreadcrumb
+{
+    /// <summary>
+    ///     Gets or sets when the breadcrumb was recorded, in Unix milliseconds.
+    /// </summary>
+    public long Timestamp { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the category, e.g. "event" or "interop".
+    /// </summary>
+    public string Category { get; set; } = string.Empty;
+
+    /// <summary>
+    ///     Gets or sets what happened.
+    /// </summary>
+    public string Message { get; set; } = string.Empty;
+}
@@ -0,0 +1,43 @@
+#region
+
+using System.Text.Json;
+
+#endregion
+
+namespace DropBear.Codex.Blazor.Models;
+
+/// <summary>
+///     A structured log record forwarded from a DropBearUtils logger in the browser.
+/// </summary>
+public sealed class JsLogRecord
+{
+    /// <summary>
+    ///     Gets or sets when the record was written, in Unix milliseconds.
+    /// </summary>
+    public long Timestamp { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the logger namespace, usually the JavaScript module name.
+    /// </summary>
+    public string Namespace { get; set; } = string.Empty;
+
+    /// <summary>
+    ///     Gets or sets the level: "debug", "info", "warn" or "error".
+    /// </summary>
+    public string Level { get; set; } = string.Empty;
+
+    /// <summary>
+    ///     Gets or sets the log message.
+    /// </summary>
+    public string Message { get; set; } = string.Empty;
+
+    /// <summary>
+    ///     Gets or sets the additional arguments passed to the logger, serialized as JSON.
+    /// </summary>
+    public JsonElement? Data { get; set; }
+
+    /// <summary>
+    ///     Gets or sets the correlation ID attached by the logger, if any.
+    /// </summary>
+    public string? CorrelationId { get; set; }
+}
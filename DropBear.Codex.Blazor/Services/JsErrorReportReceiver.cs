@@ -0,0 +1,109 @@
+#region
+
+using DropBear.Codex.Blazor.Models;
+using Microsoft.JSInterop;
+using Serilog;
+
+#endregion
+
+namespace DropBear.Codex.Blazor.Services;
+
+/// <summary>
+///     Receives error reports from the DropBearErrorReporter module and writes them to Serilog.
+///     The module must be initialized before <see cref="StartAsync" /> is called.
+/// </summary>
+public sealed class JsErrorReportReceiver : IAsyncDisposable
+{
+    #region Fields
+
+    private readonly IJSRuntime _jsRuntime;
+    private readonly ILogger _logger;
+
+    private DotNetObjectReference<JsErrorReportReceiver>? _dotNetRef;
+
+    #endregion
+
+    #region Constructors
+
+    /// <summary>
+    ///     Initializes a new instance of the <see cref="JsErrorReportReceiver" /> class.
+    /// </summary>
+    /// <param name="jsRuntime">The JavaScript runtime.</param>
+    /// <param name="logger">The logger that reports are written to.</param>
+    /// <exception cref="ArgumentNullException">Thrown if either parameter is null.</exception>
+    public JsErrorReportReceiver(IJSRuntime jsRuntime, ILogger logger)
+    {
+        _jsRuntime = jsRuntime ?? throw new ArgumentNullException(nameof(jsRuntime));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    #endregion
+
+    #region Public Methods
+
+    /// <summary>
+    ///     Starts receiving error reports, including any queued while no receiver was attached.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public async ValueTask StartAsync(CancellationToken cancellationToken = default)
+    {
+        _dotNetRef ??= DotNetObjectReference.Create(this);
+        await _jsRuntime.InvokeVoidAsync(
+            "DropBearErrorReporter.setDotNetReference",
+            cancellationToken,
+            _dotNetRef).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    ///     Called from JavaScript with a batch of error reports.
+    /// </summary>
+    /// <param name="reports">The reports, oldest first.</param>
+    [JSInvokable]
+    public void OnErrorReports(IReadOnlyList<JsErrorReport> reports)
+    {
+        foreach (var report in reports)
+        {
+            _logger
+                .ForContext("JsErrorId", report.Id)
+                .ForContext("JsStack", report.Stack)
+                .ForContext("JsDetails", report.Details?.GetRawText())
+                .ForContext("JsUrl", report.Url)
+                .ForContext("JsTimestamp", DateTimeOffset.FromUnixTimeMilliseconds(report.Timestamp))
+                .ForContext("JsFingerprint", report.Fingerprint)
+                .ForContext("JsBreadcrumbs", report.Breadcrumbs, true)
+                .Error(
+                    "Browser error from {JsSource} in {JsComponent}: {JsErrorName} {JsErrorCode} {JsMessage} (x{Occurrences})",
+                    report.Source,
+                    report.Component ?? "unknown",
+                    report.Name,
+                    report.Code,
+                    report.Message,
+                    report.Occurrences);
+        }
+    }
+
+    /// <inheritdoc />
+    public async ValueTask DisposeAsync()
+    {
+        if (_dotNetRef is null)
+        {
+            return;
+        }
+
+        try
+        {
+            // Reports captured from now on stay queued in browser storage
+            await _jsRuntime.InvokeVoidAsync("DropBearErrorReporter.setDotNetReference", (object?)null)
+                .ConfigureAwait(false);
+        }
+        catch (Exception ex) when (ex is JSDisconnectedException or JSException or TaskCanceledException)
+        {
+            // The circuit or the module is gone
+        }
+
+        _dotNetRef.Dispose();
+        _dotNetRef = null;
+    }
+
+    #endregion
+}
@@ -2,6 +2,7 @@
 
 using System.Collections.Concurrent;
 using System.Runtime.CompilerServices;
+using System.Text.Json;
 using DropBear.Codex.Blazor.Components.Bases;
 using DropBear.Codex.Blazor.Errors;
 using DropBear.Codex.Blazor.Extensions;
@@ -135,6 +136,11 @@ public sealed class JsInitializationService : IJsInitializationService
     /// </summary>
     private const int RetryDelayMs = 100;
 
+    /// <summary>
+    ///     Maximum time to wait for the dependency graph when diagnosing a timeout, in seconds.
+    /// </summary>
+    private const int DiagnosticsTimeoutSeconds = 2;
+
     /// <summary>
     ///     JavaScript runtime used to interact with the browser.
     /// </summary>
@@ -255,6 +261,7 @@ public sealed class JsInitializationService : IJsInitializationService
 
                 if (completedTask == timeoutTask)
                 {
+                    await LogDependencyGraphAsync(moduleName);
                     throw new TimeoutException(
                         $"JavaScript module {moduleName} initialization timed out after {timeout.Value.TotalSeconds:F1}s"
                     );
@@ -271,6 +278,7 @@ public sealed class JsInitializationService : IJsInitializationService
         catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
         {
             // This is a timeout converted to cancellation
+            await LogDependencyGraphAsync(moduleName);
             throw new TimeoutException(
                 $"JavaScript module {moduleName} initialization timed out after {timeout.Value.TotalSeconds:F1}s"
             );
@@ -468,6 +476,33 @@ public sealed class JsInitializationService : IJsInitializationService
         }
     }
 
+    /// <summary>
+    ///     Logs the JavaScript module dependency graph to help diagnose a module that failed to initialize in time.
+    ///     Cycles, unregistered dependencies and modules stuck initializing all show up in the graph.
+    /// </summary>
+    /// <param name="moduleName">The name of the module that timed out.</param>
+    private async Task LogDependencyGraphAsync(string moduleName)
+    {
+        try
+        {
+            using var cts = new CancellationTokenSource(TimeSpan.FromSeconds(DiagnosticsTimeoutSeconds));
+            var graph = await _jsRuntime.InvokeAsync<JsonElement>(
+                "DropBearModuleManager.getDependencyGraph",
+                cts.Token
+            );
+
+            _logger.Warning(
+                "Module {Module} initialization timed out. Dependency graph: {DependencyGraph}",
+                moduleName,
+                graph.GetRawText()
+            );
+        }
+        catch (Exception ex) when (ex is JSException or OperationCanceledException or InvalidOperationException)
+        {
+            _logger.Debug(ex, "Could not retrieve dependency graph for {Module}", moduleName);
+        }
+    }
+
     /// <summary>
     ///     Waits for a JavaScript module to initialize, attempting to invoke its initialize method if needed.
     /// </summary>
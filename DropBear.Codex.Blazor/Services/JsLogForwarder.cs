@@ -0,0 +1,121 @@
+#region
+
+using DropBear.Codex.Blazor.Models;
+using Microsoft.JSInterop;
+using Serilog;
+using Serilog.Events;
+
+#endregion
+
+namespace DropBear.Codex.Blazor.Services;
+
+/// <summary>
+///     Receives batched log records from DropBearUtils loggers in the browser and writes them to Serilog,
+///     so JavaScript warnings and errors appear alongside server-side logs.
+/// </summary>
+public sealed class JsLogForwarder : IAsyncDisposable
+{
+    #region Fields
+
+    private readonly IJSRuntime _jsRuntime;
+    private readonly ILogger _logger;
+
+    private DotNetObjectReference<JsLogForwarder>? _dotNetRef;
+    private string? _sinkId;
+
+    #endregion
+
+    #region Constructors
+
+    /// <summary>
+    ///     Initializes a new instance of the <see cref="JsLogForwarder" /> class.
+    /// </summary>
+    /// <param name="jsRuntime">The JavaScript runtime.</param>
+    /// <param name="logger">The logger that browser records are written to.</param>
+    /// <exception cref="ArgumentNullException">Thrown if either parameter is null.</exception>
+    public JsLogForwarder(IJSRuntime jsRuntime, ILogger logger)
+    {
+        _jsRuntime = jsRuntime ?? throw new ArgumentNullException(nameof(jsRuntime));
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    #endregion
+
+    #region Public Methods
+
+    /// <summary>
+    ///     Starts forwarding browser log records at or above <paramref name="minimumLevel" />.
+    /// </summary>
+    /// <param name="minimumLevel">"debug", "info", "warn" or "error".</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public async ValueTask StartAsync(string minimumLevel = "warn", CancellationToken cancellationToken = default)
+    {
+        if (_sinkId is not null)
+        {
+            return;
+        }
+
+        _dotNetRef ??= DotNetObjectReference.Create(this);
+        _sinkId = await _jsRuntime.InvokeAsync<string>(
+            "DropBearUtils.addDotNetLogSink",
+            cancellationToken,
+            _dotNetRef,
+            new { level = minimumLevel }).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    ///     Called from JavaScript with a batch of log records.
+    /// </summary>
+    /// <param name="records">The records, oldest first.</param>
+    [JSInvokable]
+    public void OnLogBatch(IReadOnlyList<JsLogRecord> records)
+    {
+        foreach (var record in records)
+        {
+            _logger
+                .ForContext("JsNamespace", record.Namespace)
+                .ForContext("JsTimestamp", DateTimeOffset.FromUnixTimeMilliseconds(record.Timestamp))
+                .ForContext("CorrelationId", record.CorrelationId)
+                .ForContext("JsData", record.Data?.GetRawText())
+                .Write(MapLevel(record.Level), "[{JsNamespace}] {JsMessage}", record.Namespace, record.Message);
+        }
+    }
+
+    /// <inheritdoc />
+    public async ValueTask DisposeAsync()
+    {
+        if (_sinkId is not null)
+        {
+            try
+            {
+                await _jsRuntime.InvokeAsync<bool>("DropBearUtils.removeLogSink", _sinkId).ConfigureAwait(false);
+            }
+            catch (Exception ex) when (ex is JSDisconnectedException or TaskCanceledException)
+            {
+                // The circuit is gone, and the sink with it
+            }
+
+            _sinkId = null;
+        }
+
+        _dotNetRef?.Dispose();
+        _dotNetRef = null;
+    }
+
+    #endregion
+
+    #region Private Methods
+
+    private static LogEventLevel MapLevel(string level)
+    {
+        return level switch
+        {
+            "debug" => LogEventLevel.Debug,
+            "info" => LogEventLevel.Information,
+            "warn" => LogEventLevel.Warning,
+            _ => LogEventLevel.Error
+        };
+    }
+
+    #endregion
+}
@@ -3,16 +3,32 @@
  * @module context-menu
  */
 
-import {CircuitBreaker, DOMOperationQueue, EventEmitter} from './DropBearCore.module.js';
-import {DropBearUtils} from './DropBearUtils.module.js';
+import {CircuitBreakerRegistry, DOMOperationQueue, EventEmitter, RetryPolicy} from './DropBearCore.module.js';
+import {DropBearUtils, Schema} from './DropBearUtils.module.js';
 
 const logger = DropBearUtils.createLogger('DropBearContextMenu');
-const circuitBreaker = new CircuitBreaker({failureThreshold: 3, resetTimeout: 30000});
+const circuitBreaker = CircuitBreakerRegistry.get(CircuitBreakerRegistry.DOTNET);
+const retryPolicy = new RetryPolicy({circuitBreaker});
 let isInitialized = false;
 const moduleName = 'DropBearContextMenu';
+const moduleVersion = '1.0.0';
+
+/** @type {Object} Menu keyboard interaction constants */
+const MENU_CONFIG = {
+  ITEM_SELECTOR: ':scope > .context-menu-item', // Items of one menu or submenu, in focus order
+  MENU_SELECTOR: '.context-menu, .submenu',
+  // Trigger roles that may carry aria-haspopup and aria-expanded
+  POPUP_TRIGGER_ROLES: ['button', 'combobox', 'gridcell', 'link', 'menuitem', 'row', 'tab', 'treeitem'],
+  TYPEAHEAD_RESET: 500 // Milliseconds without a keystroke before typeahead starts over
+};
 
 /**
  * Manager for context menu behavior and positioning.
+ *
+ * The trigger is the element just before the menu container. It is made focusable and opens the
+ * menu from the ContextMenu key or Shift+F10. It only gets aria-haspopup, aria-controls and
+ * aria-expanded when its markup gives it a role that allows them (see POPUP_TRIGGER_ROLES), e.g.
+ * role="button" on a trigger wrapping non-interactive content; a role-less wrapper is left without.
  * @implements {IContextMenuManager}
  */
 class ContextMenuManager {
@@ -43,6 +59,36 @@ class ContextMenuManager {
     /** @type {Function|null} */
     this.keyboardHandler = null;
 
+    /** @type {Function|null} Opens the menu from the ContextMenu key or Shift+F10 */
+    this.triggerKeyHandler = null;
+
+    /** @type {HTMLElement|null} Element the menu is attached to */
+    this.triggerElement = null;
+
+    /** @type {boolean} Whether the trigger's role allows popup state attributes */
+    this.triggerHasPopupRole = false;
+
+    /** @type {boolean} Whether the trigger was made focusable by this manager */
+    this.addedTriggerTabIndex = false;
+
+    /** @type {HTMLElement|null} Element focused again when the menu closes */
+    this.returnFocusTarget = null;
+
+    /** @type {MutationObserver|null} Applies menu semantics to items as Blazor renders them */
+    this.itemObserver = null;
+
+    /** @type {boolean} Whether to focus the first item once it is rendered */
+    this.focusOnRender = false;
+
+    /** @type {boolean} Whether the open menu's items have been rendered */
+    this.menuRendered = false;
+
+    /** @type {string} */
+    this.typeaheadBuffer = '';
+
+    /** @type {number|null} */
+    this.typeaheadTimer = null;
+
     /** @type {{x: number, y: number}} */
     this.lastPosition = {x: 0, y: 0};
 
@@ -81,8 +127,23 @@ class ContextMenuManager {
   _setupEventListeners() {
     // Context menu handler
     this.handleContextMenu = this._handleContextMenu.bind(this);
-    const triggerElement = document.querySelector(`[id='${this.id}']`).previousElementSibling;
-    triggerElement.addEventListener('contextmenu', this.handleContextMenu);
+    this.triggerElement = document.querySelector(`[id='${this.id}']`).previousElementSibling;
+    this.triggerElement.addEventListener('contextmenu', this.handleContextMenu);
+
+    // Keyboard opening, and the trigger's popup semantics
+    this.triggerKeyHandler = this._handleTriggerKeydown.bind(this);
+    this.triggerElement.addEventListener('keydown', this.triggerKeyHandler);
+    this.triggerElement.setAttribute('aria-keyshortcuts', 'Shift+F10');
+    this.triggerHasPopupRole = MENU_CONFIG.POPUP_TRIGGER_ROLES.includes(this.triggerElement.getAttribute('role'));
+    if (this.triggerHasPopupRole) {
+      this.triggerElement.setAttribute('aria-haspopup', 'menu');
+      this.triggerElement.setAttribute('aria-controls', this.id);
+      this.triggerElement.setAttribute('aria-expanded', 'false');
+    }
+    if (!this.triggerElement.hasAttribute('tabindex')) {
+      this.triggerElement.tabIndex = 0;
+      this.addedTriggerTabIndex = true;
+    }
 
     // Click outside handler
     this.clickOutsideHandler = event => {
@@ -92,19 +153,19 @@ class ContextMenuManager {
     };
 
     // Keyboard handler for accessibility
-    this.keyboardHandler = event => {
-      if (event.key === 'Escape') {
-        this.hide();
+    this.keyboardHandler = this._handleMenuKeydown.bind(this);
+
+    // Window resize handler: repositions at most once per frame. The write is queued from inside the
+    // read, so both run in the same frame, and neither runs if the menu was hidden in the meantime.
+    this.resizeHandler = DropBearUtils.rafThrottle(() => {
+      if (this.isVisible && !this.isDisposed) {
+        DOMOperationQueue.measure(() => {
+          if (this.isVisible && !this.isDisposed) {
+            this._updatePosition(this._getOptimalPosition(this.lastPosition.x, this.lastPosition.y));
+          }
+        });
       }
-    };
-
-    // Window resize handler
-    this.resizeHandler = DropBearUtils.throttle(() => {
-      if (this.isVisible) {
-        const position = this._getOptimalPosition(this.lastPosition.x, this.lastPosition.y);
-        this._updatePosition(position);
-      }
-    }, 100);
+    });
 
     window.addEventListener('resize', this.resizeHandler);
 
@@ -120,12 +181,253 @@ class ContextMenuManager {
     e.preventDefault();
     if (this.isDisposed) return;
 
-    document.addEventListener('click', this.clickOutsideHandler);
-    document.addEventListener('keydown', this.keyboardHandler);
-
     await this.show(e.clientX, e.clientY);
   }
 
+  /**
+   * Open the menu below the trigger from the ContextMenu key or Shift+F10
+   * @private
+   * @param {KeyboardEvent} e - The keydown event
+   */
+  async _handleTriggerKeydown(e) {
+    if (e.key !== 'ContextMenu' && !(e.shiftKey && e.key === 'F10')) return;
+
+    // Also stops the browser from following up with a contextmenu event
+    e.preventDefault();
+    if (this.isDisposed || this.isVisible) return;
+
+    const rect = await DOMOperationQueue.measure(() => this.triggerElement.getBoundingClientRect());
+    await this.show(rect.left, rect.bottom);
+  }
+
+  /**
+   * Handle keys while the menu is open: arrows, Home/End, Enter/Space, Escape, Tab and typeahead.
+   * Up/Down, Home/End and typeahead move within the menu or submenu holding focus; Right opens a
+   * submenu and Left or Escape closes it again.
+   * @private
+   * @param {KeyboardEvent} e - The keydown event
+   */
+  _handleMenuKeydown(e) {
+    if (!this.isVisible) return;
+
+    const menu = this._getActiveMenu();
+    const parentItem = menu?.classList.contains('submenu') ? menu.parentElement : null;
+    const items = this._getItems(menu);
+    const current = items.indexOf(document.activeElement);
+    const item = items[current];
+
+    switch (e.key) {
+      case 'Escape':
+        e.preventDefault();
+        if (parentItem) {
+          this._closeSubmenu(parentItem);
+        } else {
+          this.hide({restoreFocus: true});
+        }
+        break;
+      case 'ArrowRight':
+        if (item?.classList.contains('has-submenu')) {
+          e.preventDefault();
+          this._openSubmenu(item);
+        }
+        break;
+      case 'ArrowLeft':
+        if (parentItem) {
+          e.preventDefault();
+          this._closeSubmenu(parentItem);
+        }
+        break;
+      case 'ArrowDown':
+        e.preventDefault();
+        this._focusItem(items, current + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this._focusItem(items, current < 0 ? items.length - 1 : current - 1);
+        break;
+      case 'Home':
+        e.preventDefault();
+        this._focusItem(items, 0);
+        break;
+      case 'End':
+        e.preventDefault();
+        this._focusItem(items, items.length - 1);
+        break;
+      case 'Enter':
+      case ' ':
+        if (item) {
+          e.preventDefault();
+          if (item.classList.contains('has-submenu')) {
+            this._openSubmenu(item);
+          } else {
+            this._activateItem(item, current);
+          }
+        }
+        break;
+      case 'Tab':
+        // Focus moves on to the next element in the page, so it is not pulled back to the trigger
+        this.hide();
+        break;
+      default:
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+          this._typeahead(e.key, items, current);
+        }
+    }
+  }
+
+  /**
+   * Get the menu or submenu holding focus, or the top-level menu if focus is elsewhere
+   * @private
+   * @returns {HTMLElement|null}
+   */
+  _getActiveMenu() {
+    const active = document.activeElement;
+    if (active && this.element.contains(active)) {
+      return active.closest(MENU_CONFIG.MENU_SELECTOR);
+    }
+    return this.element.querySelector('.context-menu');
+  }
+
+  /**
+   * Get the items of one menu or submenu, without those of nested submenus
+   * @private
+   * @param {HTMLElement|null} menu - The menu
+   * @returns {HTMLElement[]} Items in focus order
+   */
+  _getItems(menu) {
+    return menu ? Array.from(menu.querySelectorAll(MENU_CONFIG.ITEM_SELECTOR)) : [];
+  }
+
+  /**
+   * Move focus to an item, wrapping past either end. Submenus left open by the item
+   * losing focus are collapsed.
+   * @private
+   * @param {HTMLElement[]} items - Menu items
+   * @param {number} index - Index of the item to focus
+   */
+  _focusItem(items, index) {
+    if (!items.length) return;
+    items.forEach(item => {
+      if (item.getAttribute('aria-expanded') === 'true') {
+        item.setAttribute('aria-expanded', 'false');
+      }
+    });
+    items[(index + items.length) % items.length].focus();
+  }
+
+  /**
+   * Expand an item's submenu and focus its first item
+   * @private
+   * @param {HTMLElement} item - An item with a submenu
+   */
+  _openSubmenu(item) {
+    item.setAttribute('aria-expanded', 'true');
+    this._focusItem(this._getItems(item.querySelector('.submenu')), 0);
+  }
+
+  /**
+   * Collapse an item's submenu and return focus to the item
+   * @private
+   * @param {HTMLElement} item - An item with a submenu
+   */
+  _closeSubmenu(item) {
+    item.setAttribute('aria-expanded', 'false');
+    item.focus();
+  }
+
+  /**
+   * Activate an item as a click would, then close the menu
+   * @private
+   * @param {HTMLElement} item - The item
+   * @param {number} index - Its index
+   */
+  _activateItem(item, index) {
+    item.click();
+
+    EventEmitter.emit(
+      this.element,
+      'item-activated',
+      DropBearUtils.createEvent(this.id, 'item-activated', {index, text: item.textContent.trim()})
+    );
+
+    this.hide({restoreFocus: true});
+  }
+
+  /**
+   * Focus the next item whose label starts with the typed characters. Repeating one
+   * character cycles through the items starting with it.
+   * @private
+   * @param {string} char - Typed character
+   * @param {HTMLElement[]} items - Menu items
+   * @param {number} current - Index of the focused item, or -1
+   */
+  _typeahead(char, items, current) {
+    clearTimeout(this.typeaheadTimer);
+    this.typeaheadBuffer += char.toLowerCase();
+    this.typeaheadTimer = setTimeout(() => {
+      this.typeaheadBuffer = '';
+    }, MENU_CONFIG.TYPEAHEAD_RESET);
+
+    const buffer = this.typeaheadBuffer;
+    const search = [...buffer].every(c => c === buffer[0]) ? buffer[0] : buffer;
+    const start = search.length === 1 ? current + 1 : Math.max(current, 0);
+
+    for (let i = 0; i < items.length; i++) {
+      const index = (start + i) % items.length;
+      if (items[index].textContent.trim().toLowerCase().startsWith(search)) {
+        items[index].focus();
+        return;
+      }
+    }
+  }
+
+  /**
+   * Give the rendered menu its ARIA roles and make items focusable. Blazor re-creates the
+   * items each time the menu opens, so this runs whenever they change.
+   * @private
+   */
+  _applyMenuSemantics() {
+    const menuElement = this.element.querySelector('.context-menu');
+    if (!menuElement) {
+      // Blazor removed the open menu, e.g. after an item was clicked, so finish closing here
+      if (this.menuRendered) {
+        const focusLost = !document.activeElement || document.activeElement === document.body;
+        this.hide({restoreFocus: focusLost});
+      }
+      return;
+    }
+    this.menuRendered = true;
+
+    menuElement.setAttribute('role', 'menu');
+    menuElement.querySelectorAll('.submenu').forEach(submenu => submenu.setAttribute('role', 'menu'));
+    menuElement.querySelectorAll('.context-menu-separator').forEach(separator => separator.setAttribute('role', 'separator'));
+    menuElement.querySelectorAll('.context-menu-item').forEach(item => {
+      item.setAttribute('role', 'menuitem');
+      item.tabIndex = -1;
+      if (item.classList.contains('has-submenu') && !item.hasAttribute('aria-haspopup')) {
+        item.setAttribute('aria-haspopup', 'menu');
+        item.setAttribute('aria-expanded', 'false');
+      }
+    });
+
+    const items = this._getItems(menuElement);
+    if (this.focusOnRender && items.length) {
+      this.focusOnRender = false;
+      items[0].focus();
+    }
+  }
+
+  /**
+   * Reflect the menu's state on the trigger, if its role allows it
+   * @private
+   * @param {boolean} expanded - Whether the menu is open
+   */
+  _setTriggerExpanded(expanded) {
+    if (this.triggerHasPopupRole) {
+      this.triggerElement.setAttribute('aria-expanded', String(expanded));
+    }
+  }
+
   /**
    * Check if menu would be clipped at position
    * @private
@@ -183,7 +485,9 @@ class ContextMenuManager {
    * @param {{x: number, y: number}} position - New position
    */
   _updatePosition(position) {
-    DOMOperationQueue.add(() => {
+    DOMOperationQueue.mutate(() => {
+      // The write may spill into a later frame, after the menu was hidden
+      if (!this.isVisible || this.isDisposed) return;
       this.element.style.left = `${position.x}px`;
       this.element.style.top = `${position.y}px`;
     });
@@ -200,21 +504,29 @@ class ContextMenuManager {
     if (this.isDisposed) return;
 
     try {
+      if (!this.isVisible) {
+        const active = document.activeElement;
+        this.returnFocusTarget = this.triggerElement.contains(active) ? active : this.triggerElement;
+      }
+
       // Notify Blazor before showing menu
-      await circuitBreaker.execute(() =>
-        this.dotNetRef.invokeMethodAsync('Show', x, y)
+      await retryPolicy.execute(() =>
+        DropBearUtils.invokeDotNet(this.dotNetRef, 'Show', x, y)
       );
+      if (this.isDisposed) return;
 
-      // Show menu container first
-      DOMOperationQueue.add(() => {
+      document.addEventListener('click', this.clickOutsideHandler);
+      document.addEventListener('keydown', this.keyboardHandler);
+
+      // The hidden menu has no layout box to measure, so revealing, measuring and placing it is one
+      // operation: it costs a single forced layout and the menu never paints at its old position
+      await DOMOperationQueue.mutate(() => {
         this.element.style.visibility = 'visible';
         this.element.style.display = 'block';
-      });
 
-      const position = this._getOptimalPosition(x, y);
-      this.lastPosition = position;
+        const position = this._getOptimalPosition(x, y);
+        this.lastPosition = position;
 
-      DOMOperationQueue.add(() => {
         const menuElement = this.element.querySelector('.context-menu');
         if (menuElement) {
           menuElement.style.left = `${position.x}px`;
@@ -224,6 +536,16 @@ class ContextMenuManager {
       });
 
       this.isVisible = true;
+      this._setTriggerExpanded(true);
+
+      // Items may render after this point, so roles and first-item focus are applied as they appear
+      this.focusOnRender = true;
+      if (!this.itemObserver) {
+        this.itemObserver = new MutationObserver(() => this._applyMenuSemantics());
+        this.itemObserver.observe(this.element, {childList: true, subtree: true});
+      }
+      this._applyMenuSemantics();
+
       EventEmitter.emit(
         this.element,
         'shown',
@@ -239,13 +561,21 @@ class ContextMenuManager {
 
   /**
    * Hide the context menu
+   * @param {Object} [options] - Hide options
+   * @param {boolean} [options.restoreFocus=false] - Return focus to where it was before the menu opened
    * @returns {Promise<void>}
    */
-  async hide() {
+  async hide({restoreFocus = false} = {}) {
     if (this.isDisposed) return;
 
-
     try {
+      this._stopInteraction();
+
+      if (restoreFocus && this.isVisible && this.returnFocusTarget?.isConnected) {
+        this.returnFocusTarget.focus();
+      }
+      this.returnFocusTarget = null;
+
       DOMOperationQueue.add(() => {
         const menuElement = this.element.querySelector('.context-menu');
         if (menuElement) {
@@ -256,6 +586,8 @@ class ContextMenuManager {
       });
 
       this.isVisible = false;
+      this._setTriggerExpanded(false);
+
       EventEmitter.emit(
         this.element,
         'hidden',
@@ -269,6 +601,26 @@ class ContextMenuManager {
     }
   }
 
+  /**
+   * Remove the listeners and observer that only run while the menu is open
+   * @private
+   */
+  _stopInteraction() {
+    document.removeEventListener('click', this.clickOutsideHandler);
+    document.removeEventListener('keydown', this.keyboardHandler);
+
+    if (this.itemObserver) {
+      this.itemObserver.disconnect();
+      this.itemObserver = null;
+    }
+    this.focusOnRender = false;
+    this.menuRendered = false;
+
+    clearTimeout(this.typeaheadTimer);
+    this.typeaheadTimer = null;
+    this.typeaheadBuffer = '';
+  }
+
   /**
    * Update menu items
    * @param {Array} items - New menu items
@@ -282,8 +634,8 @@ class ContextMenuManager {
     }
 
     try {
-      await circuitBreaker.execute(() =>
-        this.dotNetRef.invokeMethodAsync('UpdateItems', items)
+      await retryPolicy.execute(() =>
+        DropBearUtils.invokeDotNet(this.dotNetRef, 'UpdateItems', items)
       );
 
       EventEmitter.emit(
@@ -319,12 +671,20 @@ class ContextMenuManager {
     logger.debug(`Disposing context menu ${this.id}`);
     this.isDisposed = true;
 
-    this.element.removeEventListener('contextmenu', this.handleContextMenu);
-    document.removeEventListener('click', this.clickOutsideHandler);
-    document.removeEventListener('keydown', this.keyboardHandler);
+    this.triggerElement.removeEventListener('contextmenu', this.handleContextMenu);
+    this.triggerElement.removeEventListener('keydown', this.triggerKeyHandler);
+    ['aria-keyshortcuts', 'aria-haspopup', 'aria-controls', 'aria-expanded'].forEach(attribute =>
+      this.triggerElement.removeAttribute(attribute)
+    );
+    if (this.addedTriggerTabIndex) {
+      this.triggerElement.removeAttribute('tabindex');
+    }
+    this._stopInteraction();
     window.removeEventListener('resize', this.resizeHandler);
+    this.resizeHandler.cancel();
 
     this.dotNetRef = null;
+    this.returnFocusTarget = null;
 
     EventEmitter.emit(
       this.element,
@@ -431,7 +791,8 @@ window.DropBearModuleManager.register(
     isInitialized: () => window[moduleName].isInitialized(),
     dispose: () => window[moduleName].disposeAll()
   },
-  ['DropBearUtils', 'DropBearCore']
+  ['DropBearUtils', 'DropBearCore'],
+  {version: moduleVersion}
 );
 
 // Export the API functions under a unique namespace
@@ -448,8 +809,8 @@ export const DropBearContextMenuAPI = {
    * @param {Object} dotNetRef - The .NET reference for Blazor interop.
    * @returns {Promise<void>}
    */
-  createContextMenu: async (menuId, dotNetRef) =>
-    window[moduleName].createContextMenu(menuId, dotNetRef),
+  createContextMenu: DropBearUtils.withValidation('createContextMenu', {menuId: Schema.id(), dotNetRef: Schema.dotNetRef()},
+    async (menuId, dotNetRef) => window[moduleName].createContextMenu(menuId, dotNetRef)),
 
   /**
    * Show the context menu at the specified coordinates.
@@ -458,14 +819,15 @@ export const DropBearContextMenuAPI = {
    * @param {number} y - The Y coordinate.
    * @returns {Promise<void>}
    */
-  show: async (menuId, x, y) => window[moduleName].show(menuId, x, y),
+  show: DropBearUtils.withValidation('show', {menuId: Schema.id(), x: Schema.number(), y: Schema.number()},
+    async (menuId, x, y) => window[moduleName].show(menuId, x, y)),
 
   /**
    * Hide the context menu.
    * @param {string} menuId - The ID of the menu element.
    * @returns {Promise<void>}
    */
-  hide: async menuId => window[moduleName].hide(menuId),
+  hide: DropBearUtils.withValidation('hide', {menuId: Schema.id()}, async menuId => window[moduleName].hide(menuId)),
 
   /**
    * Update the menu items.
@@ -473,7 +835,8 @@ export const DropBearContextMenuAPI = {
    * @param {Array} items - An array of new menu items.
    * @returns {Promise<void>}
    */
-  updateItems: async (menuId, items) => window[moduleName].updateItems(menuId, items),
+  updateItems: DropBearUtils.withValidation('updateItems', {menuId: Schema.id(), items: Schema.arrayOf(Schema.object())},
+    async (menuId, items) => window[moduleName].updateItems(menuId, items)),
 
   /**
    * Get the current state of the context menu.
@@ -6,69 +6,394 @@
 import {DropBearUtils} from './DropBearUtils.module.js';
 
 const logger = DropBearUtils.createLogger('DropBearCore');
+const moduleVersion = '1.0.0';
 let isInitialized = false;
 
+/** @type {Object} DOM operation queue configuration */
+const DOM_QUEUE_CONFIG = {
+  FRAME_BUDGET: 8, // Milliseconds of queued work per frame before spilling to the next
+  PRIORITIES: ['high', 'normal', 'low'], // Lanes in execution order; 'high' ignores the budget
+  PHASES: ['measure', 'mutate']
+};
+
 /**
- * Queue for batching DOM operations to reduce reflows and improve performance
+ * Queue for batching DOM operations to reduce reflows and improve performance.
+ * Each frame runs all measure (read) operations before any mutate (write) operations, so
+ * reads never see layout invalidated by writes from the same frame. To write based on a read
+ * in the same frame, call mutate() from inside the measure callback rather than from .then().
  * @implements {IDOMOperationQueue}
  */
 const DOMOperationQueue = {
-  /** @type {Set<Function>} */
-  queue: new Set(),
+  /** @type {Object<string, Object<string, Array<{operation: Function, resolve: Function, reject: Function}>>>} Pending operations by phase, then priority */
+  queues: {
+    measure: {high: [], normal: [], low: []},
+    mutate: {high: [], normal: [], low: []}
+  },
 
   /** @type {boolean} */
   scheduled: false,
 
+  /** @type {boolean} True while a frame is being flushed */
+  flushing: false,
+
+  /** @type {number} Milliseconds of work allowed per frame */
+  frameBudget: DOM_QUEUE_CONFIG.FRAME_BUDGET,
+
+  /** @type {{frames: number, operations: number, errors: number, spilledFrames: number, totalTime: number, maxFrameTime: number, lastFrameTime: number}} */
+  stats: {
+    frames: 0,
+    operations: 0,
+    errors: 0,
+    spilledFrames: 0,
+    totalTime: 0,
+    maxFrameTime: 0,
+    lastFrameTime: 0
+  },
+
   /**
    * Add an operation to the queue
    * @param {Function} operation - The DOM operation to queue
+   * @param {Object} [options] - Scheduling options
+   * @param {'measure'|'mutate'} [options.phase='mutate'] - Whether the operation reads or writes layout
+   * @param {'high'|'normal'|'low'} [options.priority='normal'] - Lane; higher lanes run first
+   * @returns {Promise<*>} Settles with the operation's result once it has run
    */
-  add(operation) {
+  add(operation, {phase = 'mutate', priority = 'normal'} = {}) {
     if (typeof operation !== 'function') {
       throw new TypeError('Operation must be a function');
     }
+    if (!DOM_QUEUE_CONFIG.PHASES.includes(phase)) {
+      throw new TypeError(`Phase must be one of: ${DOM_QUEUE_CONFIG.PHASES.join(', ')}`);
+    }
+    if (!DOM_QUEUE_CONFIG.PRIORITIES.includes(priority)) {
+      throw new TypeError(`Priority must be one of: ${DOM_QUEUE_CONFIG.PRIORITIES.join(', ')}`);
+    }
 
-    this.queue.add(operation);
+    const promise = new Promise((resolve, reject) => {
+      this.queues[phase][priority].push({operation, resolve, reject});
+    });
 
-    if (!this.scheduled) {
-      this.scheduled = true;
-      requestAnimationFrame(() => this.flush());
-    }
+    // Errors are already logged by flush; callers that never await must not see unhandled rejections
+    promise.catch(() => {});
+
+    this._schedule();
+    return promise;
+  },
+
+  /**
+   * Queue an operation that reads layout (getBoundingClientRect, offsetWidth, ...)
+   * @param {Function} operation - The read operation
+   * @param {{priority?: 'high'|'normal'|'low'}} [options] - Scheduling options
+   * @returns {Promise<*>} Settles with the operation's result
+   */
+  measure(operation, options = {}) {
+    return this.add(operation, {...options, phase: 'measure'});
+  },
+
+  /**
+   * Queue an operation that writes to the DOM or styles
+   * @param {Function} operation - The write operation
+   * @param {{priority?: 'high'|'normal'|'low'}} [options] - Scheduling options
+   * @returns {Promise<*>} Settles with the operation's result
+   */
+  mutate(operation, options = {}) {
+    return this.add(operation, {...options, phase: 'mutate'});
   },
 
   /**
-   * Execute all queued operations and clear the queue
+   * Run queued operations: every measure, then every mutate, each phase in priority order.
+   * Once the frame budget is spent, remaining normal and low priority work spills to the next frame.
+   * A write queued synchronously from inside a read still runs this frame; reads queued by a write wait
+   * for the next. Work chained on the promise from measure() or mutate() always lands in a later frame,
+   * because the promise settles only after this flush has finished.
    */
   flush() {
-    this.queue.forEach(operation => {
-      try {
-        operation();
-      } catch (error) {
-        logger.error('Error in queued operation:', error);
-      }
+    this.scheduled = false;
+    this.flushing = true;
+
+    const start = performance.now();
+    const deadline = start + this.frameBudget;
+    let ran = 0;
+
+    try {
+      DOM_QUEUE_CONFIG.PHASES.forEach(phase => {
+        DOM_QUEUE_CONFIG.PRIORITIES.forEach(priority => {
+          const lane = this.queues[phase][priority];
+          while (lane.length > 0) {
+            // Always make some progress, and never defer high priority work
+            if (priority !== 'high' && ran > 0 && performance.now() >= deadline) return;
+
+            this._run(lane.shift());
+            ran++;
+          }
+        });
+      });
+    } finally {
+      this.flushing = false;
+    }
+
+    const frameTime = performance.now() - start;
+    this.stats.frames++;
+    this.stats.operations += ran;
+    this.stats.totalTime += frameTime;
+    this.stats.lastFrameTime = frameTime;
+    this.stats.maxFrameTime = Math.max(this.stats.maxFrameTime, frameTime);
+
+    if (this.getPendingCount() > 0) {
+      this.stats.spilledFrames++;
+      this._schedule();
+    }
+  },
+
+  /**
+   * Count operations still waiting to run
+   * @returns {number}
+   */
+  getPendingCount() {
+    return DOM_QUEUE_CONFIG.PHASES.reduce(
+      (total, phase) => total + DOM_QUEUE_CONFIG.PRIORITIES.reduce(
+        (sum, priority) => sum + this.queues[phase][priority].length, 0),
+      0
+    );
+  },
+
+  /**
+   * Get timing statistics for flushed frames
+   * @returns {{frames: number, operations: number, errors: number, spilledFrames: number, totalTime: number, maxFrameTime: number, lastFrameTime: number, averageFrameTime: number, pending: number}}
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      averageFrameTime: this.stats.frames > 0 ? this.stats.totalTime / this.stats.frames : 0,
+      pending: this.getPendingCount()
+    };
+  },
+
+  /**
+   * Reset timing statistics
+   */
+  resetStats() {
+    Object.keys(this.stats).forEach(key => {
+      this.stats[key] = 0;
     });
+  },
 
-    this.queue.clear();
-    this.scheduled = false;
+  /**
+   * Request a frame unless one is already pending or the current flush will reschedule
+   * @private
+   */
+  _schedule() {
+    if (!this.scheduled && !this.flushing) {
+      this.scheduled = true;
+      requestAnimationFrame(() => this.flush());
+    }
+  },
+
+  /**
+   * Run a single queued operation and settle its promise
+   * @private
+   * @param {{operation: Function, resolve: Function, reject: Function}} task - The queued task
+   */
+  _run(task) {
+    try {
+      task.resolve(task.operation());
+    } catch (error) {
+      this.stats.errors++;
+      logger.error('Error in queued operation:', error);
+      task.reject(error);
+    }
   }
 };
 
 /**
- * Enhanced event emitter using WeakMap for automatic cleanup
+ * Enhanced event emitter using WeakMap for automatic cleanup.
+ * Event specs may carry a namespace suffix ('upload-complete.dashboard') so related handlers can
+ * be removed together, and may use '*' wildcards ('upload-*') to match several event names.
  * @implements {IEventEmitter}
  */
 const EventEmitter = {
-  /** @type {WeakMap<object, Map<string, Set<Function>>>} */
+  /** @type {WeakMap<object, Map<string, Array<{callback: Function, once: boolean, namespace: string|null}>>>} Listeners by target, then event pattern */
   events: new WeakMap(),
 
+  /** @type {Map<string, RegExp>} Compiled wildcard patterns */
+  patterns: new Map(),
+
+  /** @type {Set<Function>} Callbacks observing every emit, on any target */
+  monitors: new Set(),
+
   /**
    * Register an event handler
    * @param {object} target - Target object to attach the event to
-   * @param {string} event - Event name
-   * @param {Function} callback - Event handler function
+   * @param {string} event - Event name or wildcard pattern, optionally suffixed with '.namespace'
+   * @param {Function} callback - Event handler function, called with (data, eventName)
    * @returns {Function} Cleanup function to remove the handler
    */
   on(target, event, callback) {
+    return this._addListener(target, event, callback, false);
+  },
+
+  /**
+   * Register a handler that is removed after its first invocation. Without a callback, returns a
+   * promise that resolves with the data of the next matching event.
+   * @param {object} target - Target object to attach the event to
+   * @param {string} event - Event name or wildcard pattern, optionally suffixed with '.namespace'
+   * @param {Function} [callback] - Event handler function, called with (data, eventName)
+   * @returns {Function|Promise<*>} Cleanup function, or a promise when no callback is given
+   */
+  once(target, event, callback) {
+    if (callback === undefined) {
+      return new Promise(resolve => {
+        this._addListener(target, event, resolve, true);
+      });
+    }
+    return this._addListener(target, event, callback, true);
+  },
+
+  /**
+   * Remove event handlers. Omitting the callback removes every handler for the event; a spec of
+   * only '.namespace' removes every handler in that namespace.
+   * @param {object} target - Target object
+   * @param {string} event - Event name or pattern as registered, optionally suffixed with '.namespace'
+   * @param {Function} [callback] - Handler to remove
+   */
+  off(target, event, callback) {
+    const targetEvents = this.events.get(target);
+    if (!targetEvents) {
+      return;
+    }
+
+    const {name, namespace} = this._parse(event);
+    const names = name ? [name] : Array.from(targetEvents.keys());
+
+    names.forEach(key => {
+      const listeners = targetEvents.get(key);
+      if (!listeners) {
+        return;
+      }
+
+      const remaining = listeners.filter(
+        listener =>
+          (callback !== undefined && listener.callback !== callback) ||
+          (namespace !== null && listener.namespace !== namespace)
+      );
+      if (remaining.length) {
+        targetEvents.set(key, remaining);
+      } else {
+        targetEvents.delete(key);
+      }
+    });
+  },
+
+  /**
+   * Emit an event with data. Handlers run synchronously; rejected promises they return are logged.
+   * @param {object} target - Target object
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   */
+  emit(target, event, data) {
+    this._notifyMonitors(target, event, data);
+    this._takeListeners(target, event).forEach(listener => {
+      try {
+        const result = listener.callback(data, event);
+        if (result && typeof result.then === 'function') {
+          result.then(undefined, error => logger.error(`Error in event handler for ${event}:`, error));
+        }
+      } catch (error) {
+        logger.error(`Error in event handler for ${event}:`, error);
+      }
+    });
+  },
+
+  /**
+   * Emit an event and wait for every handler, including those returning promises, to settle.
+   * @param {object} target - Target object
+   * @param {string} event - Event name
+   * @param {*} data - Event data
+   * @returns {Promise<PromiseSettledResult<*>[]>} Outcome of each handler, in registration order
+   */
+  async emitAsync(target, event, data) {
+    this._notifyMonitors(target, event, data);
+    const results = await Promise.allSettled(
+      this._takeListeners(target, event).map(listener => {
+        try {
+          return Promise.resolve(listener.callback(data, event));
+        } catch (error) {
+          return Promise.reject(error);
+        }
+      })
+    );
+
+    results.forEach(result => {
+      if (result.status === 'rejected') {
+        logger.error(`Error in event handler for ${event}:`, result.reason);
+      }
+    });
+    return results;
+  },
+
+  /**
+   * Forward matching events on a target to .NET. Each event is delivered once even when it
+   * matches several patterns.
+   * @param {object} target - Target object
+   * @param {string|string[]} patterns - Event names or wildcard patterns to forward
+   * @param {Object} dotNetRef - .NET reference for Blazor interop
+   * @param {string} [methodName='OnEventEmitted'] - JSInvokable method receiving (eventName, data)
+   * @returns {Function} Cleanup function that stops forwarding
+   */
+  forwardToDotNet(target, patterns, dotNetRef, methodName = 'OnEventEmitted') {
+    if (typeof dotNetRef?.invokeMethodAsync !== 'function') {
+      throw new TypeError('A .NET reference is required');
+    }
+
+    const forwarded = (Array.isArray(patterns) ? patterns : [patterns]).map(
+      pattern => this._parse(pattern).name
+    );
+    if (!forwarded.length || forwarded.some(pattern => !pattern)) {
+      throw new TypeError('Event patterns must be non-empty strings');
+    }
+
+    return this.on(target, '*', (data, event) => {
+      if (!forwarded.some(pattern => this._matches(pattern, event))) {
+        return undefined;
+      }
+      return DropBearUtils.invokeDotNet(dotNetRef, methodName, event, data).catch(error => {
+        logger.warn(`Failed to forward ${event} to .NET:`, error);
+      });
+    });
+  },
+
+  /**
+   * Observe every event emitted on any target, e.g. to record breadcrumbs
+   * @param {Function} callback - Called with (target, eventName, data)
+   * @returns {Function} Cleanup function
+   */
+  monitor(callback) {
+    if (typeof callback !== 'function') {
+      throw new TypeError('Callback must be a function');
+    }
+    this.monitors.add(callback);
+    return () => this.monitors.delete(callback);
+  },
+
+  /**
+   * Pass an event to every monitor
+   * @private
+   */
+  _notifyMonitors(target, event, data) {
+    this.monitors.forEach(monitor => {
+      try {
+        monitor(target, event, data);
+      } catch (error) {
+        logger.error('Error in event monitor:', error);
+      }
+    });
+  },
+
+  /**
+   * Validate and store a listener
+   * @private
+   */
+  _addListener(target, event, callback, once) {
     if (!target || typeof target !== 'object') {
       throw new TypeError('Target must be an object');
     }
@@ -79,66 +404,148 @@ const EventEmitter = {
       throw new TypeError('Callback must be a function');
     }
 
+    const {name, namespace} = this._parse(event);
+    if (!name) {
+      throw new TypeError('Event name must be a string');
+    }
+
     if (!this.events.has(target)) {
       this.events.set(target, new Map());
     }
     const targetEvents = this.events.get(target);
-    if (!targetEvents.has(event)) {
-      targetEvents.set(event, new Set());
+    if (!targetEvents.has(name)) {
+      targetEvents.set(name, []);
     }
-    targetEvents.get(event).add(callback);
 
-    return () => this.off(target, event, callback);
+    const listener = {callback, once, namespace};
+    targetEvents.get(name).push(listener);
+
+    return () => this._removeListener(target, name, listener);
   },
 
   /**
-   * Remove an event handler
-   * @param {object} target - Target object
-   * @param {string} event - Event name
-   * @param {Function} callback - Handler to remove
+   * Remove a single listener record
+   * @private
    */
-  off(target, event, callback) {
+  _removeListener(target, name, listener) {
     const targetEvents = this.events.get(target);
-    if (targetEvents?.has(event)) {
-      targetEvents.get(event).delete(callback);
+    const listeners = targetEvents?.get(name);
+    if (!listeners) {
+      return;
+    }
+
+    const index = listeners.indexOf(listener);
+    if (index !== -1) {
+      listeners.splice(index, 1);
+    }
+    if (!listeners.length) {
+      targetEvents.delete(name);
     }
   },
 
   /**
-   * Emit an event with data
-   * @param {object} target - Target object
-   * @param {string} event - Event name
-   * @param {*} data - Event data
+   * Collect the listeners matching an event, removing once-listeners before they run
+   * @private
+   * @returns {Array<{callback: Function, once: boolean, namespace: string|null}>}
    */
-  emit(target, event, data) {
+  _takeListeners(target, event) {
     const targetEvents = this.events.get(target);
-    if (targetEvents?.has(event)) {
-      targetEvents.get(event).forEach(callback => {
-        try {
-          callback(data);
-        } catch (error) {
-          logger.error(`Error in event handler for ${event}:`, error);
-        }
-      });
+    if (!targetEvents) {
+      return [];
+    }
+
+    const matched = [];
+    targetEvents.forEach((listeners, pattern) => {
+      if (this._matches(pattern, event)) {
+        matched.push(...listeners.map(listener => ({pattern, listener})));
+      }
+    });
+
+    matched
+      .filter(({listener}) => listener.once)
+      .forEach(({pattern, listener}) => this._removeListener(target, pattern, listener));
+
+    return matched.map(({listener}) => listener);
+  },
+
+  /**
+   * Split an event spec into its name and namespace
+   * @private
+   * @returns {{name: string, namespace: string|null}}
+   */
+  _parse(event) {
+    const index = event.indexOf('.');
+    if (index === -1) {
+      return {name: event, namespace: null};
     }
+    return {name: event.slice(0, index), namespace: event.slice(index + 1) || null};
+  },
+
+  /**
+   * Check whether an event name matches a registered name or wildcard pattern
+   * @private
+   */
+  _matches(pattern, event) {
+    if (pattern === event) {
+      return true;
+    }
+    if (!pattern.includes('*')) {
+      return false;
+    }
+
+    if (!this.patterns.has(pattern)) {
+      const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+      this.patterns.set(pattern, new RegExp(`^${source}$`));
+    }
+    return this.patterns.get(pattern).test(event);
   }
 };
 
+/** @type {Set<string>} Error codes and names that mark a failure as transient */
+const TRANSIENT_ERRORS = new Set(['CALL_EXPIRED', 'TimeoutError', 'NetworkError']);
+
+/** @type {RegExp} Messages of fetch network failures and of calls cut off by a lost Blazor connection */
+const TRANSIENT_MESSAGE = /failed to fetch|network ?error|load failed|disconnected|connection (?:is |was |being )?closed|not in the 'connected' state/i;
+
+/**
+ * Whether a failure is likely to go away on its own: a timeout, a network failure, or a call cut
+ * off by a lost Blazor connection. Aborts and open circuits never are.
+ * @param {*} error - The failure
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  if (!error || error.name === 'AbortError' || error.code === 'CIRCUIT_OPEN') {
+    return false;
+  }
+  return TRANSIENT_ERRORS.has(error.code) || TRANSIENT_ERRORS.has(error.name) || TRANSIENT_MESSAGE.test(error.message || '');
+}
+
 /**
- * Circuit breaker for handling failures in operations
+ * Circuit breaker for handling failures in operations.
+ * State changes are emitted as 'state-changed' events through EventEmitter.
  * @implements {ICircuitBreaker}
  */
 class CircuitBreaker {
   /**
    * @param {Object} options - Circuit breaker options
+   * @param {string} [options.name='default'] - Name reported in events and errors
    * @param {number} [options.failureThreshold=5] - Number of failures before opening
    * @param {number} [options.resetTimeout=60000] - Time in ms before attempting reset
+   * @param {number} [options.halfOpenMaxCalls=1] - Probe calls allowed at once while half-open
+   * @param {Function} [options.fallback] - Called with the error when the circuit is open or an operation fails
+   * @param {Function} [options.shouldRecord] - Predicate deciding which errors count as failures; by default
+   *   every error except an abort does
    */
   constructor(options = {}) {
+    this.name = options.name || 'default';
     this.failureThreshold = options.failureThreshold || 5;
     this.resetTimeout = options.resetTimeout || 60000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+    this.fallback = options.fallback || null;
+    this.shouldRecord = options.shouldRecord || null;
     this.failures = 0;
     this.lastFailureTime = null;
+    this.halfOpenCalls = 0;
     this.state = 'closed';
 
     if (this.failureThreshold < 1) {
@@ -147,48 +554,76 @@ class CircuitBreaker {
     if (this.resetTimeout < 1000) {
       throw new Error('Reset timeout must be at least 1000ms');
     }
+    if (this.fallback !== null && typeof this.fallback !== 'function') {
+      throw new TypeError('Fallback must be a function');
+    }
+    if (this.shouldRecord !== null && typeof this.shouldRecord !== 'function') {
+      throw new TypeError('shouldRecord must be a function');
+    }
   }
 
   /**
    * Execute an operation with circuit breaker protection
    * @param {Function} operation - Async operation to execute
-   * @returns {Promise<*>} Operation result
-   * @throws {Error} If circuit is open or operation fails
+   * @param {Function} [fallback=this.fallback] - Called with the error instead of throwing it
+   * @returns {Promise<*>} Operation result, or the fallback's result
+   * @throws {Error} If circuit is open or operation fails and there is no fallback
    */
-  async execute(operation) {
+  async execute(operation, fallback = this.fallback) {
     if (typeof operation !== 'function') {
       throw new TypeError('Operation must be a function');
     }
 
-    if (this.state === 'open') {
-      const timeSinceFailure = Date.now() - this.lastFailureTime;
-      if (timeSinceFailure >= this.resetTimeout) {
-        this.state = 'half-open';
-      } else {
-        throw new Error('Circuit breaker is open');
+    if (this.state === 'open' && Date.now() - this.lastFailureTime >= this.resetTimeout) {
+      this._transition('half-open');
+    }
+
+    // Reject when open, or when the half-open probe slots are all in use
+    if (this.state === 'open' || (this.state === 'half-open' && this.halfOpenCalls >= this.halfOpenMaxCalls)) {
+      const error = DropBearUtils.createError('Circuit breaker is open', 'CIRCUIT_OPEN', 'CircuitBreaker', {
+        name: this.name
+      });
+      if (fallback) {
+        return fallback(error);
       }
+      throw error;
+    }
+
+    const isProbe = this.state === 'half-open';
+    if (isProbe) {
+      this.halfOpenCalls++;
     }
 
     try {
       const result = await operation();
-      if (this.state === 'half-open') {
+      if (isProbe) {
         this.reset();
       }
       return result;
     } catch (error) {
-      this.recordFailure();
+      // A cancelled call says nothing about the health of what it was calling
+      if (error?.name !== 'AbortError' && (!this.shouldRecord || this.shouldRecord(error))) {
+        this.recordFailure();
+      }
+      if (fallback) {
+        return fallback(error);
+      }
       throw error;
+    } finally {
+      if (isProbe && this.halfOpenCalls > 0) {
+        this.halfOpenCalls--;
+      }
     }
   }
 
   /**
-   * Record a failure and potentially open the circuit
+   * Record a failure and potentially open the circuit. A failed half-open probe reopens it immediately.
    */
   recordFailure() {
     this.failures++;
     this.lastFailureTime = Date.now();
-    if (this.failures >= this.failureThreshold) {
-      this.state = 'open';
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this._transition('open');
     }
   }
 
@@ -198,7 +633,8 @@ class CircuitBreaker {
   reset() {
     this.failures = 0;
     this.lastFailureTime = null;
-    this.state = 'closed';
+    this.halfOpenCalls = 0;
+    this._transition('closed');
   }
 
   /**
@@ -208,6 +644,530 @@ class CircuitBreaker {
   getState() {
     return this.state;
   }
+
+  /**
+   * Move to a new state and emit 'state-changed'
+   * @private
+   * @param {'open' | 'closed' | 'half-open'} state - The new state
+   */
+  _transition(state) {
+    const from = this.state;
+    if (from === state) {
+      return;
+    }
+
+    this.state = state;
+    if (state === 'open') {
+      logger.warn(`Circuit breaker "${this.name}" opened after ${this.failures} failures`);
+    }
+
+    EventEmitter.emit(
+      this,
+      'state-changed',
+      DropBearUtils.createEvent(this.name, 'state-changed', {
+        name: this.name,
+        from,
+        to: state,
+        failures: this.failures,
+        timestamp: Date.now()
+      })
+    );
+  }
+}
+
+/**
+ * Defaults for breakers created through CircuitBreakerRegistry. A shared breaker only counts transient
+ * failures, so exceptions thrown by one component's handlers cannot block interop for every module.
+ * @type {Object}
+ */
+const CIRCUIT_BREAKER_DEFAULTS = {
+  failureThreshold: 3,
+  resetTimeout: 30000,
+  halfOpenMaxCalls: 1,
+  shouldRecord: isTransientError
+};
+
+/**
+ * Registry of circuit breakers shared by interop target, so every module calling the same target
+ * (e.g. 'dotnet' for calls through a DotNetObjectReference) trips and recovers together.
+ * Breaker state changes are re-emitted on the registry as 'state-changed'.
+ * @implements {ICircuitBreakerRegistry}
+ */
+const CircuitBreakerRegistry = {
+  /** @type {string} Key for calls into .NET over the Blazor circuit */
+  DOTNET: 'dotnet',
+
+  /** @type {Map<string, CircuitBreaker>} */
+  breakers: new Map(),
+
+  /** @type {Set<Object>} .NET references notified through OnCircuitBreakersRecovered */
+  dotNetRefs: new Set(),
+
+  /**
+   * Get the breaker for a target, creating it on first use. Options only apply on creation.
+   * @param {string} key - Interop target
+   * @param {Object} [options] - CircuitBreaker options merged over CIRCUIT_BREAKER_DEFAULTS
+   * @returns {CircuitBreaker}
+   */
+  get(key, options = {}) {
+    if (typeof key !== 'string' || !key.trim()) {
+      throw new TypeError('Circuit breaker key must be a non-empty string');
+    }
+
+    if (!this.breakers.has(key)) {
+      const breaker = new CircuitBreaker({...CIRCUIT_BREAKER_DEFAULTS, ...options, name: key});
+      EventEmitter.on(breaker, 'state-changed', event => EventEmitter.emit(this, 'state-changed', event));
+      this.breakers.set(key, breaker);
+    }
+    return this.breakers.get(key);
+  },
+
+  /**
+   * Check whether a breaker exists for a target
+   * @param {string} key - Interop target
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.breakers.has(key);
+  },
+
+  /**
+   * Subscribe to registry events ('state-changed', 'recovered')
+   * @param {string} event - Event name or pattern
+   * @param {Function} callback - Event handler
+   * @returns {Function} Cleanup function
+   */
+  on(event, callback) {
+    return EventEmitter.on(this, event, callback);
+  },
+
+  /**
+   * Snapshot every breaker
+   * @returns {Array<{key: string, state: string, failures: number, lastFailureTime: number|null}>}
+   */
+  getStatus() {
+    return Array.from(this.breakers.entries()).map(([key, breaker]) => ({
+      key,
+      state: breaker.getState(),
+      failures: breaker.failures,
+      lastFailureTime: breaker.lastFailureTime
+    }));
+  },
+
+  /**
+   * Snapshot breakers that are open or half-open
+   * @returns {Array<{key: string, state: string, failures: number, lastFailureTime: number|null}>}
+   */
+  getOpen() {
+    return this.getStatus().filter(status => status.state !== 'closed');
+  },
+
+  /**
+   * Register a .NET reference whose OnCircuitBreakersRecovered(breakers) is called after reconnection
+   * @param {Object} dotNetRef - .NET reference for Blazor interop
+   */
+  addDotNetReference(dotNetRef) {
+    if (typeof dotNetRef?.invokeMethodAsync !== 'function') {
+      throw new TypeError('A .NET reference is required');
+    }
+    this.dotNetRefs.add(dotNetRef);
+  },
+
+  /**
+   * Stop notifying a .NET reference
+   * @param {Object} dotNetRef - .NET reference previously added
+   */
+  removeDotNetReference(dotNetRef) {
+    this.dotNetRefs.delete(dotNetRef);
+  },
+
+  /**
+   * Close every tripped breaker once the circuit is back, and report which ones were tripped
+   * so components can resync state they failed to send.
+   * @returns {Promise<Array<{key: string, state: string, failures: number, lastFailureTime: number|null}>>} The breakers that were tripped
+   */
+  async handleReconnected() {
+    const tripped = this.getOpen();
+    if (!tripped.length) {
+      return tripped;
+    }
+
+    tripped.forEach(({key}) => this.breakers.get(key).reset());
+    logger.debug(`Reset ${tripped.length} circuit breaker(s) after reconnection`);
+
+    EventEmitter.emit(
+      this,
+      'recovered',
+      DropBearUtils.createEvent(crypto.randomUUID(), 'recovered', {breakers: tripped})
+    );
+
+    await Promise.all(
+      Array.from(this.dotNetRefs).map(dotNetRef =>
+        DropBearUtils.invokeDotNet(dotNetRef, 'OnCircuitBreakersRecovered', tripped).catch(error => {
+          logger.warn('Failed to report recovered circuit breakers:', error);
+        })
+      )
+    );
+    return tripped;
+  }
+};
+
+/** @type {Object} Connection state configuration */
+const CONNECTION_CONFIG = {
+  MAX_BUFFERED_CALLS: 100, // Oldest buffered calls are dropped beyond this
+  MAX_CALL_AGE: 30000 // Buffered calls older than this are dropped instead of replayed
+};
+
+/**
+ * Tracks the Blazor circuit's connection state. While the circuit is down, .NET calls made
+ * through invoke are buffered (calls sharing a coalesce key keep only the latest) and replayed
+ * in order once it reconnects; calls that have gone stale by then are dropped.
+ * Emits 'disconnected', 'reconnected' and, for each call, 'invoked' through EventEmitter.
+ * @implements {IConnectionManager}
+ */
+const ConnectionManager = {
+  /** @type {'connected'|'disconnected'} */
+  state: 'connected',
+
+  /** @type {Array<{dotNetRef: Object, methodName: string, args: Array, key: string|null, maxAge: number, queuedAt: number, resolve: Function, reject: Function}>} */
+  pending: [],
+
+  /** @type {{handler: Object, onConnectionDown: Function, onConnectionUp: Function}|null} Blazor's own callbacks, restored by unwatch */
+  original: null,
+
+  /**
+   * Start following Blazor's reconnection handler. Does nothing without a Blazor Server circuit.
+   * @returns {boolean} True if reconnection events are being watched
+   */
+  watch() {
+    const handler = window.Blazor?.defaultReconnectionHandler;
+    if (this.original || typeof handler?.onConnectionDown !== 'function' || typeof handler.onConnectionUp !== 'function') {
+      return Boolean(this.original);
+    }
+
+    const manager = this;
+    const {onConnectionDown, onConnectionUp} = handler;
+    this.original = {handler, onConnectionDown, onConnectionUp};
+
+    handler.onConnectionDown = function (...args) {
+      manager.handleConnectionDown();
+      return onConnectionDown.apply(this, args);
+    };
+    handler.onConnectionUp = function (...args) {
+      const result = onConnectionUp.apply(this, args);
+      manager.handleConnectionUp().catch(error => logger.error('Failed to restore connection state:', error));
+      return result;
+    };
+    return true;
+  },
+
+  /**
+   * Stop following Blazor's reconnection handler and restore its callbacks
+   */
+  unwatch() {
+    if (!this.original) return;
+
+    const {handler, onConnectionDown, onConnectionUp} = this.original;
+    handler.onConnectionDown = onConnectionDown;
+    handler.onConnectionUp = onConnectionUp;
+    this.original = null;
+  },
+
+  /**
+   * @returns {boolean} True unless the circuit is known to be down
+   */
+  isConnected() {
+    return this.state === 'connected';
+  },
+
+  /**
+   * Subscribe to connection events ('disconnected', 'reconnected')
+   * @param {string} event - Event name or pattern
+   * @param {Function} callback - Event handler
+   * @returns {Function} Cleanup function
+   */
+  on(event, callback) {
+    return EventEmitter.on(this, event, callback);
+  },
+
+  /**
+   * Call a .NET method, buffering it while the circuit is down
+   * @param {Object} dotNetRef - .NET reference for Blazor interop
+   * @param {string} methodName - JSInvokable method name
+   * @param {Array} [args=[]] - Method arguments
+   * @param {Object} [options] - Buffering options
+   * @param {string} [options.key] - Coalesce key; a buffered call for the same reference and key is replaced (last value wins)
+   * @param {number} [options.maxAge=CONNECTION_CONFIG.MAX_CALL_AGE] - Drop the call if still buffered after this many ms
+   * @returns {Promise<*>} The method's result; resolves undefined if superseded, rejects with CALL_EXPIRED if dropped
+   */
+  invoke(dotNetRef, methodName, args = [], {key = null, maxAge = CONNECTION_CONFIG.MAX_CALL_AGE} = {}) {
+    if (typeof dotNetRef?.invokeMethodAsync !== 'function') {
+      return Promise.reject(new TypeError('A .NET reference is required'));
+    }
+
+    EventEmitter.emit(this, 'invoked', DropBearUtils.createEvent(crypto.randomUUID(), 'invoked', {
+      methodName,
+      buffered: !this.isConnected()
+    }));
+
+    if (!this.isConnected()) {
+      return this._buffer({dotNetRef, methodName, args, key, maxAge});
+    }
+
+    return DropBearUtils.invokeDotNet(dotNetRef, methodName, ...args).catch(error => {
+      // The call raced the disconnect; keep it for replay rather than failing it
+      if (!this.isConnected()) {
+        return this._buffer({dotNetRef, methodName, args, key, maxAge});
+      }
+      throw error;
+    });
+  },
+
+  /**
+   * Mark the circuit as down
+   */
+  handleConnectionDown() {
+    if (this.state === 'disconnected') return;
+
+    this.state = 'disconnected';
+    logger.warn('Blazor circuit disconnected, buffering .NET calls');
+    EventEmitter.emit(this, 'disconnected', DropBearUtils.createEvent(crypto.randomUUID(), 'disconnected', {
+      timestamp: Date.now()
+    }));
+  },
+
+  /**
+   * Mark the circuit as back: close tripped circuit breakers, then replay buffered calls in order
+   * @returns {Promise<void>}
+   */
+  async handleConnectionUp() {
+    if (this.state === 'connected') return;
+
+    this.state = 'connected';
+    const calls = this.pending;
+    this.pending = [];
+
+    EventEmitter.emit(this, 'reconnected', DropBearUtils.createEvent(crypto.randomUUID(), 'reconnected', {
+      timestamp: Date.now(),
+      buffered: calls.length
+    }));
+
+    await CircuitBreakerRegistry.handleReconnected();
+
+    const now = Date.now();
+    let dropped = 0;
+    for (const call of calls) {
+      if (now - call.queuedAt > call.maxAge) {
+        dropped++;
+        call.reject(DropBearUtils.createError(
+          `Buffered call to ${call.methodName} expired while disconnected`,
+          'CALL_EXPIRED',
+          'ConnectionManager',
+          {methodName: call.methodName, key: call.key}
+        ));
+        continue;
+      }
+
+      try {
+        call.resolve(await DropBearUtils.invokeDotNet(call.dotNetRef, call.methodName, ...call.args));
+      } catch (error) {
+        call.reject(error);
+      }
+    }
+
+    logger.debug(`Replayed ${calls.length - dropped} buffered .NET call(s), dropped ${dropped} stale`);
+  },
+
+  /**
+   * Get the number of buffered calls
+   * @returns {number}
+   */
+  getPendingCount() {
+    return this.pending.length;
+  },
+
+  /**
+   * Buffer a call until reconnection
+   * @private
+   * @returns {Promise<*>}
+   */
+  _buffer({dotNetRef, methodName, args, key, maxAge}) {
+    return new Promise((resolve, reject) => {
+      if (key !== null) {
+        const index = this.pending.findIndex(call => call.dotNetRef === dotNetRef && call.key === key);
+        if (index !== -1) {
+          this.pending.splice(index, 1)[0].resolve(undefined);
+        }
+      }
+
+      this.pending.push({dotNetRef, methodName, args, key, maxAge, queuedAt: Date.now(), resolve, reject});
+
+      if (this.pending.length > CONNECTION_CONFIG.MAX_BUFFERED_CALLS) {
+        const oldest = this.pending.shift();
+        oldest.reject(DropBearUtils.createError(
+          `Buffered call to ${oldest.methodName} dropped, too many calls while disconnected`,
+          'CALL_EXPIRED',
+          'ConnectionManager',
+          {methodName: oldest.methodName, key: oldest.key}
+        ));
+      }
+    });
+  }
+};
+
+/** @type {Object} Defaults for RetryPolicy */
+const RETRY_DEFAULTS = {
+  maxAttempts: 3, // Total attempts, including the first
+  baseDelay: 250, // Delay before the first retry in ms
+  maxDelay: 10000, // Upper bound for a single delay in ms
+  factor: 2, // Growth of the delay per attempt
+  jitter: 0.5, // Fraction of each delay that is randomized (0 = none, 1 = full jitter)
+  maxElapsedTime: 30000 // Give up once another wait would pass this many ms since the first attempt
+};
+
+/**
+ * Retry an operation with exponential backoff and jitter. By default only transient failures are
+ * retried (see RetryPolicy.isTransient); exceptions thrown by .NET fail the same way again.
+ * @implements {IRetryPolicy}
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} [options] - Retry options, see RETRY_DEFAULTS
+   * @param {number} [options.maxAttempts=3] - Total attempts, including the first
+   * @param {number} [options.baseDelay=250] - Delay before the first retry in ms
+   * @param {number} [options.maxDelay=10000] - Upper bound for a single delay in ms
+   * @param {number} [options.factor=2] - Growth of the delay per attempt
+   * @param {number} [options.jitter=0.5] - Fraction of each delay that is randomized
+   * @param {number} [options.maxElapsedTime=30000] - Time budget across all attempts in ms
+   * @param {Function|Array<string|Function>} [options.retryOn] - Predicate (error, attempt) => boolean, or a list
+   *   of error codes, error names and error classes worth retrying; defaults to RetryPolicy.isTransient
+   * @param {Function} [options.onRetry] - Called with (error, attempt, delay) before each wait
+   * @param {CircuitBreaker} [options.circuitBreaker] - Breaker the whole call is executed through, so it
+   *   records one failure per call rather than one per attempt
+   */
+  constructor(options = {}) {
+    this.options = {
+      ...RETRY_DEFAULTS,
+      retryOn: null,
+      onRetry: null,
+      circuitBreaker: null,
+      ...options
+    };
+
+    if (!Number.isInteger(this.options.maxAttempts) || this.options.maxAttempts < 1) {
+      throw new Error('Max attempts must be a positive integer');
+    }
+    if (this.options.jitter < 0 || this.options.jitter > 1) {
+      throw new Error('Jitter must be between 0 and 1');
+    }
+  }
+
+  /**
+   * Run an operation, retrying failures according to the policy
+   * @param {Function} operation - Called with (attempt, signal); may return a promise
+   * @param {Object} [options] - Per-call overrides of the policy options
+   * @param {AbortSignal} [options.signal] - Cancels pending waits and further attempts
+   * @returns {Promise<*>} The operation's result
+   * @throws {Error} The last failure once retries are exhausted, or the abort reason
+   */
+  execute(operation, options = {}) {
+    const {signal, ...overrides} = options;
+    const settings = {...this.options, ...overrides};
+    const run = () => this._run(operation, settings, signal);
+
+    return settings.circuitBreaker ? settings.circuitBreaker.execute(run) : run();
+  }
+
+  /**
+   * Whether a failure is likely to go away on its own: a timeout, a network failure, or a call cut
+   * off by a lost Blazor connection. Aborts and open circuits never are.
+   * @param {*} error - The failure
+   * @returns {boolean}
+   */
+  static isTransient(error) {
+    return isTransientError(error);
+  }
+
+  /**
+   * The retry loop itself
+   * @private
+   * @returns {Promise<*>} The operation's result
+   */
+  async _run(operation, settings, signal) {
+    if (typeof operation !== 'function') {
+      throw new TypeError('Operation must be a function');
+    }
+
+    const startedAt = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      signal?.throwIfAborted();
+
+      try {
+        return await operation(attempt, signal);
+      } catch (error) {
+        const delay = this.getDelay(attempt, settings);
+        const outOfTime = Date.now() - startedAt + delay > settings.maxElapsedTime;
+
+        if (attempt >= settings.maxAttempts || outOfTime || signal?.aborted || !this._shouldRetry(error, attempt, settings)) {
+          throw error;
+        }
+
+        settings.onRetry?.(error, attempt, delay);
+        await this._wait(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Delay before the retry that follows a failed attempt
+   * @param {number} attempt - The attempt that failed, starting at 1
+   * @param {Object} [settings=this.options] - Policy options
+   * @returns {number} Delay in ms
+   */
+  getDelay(attempt, settings = this.options) {
+    const exponential = Math.min(settings.maxDelay, settings.baseDelay * settings.factor ** (attempt - 1));
+    return Math.round(exponential * (1 - settings.jitter * Math.random()));
+  }
+
+  /**
+   * Decide whether a failure is worth retrying
+   * @private
+   * @returns {boolean}
+   */
+  _shouldRetry(error, attempt, settings) {
+    const {retryOn} = settings;
+
+    if (typeof retryOn === 'function') {
+      return Boolean(retryOn(error, attempt));
+    }
+    if (Array.isArray(retryOn)) {
+      return retryOn.some(match =>
+        typeof match === 'function' ? error instanceof match : error?.code === match || error?.name === match
+      );
+    }
+    return RetryPolicy.isTransient(error);
+  }
+
+  /**
+   * Wait for a delay, rejecting early if the signal aborts
+   * @private
+   * @returns {Promise<void>}
+   */
+  _wait(delay, signal) {
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, delay);
+      signal?.addEventListener('abort', onAbort, {once: true});
+    });
+  }
 }
 
 // Attach to window first
@@ -216,6 +1176,9 @@ window.DropBearCore = {
   DOMOperationQueue,
   EventEmitter,
   CircuitBreaker,
+  CircuitBreakerRegistry,
+  ConnectionManager,
+  RetryPolicy,
   initialize: async () => {
     if (isInitialized) return;
 
@@ -224,6 +1187,8 @@ window.DropBearCore = {
       // Ensure Utils is initialized first
       await window.DropBearUtils.initialize();
 
+      ConnectionManager.watch();
+
       isInitialized = true;
       window.DropBearCore.__initialized = true;
 
@@ -235,6 +1200,7 @@ window.DropBearCore = {
   },
   isInitialized: () => isInitialized,
   dispose: () => {
+    ConnectionManager.unwatch();
     isInitialized = false;
     window.DropBearCore.__initialized = false;
   }
@@ -286,8 +1252,9 @@ window.DropBearModuleManager.register(
     isInitialized: () => window.DropBearCore.isInitialized(),
     dispose: () => window.DropBearCore.dispose()
   },
-  ['DropBearUtils']
+  ['DropBearUtils'],
+  {version: moduleVersion}
 );
 
 // Export everything
-export {DOMOperationQueue, EventEmitter, CircuitBreaker};
+export {DOMOperationQueue, EventEmitter, CircuitBreaker, CircuitBreakerRegistry, ConnectionManager, RetryPolicy};
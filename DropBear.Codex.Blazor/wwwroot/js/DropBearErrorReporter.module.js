@@ -0,0 +1,462 @@
+﻿/**
+ * @fileoverview Client error capture and reporting for the DropBear framework
+ * @module error-reporter
+ */
+
+import {ConnectionManager, EventEmitter} from './DropBearCore.module.js';
+import {DropBearUtils, Schema} from './DropBearUtils.module.js';
+
+const logger = DropBearUtils.createLogger('DropBearErrorReporter');
+let isInitialized = false;
+const moduleName = 'DropBearErrorReporter';
+const moduleVersion = '1.0.0';
+
+/** @type {Object} Error reporting configuration constants */
+const REPORT_CONFIG = {
+  MAX_BREADCRUMBS: 30, // Recent events and interop calls attached to each report
+  DEDUPE_WINDOW: 60000, // Repeats of the same error within this many ms are counted, not reported
+  MAX_REPORTS_PER_MINUTE: 20,
+  BATCH_SIZE: 10, // Reports that trigger an immediate flush
+  FLUSH_INTERVAL: 5000, // Max milliseconds a report waits before being sent
+  STORAGE_KEY: 'dropbear-error-reports',
+  MAX_STORED_REPORTS: 50 // Oldest queued reports are dropped beyond this
+};
+
+/**
+ * Build a stable fingerprint for deduplication from the error's identity and first stack frame
+ * @param {{name: string, code: string|null, message: string, stack: string|null}} report - Error report
+ * @returns {string} Fingerprint
+ */
+function fingerprintOf(report) {
+  const frame = (report.stack || '').split('\n').find(line => line.trim().startsWith('at ')) || '';
+  return [report.name, report.code, report.message, frame.trim()].join('|');
+}
+
+/**
+ * Make error details safe to send through interop
+ * @param {*} value - Details attached to the error
+ * @returns {*} Serializable value, or null
+ */
+function toSerializableDetails(value) {
+  if (value === undefined) {
+    return null;
+  }
+  try {
+    return JSON.parse(JSON.stringify(value) ?? 'null');
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * Captures uncaught errors, unhandled rejections and errors built with DropBearUtils.createError,
+ * and ships them to .NET in batches with recent breadcrumbs attached. Reports queue in
+ * localStorage while the circuit is down or no .NET reference is set.
+ */
+class ErrorReporter {
+  constructor() {
+    /** @type {Object|null} .NET reference with a JSInvokable OnErrorReports(reports) method */
+    this.dotNetRef = null;
+
+    /** @type {Array<Object>} Reports waiting to be sent */
+    this.queue = this._loadStoredReports();
+
+    /** @type {Array<{timestamp: number, category: string, message: string}>} */
+    this.breadcrumbs = [];
+
+    /** @type {Map<string, {lastReportedAt: number, lastSeenAt: number, suppressed: number}>} Recently seen fingerprints */
+    this.recent = new Map();
+
+    /** @type {number[]} Times of reports accepted in the last minute */
+    this.acceptedAt = [];
+
+    /** @type {number} Reports dropped by the rate limit */
+    this.droppedCount = 0;
+
+    /** @type {WeakSet<Error>} Errors already captured, so a thrown createError is not reported twice */
+    this.seen = new WeakSet();
+
+    /** @type {number|null} */
+    this.flushTimer = null;
+
+    /** @type {boolean} */
+    this.isFlushing = false;
+
+    /** @type {Function[]} */
+    this.cleanups = [];
+
+    /** @type {boolean} */
+    this.isDisposed = false;
+
+    const onError = event => this.capture(event.error || new Error(event.message || 'Script error'), {
+      source: 'onerror',
+      details: {filename: event.filename, line: event.lineno, column: event.colno}
+    });
+    const onRejection = event => this.capture(event.reason, {source: 'unhandledrejection'});
+    const onPageHide = () => this._persist();
+
+    window.addEventListener('error', onError);
+    window.addEventListener('unhandledrejection', onRejection);
+    window.addEventListener('pagehide', onPageHide);
+
+    this.cleanups.push(
+      () => window.removeEventListener('error', onError),
+      () => window.removeEventListener('unhandledrejection', onRejection),
+      () => window.removeEventListener('pagehide', onPageHide),
+      DropBearUtils.onErrorCreated(error => this.capture(error, {source: 'createError'})),
+      EventEmitter.monitor((target, event, data) => this._recordEvent(target, event, data)),
+      DropBearUtils.onInterop(({methodName}) => this.addBreadcrumb('interop', methodName)),
+      ConnectionManager.on('reconnected', () => this.flush())
+    );
+
+    if (this.queue.length) {
+      this._scheduleFlush();
+    }
+
+    logger.debug('ErrorReporter instance created');
+  }
+
+  /**
+   * Capture an error for reporting
+   * @param {*} error - The error, or any rejection reason
+   * @param {Object} [options] - Capture options
+   * @param {string} [options.source='manual'] - Where the error was caught
+   * @param {*} [options.details] - Extra context, merged over the error's own details
+   * @returns {boolean} True if a report was queued; false if it was a duplicate or rate limited
+   */
+  capture(error, {source = 'manual', details} = {}) {
+    if (this.isDisposed) return false;
+
+    if (error instanceof Error) {
+      if (this.seen.has(error)) return false;
+      this.seen.add(error);
+    }
+
+    const report = this._buildReport(error, source, details);
+    const now = report.timestamp;
+
+    // Forget fingerprints not seen for a whole window; one that keeps recurring stays, so its
+    // suppressed repeats are still counted on its next report
+    this.recent.forEach((entry, fingerprint) => {
+      if (now - entry.lastSeenAt >= REPORT_CONFIG.DEDUPE_WINDOW) {
+        this.recent.delete(fingerprint);
+      }
+    });
+
+    const previous = this.recent.get(report.fingerprint);
+    if (previous) {
+      previous.lastSeenAt = now;
+    }
+    if (previous && now - previous.lastReportedAt < REPORT_CONFIG.DEDUPE_WINDOW) {
+      previous.suppressed++;
+      return false;
+    }
+
+    this.acceptedAt = this.acceptedAt.filter(time => now - time < 60000);
+    if (this.acceptedAt.length >= REPORT_CONFIG.MAX_REPORTS_PER_MINUTE) {
+      if (this.droppedCount++ === 0) {
+        logger.warn('Error report rate limit reached, dropping reports');
+      }
+      return false;
+    }
+    this.acceptedAt.push(now);
+
+    // Repeats that were suppressed since the last report are counted on this one
+    report.occurrences = (previous?.suppressed || 0) + 1;
+    this.recent.set(report.fingerprint, {lastReportedAt: now, lastSeenAt: now, suppressed: 0});
+
+    this.queue.push(report);
+    if (this.queue.length > REPORT_CONFIG.MAX_STORED_REPORTS) {
+      this.queue.splice(0, this.queue.length - REPORT_CONFIG.MAX_STORED_REPORTS);
+    }
+
+    if (this.queue.length >= REPORT_CONFIG.BATCH_SIZE) {
+      this.flush();
+    } else {
+      this._scheduleFlush();
+    }
+    return true;
+  }
+
+  /**
+   * Add a breadcrumb of your own to later reports
+   * @param {string} category - Breadcrumb category, e.g. 'navigation'
+   * @param {string} message - What happened
+   */
+  addBreadcrumb(category, message) {
+    this.breadcrumbs.push({timestamp: Date.now(), category, message});
+    if (this.breadcrumbs.length > REPORT_CONFIG.MAX_BREADCRUMBS) {
+      this.breadcrumbs.shift();
+    }
+  }
+
+  /**
+   * Send queued reports to .NET, or keep them in storage if that is not possible right now
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+
+    if (this.isFlushing || !this.queue.length) return;
+    if (!this.dotNetRef || !ConnectionManager.isConnected()) {
+      this._persist();
+      return;
+    }
+
+    this.isFlushing = true;
+    const batch = this.queue.splice(0, REPORT_CONFIG.BATCH_SIZE);
+
+    try {
+      // Called directly, so delivering reports does not leave breadcrumbs in the next ones
+      await this.dotNetRef.invokeMethodAsync('OnErrorReports', batch);
+      this._persist();
+    } catch (error) {
+      // Put the batch back in front of anything captured meanwhile and keep it for later
+      this.queue.unshift(...batch);
+      this._persist();
+      logger.warn('Failed to send error reports, keeping them queued:', error);
+      return;
+    } finally {
+      this.isFlushing = false;
+    }
+
+    if (this.queue.length) {
+      this._scheduleFlush();
+    }
+  }
+
+  /**
+   * Get reporter counters
+   * @returns {{queued: number, dropped: number, breadcrumbs: number}}
+   */
+  getStats() {
+    return {queued: this.queue.length, dropped: this.droppedCount, breadcrumbs: this.breadcrumbs.length};
+  }
+
+  /**
+   * Stop capturing. Queued reports stay in storage for the next page load.
+   */
+  dispose() {
+    if (this.isDisposed) return;
+
+    this.isDisposed = true;
+    clearTimeout(this.flushTimer);
+    this.cleanups.forEach(cleanup => cleanup());
+    this.cleanups = [];
+    this._persist();
+    this.dotNetRef = null;
+    logger.debug('ErrorReporter disposed');
+  }
+
+  /**
+   * Turn an error or rejection reason into a serializable report
+   * @private
+   * @returns {Object}
+   */
+  _buildReport(error, source, details) {
+    const isError = error instanceof Error;
+    const report = {
+      id: crypto.randomUUID(),
+      source,
+      name: isError ? error.name : 'NonError',
+      message: isError ? error.message : String(error),
+      code: error?.code ?? null,
+      component: error?.component ?? null,
+      stack: isError ? error.stack ?? null : null,
+      details: toSerializableDetails(details === undefined ? error?.details : {...error?.details, ...details}),
+      url: window.location?.href ?? null,
+      timestamp: Date.now(),
+      breadcrumbs: this.breadcrumbs.slice(),
+      occurrences: 1
+    };
+    report.fingerprint = fingerprintOf(report);
+    return report;
+  }
+
+  /**
+   * Record an emitted event as a breadcrumb. Interop calls are recorded through onInterop as they
+   * are sent, so ConnectionManager's 'invoked' events only add a note when a call is buffered.
+   * @private
+   */
+  _recordEvent(target, event, data) {
+    if (target === ConnectionManager && event === 'invoked') {
+      const {methodName, buffered} = data.data;
+      if (buffered) {
+        this.addBreadcrumb('interop', `${methodName} (buffered)`);
+      }
+    } else {
+      this.addBreadcrumb('event', data?.id ? `${event} (${data.id})` : event);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _scheduleFlush() {
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), REPORT_CONFIG.FLUSH_INTERVAL);
+    }
+  }
+
+  /**
+   * Mirror the queue into storage so reports survive outages and reloads
+   * @private
+   */
+  _persist() {
+    try {
+      if (this.queue.length) {
+        localStorage.setItem(REPORT_CONFIG.STORAGE_KEY, JSON.stringify(this.queue));
+      } else {
+        localStorage.removeItem(REPORT_CONFIG.STORAGE_KEY);
+      }
+    } catch (error) {
+      logger.warn('Failed to store error reports:', error);
+    }
+  }
+
+  /**
+   * @private
+   * @returns {Array<Object>} Reports queued by an earlier page
+   */
+  _loadStoredReports() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(REPORT_CONFIG.STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      logger.warn('Failed to load stored error reports:', error);
+      return [];
+    }
+  }
+}
+
+// Attach to window first
+window[moduleName] = {
+  __initialized: false,
+  reporter: null,
+
+  initialize: async () => {
+    if (isInitialized) {
+      return;
+    }
+
+    try {
+      logger.debug('Error reporter module initializing');
+
+      // Initialize dependencies first
+      await window.DropBearUtils.initialize();
+      await window.DropBearCore.initialize();
+
+      window[moduleName].reporter = new ErrorReporter();
+
+      isInitialized = true;
+      window[moduleName].__initialized = true;
+
+      logger.debug('Error reporter module initialized');
+    } catch (error) {
+      logger.error('Error reporter initialization failed:', error);
+      throw error;
+    }
+  },
+
+  setDotNetReference: dotNetRef => {
+    if (!window[moduleName].reporter) {
+      throw new Error('Module not initialized');
+    }
+    window[moduleName].reporter.dotNetRef = dotNetRef;
+    window[moduleName].reporter.flush();
+    logger.debug('.NET reference set for error reporter');
+  },
+
+  capture: (error, options) => window[moduleName].reporter?.capture(error, options) ?? false,
+
+  addBreadcrumb: (category, message) => window[moduleName].reporter?.addBreadcrumb(category, message),
+
+  flush: () => window[moduleName].reporter?.flush() ?? Promise.resolve(),
+
+  getStats: () => window[moduleName].reporter?.getStats() ?? null,
+
+  isInitialized: () => isInitialized,
+
+  dispose: () => {
+    if (window[moduleName].reporter) {
+      window[moduleName].reporter.dispose();
+      window[moduleName].reporter = null;
+    }
+    isInitialized = false;
+    window[moduleName].__initialized = false;
+    logger.debug('Error reporter module disposed');
+  }
+};
+
+// Register with ModuleManager after window attachment
+window.DropBearModuleManager.register(
+  moduleName,
+  {
+    initialize: () => window[moduleName].initialize(),
+    isInitialized: () => window[moduleName].isInitialized(),
+    dispose: () => window[moduleName].dispose()
+  },
+  ['DropBearUtils', 'DropBearCore'],
+  {version: moduleVersion}
+);
+
+// Export the API functions under a unique namespace for the error reporter module.
+export const DropBearErrorReporterAPI = {
+  /**
+   * Initializes the error reporter module and starts capturing errors.
+   * @returns {Promise<void>}
+   */
+  initialize: () => window[moduleName].initialize(),
+
+  /**
+   * Sets the .NET reference whose OnErrorReports(reports) receives report batches, and sends any queued reports.
+   * @param {Object} dotNetRef - The .NET reference for Blazor interop.
+   */
+  setDotNetReference: DropBearUtils.withValidation('setDotNetReference', {dotNetRef: Schema.dotNetRef().nullable()},
+    dotNetRef => window[moduleName].setDotNetReference(dotNetRef)),
+
+  /**
+   * Captures an error that was handled but should still be reported.
+   * @param {*} error - The error.
+   * @param {Object} [options] - Capture options: source and details.
+   * @returns {boolean} True if a report was queued.
+   */
+  capture: DropBearUtils.withValidation('capture', {
+    error: Schema.any(),
+    options: Schema.object({source: Schema.string().optional()}).optional()
+  }, (error, options) => window[moduleName].capture(error, options)),
+
+  /**
+   * Adds a breadcrumb to later reports.
+   * @param {string} category - Breadcrumb category.
+   * @param {string} message - What happened.
+   */
+  addBreadcrumb: DropBearUtils.withValidation('addBreadcrumb', {category: Schema.id(), message: Schema.string()},
+    (category, message) => window[moduleName].addBreadcrumb(category, message)),
+
+  /**
+   * Sends queued reports now.
+   * @returns {Promise<void>}
+   */
+  flush: () => window[moduleName].flush(),
+
+  /**
+   * Gets reporter counters.
+   * @returns {{queued: number, dropped: number, breadcrumbs: number}|null}
+   */
+  getStats: () => window[moduleName].getStats(),
+
+  /**
+   * Checks whether the error reporter module is initialized.
+   * @returns {boolean}
+   */
+  isInitialized: () => window[moduleName].isInitialized(),
+
+  /**
+   * Stops capturing errors. Queued reports are kept in storage.
+   */
+  dispose: () => window[moduleName].dispose()
+};
+
+export {ErrorReporter};
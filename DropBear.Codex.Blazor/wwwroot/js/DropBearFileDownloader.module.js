@@ -1,27 +1,428 @@
-/**
+﻿/**
  * @fileoverview File downloader module for handling downloads from streams or byte arrays
  * @module file-downloader
  */
 
-import { DOMOperationQueue, EventEmitter, CircuitBreaker } from './DropBearCore.module.js';
-import { DropBearUtils } from './DropBearUtils.module.js';
+import { DOMOperationQueue, EventEmitter, CircuitBreakerRegistry, RetryPolicy } from './DropBearCore.module.js';
+import { DropBearUtils, Schema } from './DropBearUtils.module.js';
 
 const logger = DropBearUtils.createLogger('DropBearFileDownloader');
-const circuitBreaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 30000 });
+const circuitBreaker = CircuitBreakerRegistry.get(CircuitBreakerRegistry.DOTNET);
+const interopRetryPolicy = new RetryPolicy({ circuitBreaker });
 let isInitialized = false;
 const moduleName = 'DropBearFileDownloader';
+const moduleVersion = '1.0.0';
+
+/** @type {Object} Download configuration constants */
+const DOWNLOAD_CONFIG = {
+  STREAM_THRESHOLD: 1024 * 1024 * 50, // Stream references of a known size at or above 50MB bypass the Blob path
+  SERVICE_WORKER_URL: new URL('./DropBearFileDownloader.sw.js', import.meta.url).href,
+  SERVICE_WORKER_TIMEOUT: 10000, // 10 seconds for each service worker step: registering, activating, and handing off a download
+  PROGRESS_INTERVAL: 250 // Minimum milliseconds between progress reports
+};
+
+// Registration fails with a TypeError when the worker script cannot be fetched, which is worth retrying
+const serviceWorkerRetryPolicy = new RetryPolicy({ baseDelay: 500, retryOn: ['TypeError'] });
+
+/**
+ * Reject if a promise does not settle in time
+ * @param {Promise<*>} promise - The promise to wait for
+ * @param {string} message - Error message on timeout
+ * @returns {Promise<*>} Settles as the promise does, or rejects with SERVICE_WORKER_TIMEOUT
+ */
+function withServiceWorkerTimeout(promise, message) {
+  let timeoutId = null;
+  const timeout = new Promise((resolve, reject) => {
+    timeoutId = setTimeout(
+      () => reject(DropBearUtils.createError(message, 'SERVICE_WORKER_TIMEOUT', moduleName)),
+      DOWNLOAD_CONFIG.SERVICE_WORKER_TIMEOUT
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+/**
+ * Register the download service worker and wait until it is active.
+ * The page itself is outside the worker's scope; only download URLs are routed through it.
+ * @returns {Promise<ServiceWorker|null>} The active worker, or null if service workers are unavailable
+ */
+async function registerDownloadServiceWorker() {
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+    return null;
+  }
+
+  const registration = await withServiceWorkerTimeout(
+    navigator.serviceWorker.register(DOWNLOAD_CONFIG.SERVICE_WORKER_URL),
+    'Timed out registering the download service worker'
+  );
+  if (registration.active) {
+    return registration.active;
+  }
+
+  const worker = registration.installing || registration.waiting;
+  let onStateChange = null;
+  const activated = new Promise((resolve, reject) => {
+    onStateChange = () => {
+      if (worker.state === 'activated') {
+        resolve(worker);
+      } else if (worker.state === 'redundant') {
+        reject(new Error('Download service worker failed to install'));
+      }
+    };
+    worker.addEventListener('statechange', onStateChange);
+    onStateChange();
+  });
+
+  return withServiceWorkerTimeout(activated, 'Timed out waiting for the download service worker')
+    .finally(() => worker.removeEventListener('statechange', onStateChange));
+}
+
+/** @type {Object} ZIP format constants (PKWARE APPNOTE) */
+const ZIP_FORMAT = {
+  LOCAL_FILE_HEADER: 0x04034b50,
+  DATA_DESCRIPTOR: 0x08074b50,
+  CENTRAL_DIRECTORY_HEADER: 0x02014b50,
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+  VERSION: 20, // 2.0: deflate and folders
+  FLAGS: 0x0808, // Bit 3: sizes and CRC follow the data; bit 11: UTF-8 names
+  METHOD_STORE: 0,
+  METHOD_DEFLATE: 8,
+  MAX_SIZE: 0xffffffff, // Larger archives would need ZIP64
+  MAX_ENTRIES: 0xffff
+};
+
+/** @type {Uint32Array} CRC-32 lookup table (IEEE polynomial) */
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Continue a CRC-32 over another chunk of data
+ * @param {number} crc - CRC of the data so far (0 to start)
+ * @param {Uint8Array} bytes - Next chunk
+ * @returns {number} Updated CRC
+ */
+function updateCrc32(crc, bytes) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC32_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Check whether the browser can produce raw deflate data
+ * @returns {boolean}
+ */
+function supportsDeflateRaw() {
+  try {
+    new CompressionStream('deflate-raw');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Convert a date to MS-DOS time and date fields
+ * @param {Date} date - The date to convert
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Get the byte length of content whose size is known up front
+ * @param {*} content - Entry content
+ * @param {number} [declaredSize] - Size supplied by the caller
+ * @returns {number|null} Size in bytes, or null if unknown
+ */
+function getContentSize(content, declaredSize) {
+  if (typeof declaredSize === 'number') return declaredSize;
+  if (content instanceof Blob) return content.size;
+  if (content instanceof Uint8Array || content instanceof ArrayBuffer) return content.byteLength;
+  return null;
+}
+
+/**
+ * Normalise an entry name to a forward-slash relative path. Backslashes become slashes, and a
+ * leading slash or drive letter and any empty or '.' segments are dropped.
+ * @param {*} name - The entry name as given
+ * @returns {{path: string, traversal: boolean}} The path, and whether it tried to leave its root with '..'
+ */
+function normalizeEntryName(name) {
+  if (typeof name !== 'string') {
+    return { path: '', traversal: false };
+  }
+
+  const segments = name
+    .replace(/\\/g, '/')
+    .replace(/^[a-zA-Z]:(?=\/|$)/, '')
+    .split('/')
+    .filter(segment => segment !== '' && segment !== '.');
+
+  return { path: segments.join('/'), traversal: segments.includes('..') };
+}
+
+/**
+ * Validate multi-file download entries and normalise their names to forward-slash relative paths
+ * @param {Array<Object>} entries - Archive or directory entries
+ * @returns {Array<Object>} Entries with normalised names
+ * @throws {Error} If the entry list is empty or has missing, duplicate or path-traversing ('..') names
+ */
+function normalizeEntries(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw DropBearUtils.createError('At least one entry is required', 'INVALID_ENTRIES', moduleName);
+  }
+
+  const names = new Set();
+  return entries.map((entry, index) => {
+    const { path: name, traversal } = normalizeEntryName(entry?.name);
+
+    if (!name) {
+      throw DropBearUtils.createError(`Entry ${index} has no name`, 'INVALID_ENTRIES', moduleName, { index });
+    }
+    if (traversal) {
+      throw DropBearUtils.createError(
+        `Entry name must not contain '..' segments: ${entry.name}`,
+        'INVALID_ENTRIES',
+        moduleName,
+        { index, name: entry.name }
+      );
+    }
+    if (names.has(name)) {
+      throw DropBearUtils.createError(`Duplicate entry name: ${name}`, 'INVALID_ENTRIES', moduleName, { name });
+    }
+    names.add(name);
+
+    return { ...entry, name };
+  });
+}
+
+/**
+ * Build showSaveFilePicker options for a download
+ * @param {string} fileName - Suggested file name
+ * @param {string} [contentType] - MIME type, used to describe the accepted type when none are given
+ * @param {{types?: Array<Object>, startIn?: string, pickerId?: string}} options - Download options
+ * @returns {Object} Picker options
+ */
+function buildSavePickerOptions(fileName, contentType, options) {
+  const pickerOptions = { suggestedName: fileName };
+  const extension = fileName.includes('.') ? fileName.slice(fileName.lastIndexOf('.')) : '';
+  const mimeType = contentType ? contentType.split(';')[0].trim() : '';
+
+  if (options.types) {
+    pickerOptions.types = options.types;
+  } else if (mimeType && extension) {
+    pickerOptions.types = [{ description: `${extension.slice(1).toUpperCase()} file`, accept: { [mimeType]: [extension] } }];
+  }
+  if (options.startIn) pickerOptions.startIn = options.startIn;
+  if (options.pickerId) pickerOptions.id = options.pickerId;
+
+  return pickerOptions;
+}
+
+/**
+ * Resolve a relative path inside a picked directory, creating folders as needed
+ * @param {FileSystemDirectoryHandle} directory - The root directory
+ * @param {string} path - Forward-slash relative path of the file
+ * @returns {Promise<FileSystemFileHandle>}
+ */
+async function getFileHandleAtPath(directory, path) {
+  const segments = path.split('/').filter(Boolean);
+  let current = directory;
+  for (const segment of segments.slice(0, -1)) {
+    current = await current.getDirectoryHandle(segment, { create: true });
+  }
+  return current.getFileHandle(segments[segments.length - 1], { create: true });
+}
+
+/**
+ * Build a ZIP archive as a stream. Each entry is written as a local header, its data
+ * (deflated or stored) and a data descriptor, so no entry has to be buffered to learn
+ * its size or CRC first; the central directory follows the last entry.
+ * @param {Array<{name: string, content: *, lastModified?: number|Date, compress?: boolean}>} entries - Normalised entries
+ * @param {Object} io - Stream plumbing
+ * @param {function(*): Promise<ReadableStream<Uint8Array>>} io.openEntry - Opens an entry's content
+ * @param {function(number): void} [io.onBytesRead] - Called with the size of each uncompressed chunk read
+ * @param {AbortSignal} [io.signal] - Aborts the archive
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function createZipStream(entries, { openEntry, onBytesRead = () => {}, signal }) {
+  const encoder = new TextEncoder();
+  const canDeflate = supportsDeflateRaw();
+
+  const checkSize = value => {
+    if (value > ZIP_FORMAT.MAX_SIZE) {
+      throw DropBearUtils.createError('ZIP archive exceeds 4GB, which requires ZIP64', 'ZIP_TOO_LARGE', moduleName);
+    }
+  };
+
+  async function* writeEntries() {
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+      signal?.throwIfAborted();
+
+      const nameBytes = encoder.encode(entry.name);
+      const method = canDeflate && entry.compress !== false ? ZIP_FORMAT.METHOD_DEFLATE : ZIP_FORMAT.METHOD_STORE;
+      const { time, date } = toDosDateTime(new Date(entry.lastModified ?? Date.now()));
+      const headerOffset = offset;
+
+      const localHeader = new Uint8Array(30 + nameBytes.length);
+      const local = new DataView(localHeader.buffer);
+      local.setUint32(0, ZIP_FORMAT.LOCAL_FILE_HEADER, true);
+      local.setUint16(4, ZIP_FORMAT.VERSION, true);
+      local.setUint16(6, ZIP_FORMAT.FLAGS, true);
+      local.setUint16(8, method, true);
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      // CRC and sizes (14-25) stay zero; they are written to the data descriptor
+      local.setUint16(26, nameBytes.length, true);
+      localHeader.set(nameBytes, 30);
+      yield localHeader;
+      offset += localHeader.length;
+
+      let crc = 0;
+      let uncompressedSize = 0;
+      let compressedSize = 0;
+
+      let data = (await openEntry(entry.content)).pipeThrough(new TransformStream({
+        transform(chunk, controller) {
+          crc = updateCrc32(crc, chunk);
+          uncompressedSize += chunk.byteLength;
+          onBytesRead(chunk.byteLength);
+          controller.enqueue(chunk);
+        }
+      }));
+      if (method === ZIP_FORMAT.METHOD_DEFLATE) {
+        data = data.pipeThrough(new CompressionStream('deflate-raw'));
+      }
+
+      const reader = data.getReader();
+      try {
+        for (;;) {
+          signal?.throwIfAborted();
+          const { done, value } = await reader.read();
+          if (done) break;
+          compressedSize += value.byteLength;
+          yield value;
+        }
+      } catch (error) {
+        reader.cancel(error).catch(() => {});
+        throw error;
+      }
+      offset += compressedSize;
+      checkSize(uncompressedSize);
+      checkSize(offset);
+
+      const descriptor = new Uint8Array(16);
+      const view = new DataView(descriptor.buffer);
+      view.setUint32(0, ZIP_FORMAT.DATA_DESCRIPTOR, true);
+      view.setUint32(4, crc, true);
+      view.setUint32(8, compressedSize, true);
+      view.setUint32(12, uncompressedSize, true);
+      yield descriptor;
+      offset += descriptor.length;
+
+      const header = new Uint8Array(46 + nameBytes.length);
+      const central = new DataView(header.buffer);
+      central.setUint32(0, ZIP_FORMAT.CENTRAL_DIRECTORY_HEADER, true);
+      central.setUint16(4, ZIP_FORMAT.VERSION, true);
+      central.setUint16(6, ZIP_FORMAT.VERSION, true);
+      central.setUint16(8, ZIP_FORMAT.FLAGS, true);
+      central.setUint16(10, method, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, compressedSize, true);
+      central.setUint32(24, uncompressedSize, true);
+      central.setUint16(28, nameBytes.length, true);
+      // Extra field, comment, disk number and attributes (30-41) stay zero
+      central.setUint32(42, headerOffset, true);
+      header.set(nameBytes, 46);
+      centralDirectory.push(header);
+    }
+
+    const directoryOffset = offset;
+    let directorySize = 0;
+    for (const header of centralDirectory) {
+      yield header;
+      directorySize += header.length;
+    }
+    checkSize(directoryOffset + directorySize);
+
+    const end = new Uint8Array(22);
+    const view = new DataView(end.buffer);
+    view.setUint32(0, ZIP_FORMAT.END_OF_CENTRAL_DIRECTORY, true);
+    view.setUint16(8, centralDirectory.length, true);
+    view.setUint16(10, centralDirectory.length, true);
+    view.setUint32(12, directorySize, true);
+    view.setUint32(16, directoryOffset, true);
+    yield end;
+  }
+
+  const chunks = writeEntries();
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await chunks.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    cancel() {
+      return chunks.return();
+    }
+  });
+}
+
 /**
  * Download manager for handling file downloads
  * @implements {IDownloadManager}
  */
 class DownloadManager {
-  constructor() {
-    /** @type {Set<string>} - Track active downloads by ID */
-    this.activeDownloads = new Set();
+  /**
+   * @param {Object} [dotNetRef=null] - Optional .NET reference notified of download progress and cancellation
+   */
+  constructor(dotNetRef = null) {
+    /** @type {Object|null} */
+    this.dotNetRef = dotNetRef;
+
+    /**
+     * @type {Map<string, {fileName: string, controller: AbortController, bytesReceived: number, totalBytes: number|null, lastReportedAt: number}>}
+     * Track active downloads by ID
+     */
+    this.activeDownloads = new Map();
 
     /** @type {boolean} */
     this.isDisposed = false;
 
+    /** @type {Function[]} Cleanup functions for events forwarded to .NET */
+    this.eventForwarders = [];
+
+    /** @type {Promise<ServiceWorker|null>|null} */
+    this.serviceWorkerPromise = null;
+
     EventEmitter.emit(
       this,
       'created',
@@ -34,25 +435,176 @@ class DownloadManager {
   }
 
   /**
-   * Download a file from a stream or byte array
+   * Download a file from a stream or byte array. Large or unsized .NET stream references are
+   * streamed to disk instead of being buffered in memory.
    * @param {string} fileName - The file name for the download
-   * @param {Blob | ArrayBuffer | Uint8Array} content - The file content
+   * @param {Blob | ArrayBuffer | Uint8Array | DotNetStreamReference} content - The file content
    * @param {string} [contentType] - The MIME type for the file
+   * @param {Object} [options] - Download options
+   * @param {number} [options.size] - Content length in bytes, when known
+   * @param {string} [options.downloadId] - Caller-chosen ID for progress reports and cancelDownload
+   * @param {boolean} [options.saveAs=false] - Let the user choose where to save via showSaveFilePicker
+   * @param {Array<Object>} [options.types] - Accepted types for the save picker; derived from contentType if omitted
+   * @param {string} [options.startIn] - Well-known directory the picker opens in, e.g. 'documents'
+   * @param {string} [options.pickerId] - ID under which the browser remembers the last-used folder
+   * @param {boolean} [options.stream] - Stream a .NET stream reference instead of buffering it into a Blob.
+   *   Defaults to streaming only when options.size is at least STREAM_THRESHOLD.
    * @returns {Promise<void>}
    */
-  async downloadFileFromStream(fileName, content, contentType) {
+  downloadFileFromStream(fileName, content, contentType, options = {}) {
+    return this._runDownload(fileName, options, async (downloadId, download) => {
+      logger.debug('Starting download:', { fileName, contentType, downloadId });
+
+      // Pick before reading any content, while the user activation that started the download is still valid
+      const fileHandle = options.saveAs ? await this._pickSaveFile(fileName, contentType, options) : null;
+
+      if (this._shouldStream(content, options)) {
+        await this._streamDownload(downloadId, download, content, contentType, fileHandle);
+      } else {
+        const blob = await this._createBlob(downloadId, download, content, contentType);
+
+        // In-memory content arrives all at once, so there is nothing to report until now
+        download.bytesReceived = blob.size;
+        download.totalBytes = download.totalBytes ?? blob.size;
+        download.controller.signal.throwIfAborted();
+
+        await this._saveBlob(blob, fileName, fileHandle);
+      }
+    });
+  }
+
+  /**
+   * Bundle several files into a single ZIP archive and download it. Entries are read and
+   * compressed one chunk at a time while the archive is assembled.
+   * @param {string} archiveName - The file name for the archive
+   * @param {Array<{name: string, content: Blob | ArrayBuffer | Uint8Array | DotNetStreamReference, size?: number, lastModified?: number|Date, compress?: boolean}>} entries - Archive entries; names may contain '/' for folders
+   * @param {Object} [options] - Download options
+   * @param {string} [options.downloadId] - Caller-chosen ID for progress reports and cancelDownload
+   * @param {boolean} [options.saveAs=false] - Let the user choose where to save the archive
+   * @returns {Promise<boolean>}
+   */
+  downloadAsZip(archiveName, entries, options = {}) {
+    return this._runDownload(archiveName, options, async (downloadId, download) => {
+      const zipEntries = normalizeEntries(entries);
+      if (zipEntries.length > ZIP_FORMAT.MAX_ENTRIES) {
+        throw DropBearUtils.createError(
+          `ZIP archives are limited to ${ZIP_FORMAT.MAX_ENTRIES} entries`,
+          'ZIP_TOO_LARGE',
+          moduleName,
+          { entries: zipEntries.length }
+        );
+      }
+
+      const fileHandle = options.saveAs ? await this._pickSaveFile(archiveName, 'application/zip', options) : null;
+
+      // Progress counts uncompressed bytes read, as the archive's final size is not known up front
+      const sizes = zipEntries.map(entry => getContentSize(entry.content, entry.size));
+      download.totalBytes = sizes.includes(null) ? null : sizes.reduce((sum, size) => sum + size, 0);
+
+      logger.debug('Starting ZIP download:', { archiveName, entries: zipEntries.length, downloadId });
+
+      const archive = createZipStream(zipEntries, {
+        openEntry: content => this._openContentStream(content),
+        onBytesRead: byteCount => {
+          download.bytesReceived += byteCount;
+          this._reportProgress(downloadId, download);
+        },
+        signal: download.controller.signal
+      });
+
+      if (fileHandle && await this._writeToFileHandle(fileHandle, archive)) {
+        return;
+      }
+
+      const blob = await new Response(archive).blob();
+      download.controller.signal.throwIfAborted();
+
+      await this._initiateDownload(new Blob([blob], { type: 'application/zip' }), archiveName);
+    });
+  }
+
+  /**
+   * Write several files into a folder the user picks with showDirectoryPicker. Falls back to
+   * one anchor download per file when the API is missing or permission is denied.
+   * @param {Array<{name: string, content: Blob | ArrayBuffer | Uint8Array | DotNetStreamReference, contentType?: string, size?: number}>} files - Files to write; names may contain '/' for subfolders
+   * @param {Object} [options] - Download options
+   * @param {string} [options.downloadId] - Caller-chosen ID for progress reports and cancelDownload
+   * @param {string} [options.startIn] - Well-known directory the picker opens in, e.g. 'downloads'
+   * @param {string} [options.pickerId] - ID under which the browser remembers the last-used folder
+   * @returns {Promise<boolean>}
+   */
+  downloadToDirectory(files, options = {}) {
+    const label = Array.isArray(files) ? `${files.length} files` : 'files';
+
+    return this._runDownload(label, options, async (downloadId, download) => {
+      const entries = normalizeEntries(files);
+      const sizes = entries.map(entry => getContentSize(entry.content, entry.size));
+      download.totalBytes = sizes.includes(null) ? null : sizes.reduce((sum, size) => sum + size, 0);
+
+      const directory = await this._pickDirectory(options);
+      if (directory) {
+        download.fileName = directory.name;
+      }
+      logger.debug('Starting directory download:', { files: entries.length, directory: directory?.name, downloadId });
+
+      for (const entry of entries) {
+        download.controller.signal.throwIfAborted();
+
+        const source = await this._openContentStream(entry.content);
+        const stream = this._trackProgress(downloadId, download, source);
+
+        if (directory) {
+          const fileHandle = await getFileHandleAtPath(directory, entry.name);
+          if (await this._writeToFileHandle(fileHandle, stream)) {
+            continue;
+          }
+        }
+
+        const blob = await new Response(stream).blob();
+        download.controller.signal.throwIfAborted();
+        // Anchor downloads cannot create folders, so flatten the path into the file name
+        await this._initiateDownload(new Blob([blob], { type: entry.contentType }), entry.name.replace(/\//g, '_'));
+      }
+    });
+  }
+
+  /**
+   * Track a download from start to finish: registers it for progress and cancellation, then
+   * emits the completion, failure or cancellation events around the supplied work.
+   * @private
+   * @param {string} fileName - The file name for the download
+   * @param {{size?: number, downloadId?: string}} options - Download options
+   * @param {function(string, Object): Promise<void>} work - Performs the download given its ID and record
+   * @returns {Promise<boolean>}
+   */
+  async _runDownload(fileName, options, work) {
     if (this.isDisposed) {
       throw new Error('Cannot download from disposed manager');
     }
 
-    const downloadId = crypto.randomUUID();
+    const downloadId = options.downloadId || crypto.randomUUID();
+    if (this.activeDownloads.has(downloadId)) {
+      throw DropBearUtils.createError(
+        `Download ${downloadId} is already in progress`,
+        'DOWNLOAD_IN_PROGRESS',
+        moduleName,
+        { downloadId }
+      );
+    }
+
+    const download = {
+      fileName,
+      controller: new AbortController(),
+      bytesReceived: 0,
+      totalBytes: typeof options.size === 'number' ? options.size : null,
+      lastReportedAt: 0
+    };
 
     try {
-      this.activeDownloads.add(downloadId);
-      logger.debug('Starting download:', { fileName, contentType, downloadId });
+      this.activeDownloads.set(downloadId, download);
+      await work(downloadId, download);
 
-      const blob = await this._createBlob(content, contentType);
-      await this._initiateDownload(blob, fileName);
+      this._reportProgress(downloadId, download, true);
 
       EventEmitter.emit(
         this,
@@ -67,6 +619,11 @@ class DownloadManager {
       return true; // Explicitly return true on success
 
     } catch (error) {
+      if (download.controller.signal.aborted || error.code === 'DOWNLOAD_CANCELLED') {
+        this._notifyCancelled(downloadId, download);
+        throw download.controller.signal.reason || error;
+      }
+
       logger.error('Download failed:', { fileName, error, downloadId });
 
       EventEmitter.emit(
@@ -85,14 +642,421 @@ class DownloadManager {
     }
   }
 
+  /**
+   * Cancel an active download, aborting the read of its content
+   * @param {string} downloadId - ID of the download to cancel
+   * @returns {boolean} True if a matching download was found
+   */
+  cancelDownload(downloadId) {
+    const download = this.activeDownloads.get(downloadId);
+    if (!download) {
+      return false;
+    }
+
+    download.controller.abort(
+      DropBearUtils.createError('Download cancelled', 'DOWNLOAD_CANCELLED', moduleName, {
+        downloadId,
+        fileName: download.fileName
+      })
+    );
+
+    logger.debug('Download cancellation requested:', { downloadId });
+    return true;
+  }
+
+  /**
+   * Get the progress of an active download
+   * @param {string} downloadId - ID of the download
+   * @returns {{fileName: string, bytesReceived: number, totalBytes: number|null, percent: number|null}|null}
+   */
+  getDownloadProgress(downloadId) {
+    const download = this.activeDownloads.get(downloadId);
+    if (!download) {
+      return null;
+    }
+
+    const { fileName, bytesReceived, totalBytes } = download;
+    return {
+      fileName,
+      bytesReceived,
+      totalBytes,
+      percent: totalBytes ? Math.min(100, Math.round((bytesReceived / totalBytes) * 100)) : null
+    };
+  }
+
+  /**
+   * Emit a download-progress event and notify .NET, at most once per PROGRESS_INTERVAL
+   * @private
+   * @param {string} downloadId - ID of the download
+   * @param {Object} download - Active download record
+   * @param {boolean} [force=false] - Report even if the interval has not elapsed
+   */
+  _reportProgress(downloadId, download, force = false) {
+    const now = Date.now();
+    if (!force && now - download.lastReportedAt < DOWNLOAD_CONFIG.PROGRESS_INTERVAL) {
+      return;
+    }
+    download.lastReportedAt = now;
+
+    const progress = this.getDownloadProgress(downloadId);
+
+    EventEmitter.emit(
+      this,
+      'download-progress',
+      DropBearUtils.createEvent(downloadId, 'download-progress', {
+        ...progress,
+        timestamp: now
+      })
+    );
+
+    // Progress is advisory; never hold up the stream waiting on .NET
+    if (this.dotNetRef) {
+      DropBearUtils.invokeDotNet(this.dotNetRef, 'OnDownloadProgress', downloadId, progress)
+        .catch(error => logger.warn('Failed to report download progress:', error));
+    }
+  }
+
+  /**
+   * Emit a download-cancelled event and notify .NET
+   * @private
+   * @param {string} downloadId - ID of the download
+   * @param {Object} download - Active download record
+   */
+  _notifyCancelled(downloadId, download) {
+    logger.debug('Download cancelled:', { fileName: download.fileName, downloadId });
+
+    EventEmitter.emit(
+      this,
+      'download-cancelled',
+      DropBearUtils.createEvent(downloadId, 'download-cancelled', {
+        fileName: download.fileName,
+        bytesReceived: download.bytesReceived,
+        timestamp: Date.now()
+      })
+    );
+
+    // Retries can outlive dispose, which clears this.dotNetRef
+    const dotNetRef = this.dotNetRef;
+    if (dotNetRef) {
+      interopRetryPolicy.execute(() => DropBearUtils.invokeDotNet(dotNetRef, 'OnDownloadCancelled', downloadId))
+        .catch(error => logger.warn('Failed to report download cancellation:', error));
+    }
+  }
+
+  /**
+   * Count bytes as they are read and make the read abortable via the download's controller
+   * @private
+   * @param {string} downloadId - ID of the download
+   * @param {Object} download - Active download record
+   * @param {ReadableStream<Uint8Array>} stream - The content stream
+   * @returns {ReadableStream<Uint8Array>} A stream yielding the same chunks
+   */
+  _trackProgress(downloadId, download, stream) {
+    const counter = new TransformStream({
+      transform: (chunk, controller) => {
+        download.bytesReceived += chunk.byteLength;
+        this._reportProgress(downloadId, download);
+        controller.enqueue(chunk);
+      }
+    });
+
+    return stream.pipeThrough(counter, { signal: download.controller.signal });
+  }
+
+  /**
+   * Decide whether content should bypass the in-memory Blob path. Content of unknown size keeps
+   * the Blob path unless the caller opts in.
+   * @private
+   * @param {*} content - The file content
+   * @param {{size?: number, stream?: boolean}} options - Download options
+   * @returns {boolean} True if the content should be streamed
+   */
+  _shouldStream(content, options) {
+    if (!content || typeof content.stream !== 'function') {
+      return false;
+    }
+    if (typeof options.stream === 'boolean') {
+      return options.stream;
+    }
+    return typeof options.size === 'number' && options.size >= DOWNLOAD_CONFIG.STREAM_THRESHOLD;
+  }
+
+  /**
+   * Stream a .NET stream reference to disk. Writes to the picked file when there is one,
+   * otherwise through the download service worker, and only buffers into a Blob as a last resort.
+   * @private
+   * @param {string} downloadId - ID of the download
+   * @param {Object} download - Active download record
+   * @param {DotNetStreamReference} content - The .NET stream reference
+   * @param {string} [contentType] - MIME type
+   * @param {FileSystemFileHandle|null} fileHandle - File picked via the save dialog, if any
+   * @returns {Promise<void>}
+   */
+  async _streamDownload(downloadId, download, content, contentType, fileHandle) {
+    const { fileName, totalBytes: size } = download;
+    const source = await circuitBreaker.execute(() => content.stream());
+    const stream = this._trackProgress(downloadId, download, source);
+
+    if (fileHandle && await this._writeToFileHandle(fileHandle, stream)) {
+      logger.debug('Streamed download to file system:', { fileName });
+      return;
+    }
+
+    const worker = await this._getServiceWorker();
+    if (worker) {
+      logger.debug('Streaming download through service worker:', { fileName });
+      await this._streamThroughServiceWorker(worker, stream, fileName, contentType, size);
+      return;
+    }
+
+    logger.warn('No streaming download method available, buffering in memory:', { fileName });
+    const blob = await new Response(stream).blob();
+    await this._initiateDownload(new Blob([blob], { type: contentType }), fileName);
+  }
+
+  /**
+   * Ask the user where to save a download
+   * @private
+   * @param {string} fileName - Suggested file name
+   * @param {string} [contentType] - MIME type
+   * @param {Object} options - Download options with optional picker settings
+   * @returns {Promise<FileSystemFileHandle|null>} The chosen file, or null if the picker cannot be used
+   * @throws {Error} If the user cancels the picker
+   */
+  async _pickSaveFile(fileName, contentType, options) {
+    if (typeof window.showSaveFilePicker !== 'function') {
+      return null;
+    }
+
+    try {
+      return await window.showSaveFilePicker(buildSavePickerOptions(fileName, contentType, options));
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw DropBearUtils.createError('Download cancelled by user', 'DOWNLOAD_CANCELLED', moduleName, { fileName });
+      }
+
+      // e.g. SecurityError when the user activation has expired
+      logger.warn('Save file picker unavailable, falling back:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Ask the user for a folder to write downloads into
+   * @private
+   * @param {{startIn?: string, pickerId?: string}} options - Download options
+   * @returns {Promise<FileSystemDirectoryHandle|null>} The chosen folder, or null if the picker cannot be used
+   * @throws {Error} If the user cancels the picker
+   */
+  async _pickDirectory(options) {
+    if (typeof window.showDirectoryPicker !== 'function') {
+      return null;
+    }
+
+    const pickerOptions = { mode: 'readwrite' };
+    if (options.startIn) pickerOptions.startIn = options.startIn;
+    if (options.pickerId) pickerOptions.id = options.pickerId;
+
+    try {
+      return await window.showDirectoryPicker(pickerOptions);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw DropBearUtils.createError('Download cancelled by user', 'DOWNLOAD_CANCELLED', moduleName);
+      }
+
+      logger.warn('Directory picker unavailable, falling back:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Write content to a file the user picked
+   * @private
+   * @param {FileSystemFileHandle} fileHandle - The destination file
+   * @param {Blob | ReadableStream<Uint8Array>} data - The content
+   * @returns {Promise<boolean>} True if written, false if write permission was denied
+   */
+  async _writeToFileHandle(fileHandle, data) {
+    let writable;
+    try {
+      writable = await fileHandle.createWritable();
+    } catch (error) {
+      if (error.name === 'NotAllowedError') {
+        logger.warn('Write permission denied, falling back:', { fileName: fileHandle.name });
+        return false;
+      }
+      throw error;
+    }
+
+    if (data instanceof Blob) {
+      await writable.write(data);
+      await writable.close();
+    } else {
+      await data.pipeTo(writable);
+    }
+    return true;
+  }
+
+  /**
+   * Save a Blob to a picked file, or through the anchor method if none was picked or writing is not allowed
+   * @private
+   * @param {Blob} blob - The content
+   * @param {string} fileName - The file name for the download
+   * @param {FileSystemFileHandle|null} fileHandle - The picked destination, if any
+   * @returns {Promise<void>}
+   */
+  async _saveBlob(blob, fileName, fileHandle) {
+    if (fileHandle && await this._writeToFileHandle(fileHandle, blob)) {
+      return;
+    }
+    await this._initiateDownload(blob, fileName);
+  }
+
+  /**
+   * Get the download service worker, registering it on first use
+   * @private
+   * @returns {Promise<ServiceWorker|null>} The active worker, or null if unavailable
+   */
+  _getServiceWorker() {
+    if (!this.serviceWorkerPromise) {
+      this.serviceWorkerPromise = serviceWorkerRetryPolicy.execute(registerDownloadServiceWorker).catch(error => {
+        logger.warn('Download service worker unavailable:', error);
+        return null;
+      });
+    }
+    return this.serviceWorkerPromise;
+  }
+
+  /**
+   * Serve a stream to the browser's download manager through the service worker.
+   * The worker pulls one chunk at a time, so reading keeps pace with writing. Registering the
+   * download and the first pull are each bounded by SERVICE_WORKER_TIMEOUT; if either fails,
+   * the stream is cancelled so .NET releases it.
+   * @private
+   * @param {ServiceWorker} worker - The active download service worker
+   * @param {ReadableStream<Uint8Array>} stream - The content stream
+   * @param {string} fileName - The file name for the download
+   * @param {string} [contentType] - MIME type
+   * @param {number} [size] - Content length in bytes, when known
+   * @returns {Promise<void>}
+   */
+  async _streamThroughServiceWorker(worker, stream, fileName, contentType, size) {
+    const reader = stream.getReader();
+    const { port1: port, port2 } = new MessageChannel();
+    const frame = document.createElement('iframe');
+    frame.hidden = true;
+
+    try {
+      const downloadUrl = await withServiceWorkerTimeout(
+        new Promise(resolve => {
+          port.onmessage = ({ data }) => {
+            if (data.type === 'registered') {
+              resolve(data.url);
+            }
+          };
+          worker.postMessage(
+            { type: 'register-download', id: crypto.randomUUID(), fileName, contentType, size },
+            [port2]
+          );
+        }),
+        'Timed out registering download with service worker'
+      );
+
+      let started = null;
+      const handedOff = new Promise(resolve => {
+        started = resolve;
+      });
+
+      const transfer = new Promise((resolve, reject) => {
+        port.onmessage = async ({ data }) => {
+          if (data.type === 'cancel') {
+            reject(DropBearUtils.createError('Download cancelled by user', 'DOWNLOAD_CANCELLED', moduleName, { fileName }));
+            return;
+          }
+          if (data.type !== 'pull') {
+            return;
+          }
+
+          started();
+          try {
+            const { done, value } = await reader.read();
+            if (done) {
+              port.postMessage({ type: 'end' });
+              port.close();
+              resolve();
+            } else {
+              port.postMessage({ type: 'chunk', chunk: value }, [value.buffer]);
+            }
+          } catch (error) {
+            port.postMessage({ type: 'error', message: error.message });
+            reject(error);
+          }
+        };
+
+        // Navigating a hidden frame to the download URL hands the response to the download manager
+        frame.src = downloadUrl;
+        DOMOperationQueue.add(() => document.body.appendChild(frame));
+      });
+      // If the handoff times out, the transfer is abandoned and its later failure is not news
+      transfer.catch(() => {});
+
+      await withServiceWorkerTimeout(
+        Promise.race([handedOff, transfer]),
+        'Timed out handing the download to the browser'
+      );
+      await transfer;
+    } catch (error) {
+      // Release the reader so the .NET stream is disposed instead of waiting for a reader that never comes
+      reader.cancel(error).catch(() => {});
+      throw error;
+    } finally {
+      port.close();
+      DOMOperationQueue.add(() => frame.remove());
+    }
+  }
+
+  /**
+   * Open any supported content type as a byte stream
+   * @private
+   * @param {Blob | ArrayBuffer | Uint8Array | DotNetStreamReference} content - The content
+   * @returns {Promise<ReadableStream<Uint8Array>>}
+   */
+  async _openContentStream(content) {
+    if (content instanceof Blob) {
+      return content.stream();
+    }
+    if (content instanceof Uint8Array || content instanceof ArrayBuffer) {
+      return new Blob([content]).stream();
+    }
+    if (content && typeof content.stream === 'function') {
+      return circuitBreaker.execute(() => content.stream());
+    }
+    if (content && typeof content.arrayBuffer === 'function') {
+      const arrayBuffer = await circuitBreaker.execute(() => content.arrayBuffer());
+      return new Blob([arrayBuffer]).stream();
+    }
+    throw new Error('Unsupported content type. Must be Blob, ArrayBuffer, Uint8Array or DotNetStreamReference.');
+  }
+
   /**
    * Create a Blob from the provided content
    * @private
-   * @param {Blob | ArrayBuffer | Uint8Array} content - The file content
+   * @param {string} downloadId - ID of the download
+   * @param {Object} download - Active download record
+   * @param {Blob | ArrayBuffer | Uint8Array | DotNetStreamReference} content - The file content
    * @param {string} [contentType] - MIME type
    * @returns {Promise<Blob>}
    */
-  async _createBlob(content, contentType) {
+  async _createBlob(downloadId, download, content, contentType) {
+    if (content && typeof content.stream === 'function') {
+      // Read stream references incrementally so progress is reported and the read can be cancelled.
+      // Only opening the stream goes through the circuit breaker; a cancelled read is not a failure.
+      logger.debug('Content is a StreamRef, reading stream');
+      const source = await circuitBreaker.execute(() => content.stream());
+      const buffered = await new Response(this._trackProgress(downloadId, download, source)).blob();
+      return new Blob([buffered], { type: contentType });
+    }
+
     return circuitBreaker.execute(async () => {
       let blob;
 
@@ -141,33 +1105,28 @@ class DownloadManager {
     link.download = fileName;
 
     try {
-      // Use DOMOperationQueue to schedule DOM work and return a promise that resolves when complete
-      await new Promise(resolve => {
-        DOMOperationQueue.add(() => {
-          try {
-            // Capture document.body immediately
-            const body = document.body;
-            if (!body) {
-              // If the body is not available, log a warning and exit early
-              console.warn('document.body is not available.');
-              return;
-            }
-            // Append the link to the DOM and trigger the click to start the download
-            body.appendChild(link);
-            link.click();
+      // Use DOMOperationQueue to schedule DOM work; the promise settles once it has run
+      await DOMOperationQueue.add(() => {
+        try {
+          // Capture document.body immediately
+          const body = document.body;
+          if (!body) {
+            // If the body is not available, log a warning and exit early
+            console.warn('document.body is not available.');
+            return;
+          }
+          // Append the link to the DOM and trigger the click to start the download
+          body.appendChild(link);
+          link.click();
 
-            // Check if the link is still attached before removing it
-            if (link.parentNode) {
-              link.parentNode.removeChild(link);
-            }
-          } catch (error) {
-            // Log any errors encountered during the DOM operation
-            console.error('Error during DOM operation in download:', error);
-          } finally {
-            // Always resolve the promise to prevent hanging, regardless of errors
-            resolve();
+          // Check if the link is still attached before removing it
+          if (link.parentNode) {
+            link.parentNode.removeChild(link);
           }
-        });
+        } catch (error) {
+          // Log any errors encountered during the DOM operation
+          console.error('Error during DOM operation in download:', error);
+        }
       });
 
       console.debug('Download link clicked:', fileName);
@@ -200,6 +1159,18 @@ class DownloadManager {
     return this.activeDownloads.size;
   }
 
+  /**
+   * Forward events emitted by this manager (e.g. 'download-*') to .NET through OnEventEmitted
+   * @param {string|string[]} patterns - Event names or wildcard patterns
+   * @param {Object} [dotNetRef=this.dotNetRef] - .NET reference receiving the events
+   * @returns {Function} Cleanup function that stops forwarding
+   */
+  forwardEvents(patterns, dotNetRef = this.dotNetRef) {
+    const stop = EventEmitter.forwardToDotNet(this, patterns, dotNetRef);
+    this.eventForwarders.push(stop);
+    return stop;
+  }
+
   /**
    * Dispose the download manager
    */
@@ -208,7 +1179,9 @@ class DownloadManager {
 
     logger.debug('Disposing DownloadManager');
     this.isDisposed = true;
+    Array.from(this.activeDownloads.keys()).forEach(downloadId => this.cancelDownload(downloadId));
     this.activeDownloads.clear();
+    this.dotNetRef = null;
 
     EventEmitter.emit(
       this,
@@ -217,6 +1190,10 @@ class DownloadManager {
         timestamp: Date.now()
       })
     );
+
+    // Stop forwarding only after 'disposed' has been delivered
+    this.eventForwarders.forEach(stop => stop());
+    this.eventForwarders = [];
   }
 }
 // Attach to window first
@@ -248,7 +1225,7 @@ window[moduleName] = {
     }
   },
 
-  downloadFileFromStream: async (fileName, content, contentType) => {
+  downloadFileFromStream: async (fileName, content, contentType, options) => {
     if (!isInitialized) {
       throw new Error('Module not initialized');
     }
@@ -258,7 +1235,60 @@ window[moduleName] = {
     }
 
     return window[moduleName].downloadManager
-      .downloadFileFromStream(fileName, content, contentType);
+      .downloadFileFromStream(fileName, content, contentType, options);
+  },
+
+  downloadAsZip: (archiveName, entries, options) => {
+    if (!isInitialized) {
+      return Promise.reject(new Error('Module not initialized'));
+    }
+
+    if (!window[moduleName].downloadManager) {
+      return Promise.reject(new Error('DownloadManager not created'));
+    }
+
+    return window[moduleName].downloadManager.downloadAsZip(archiveName, entries, options);
+  },
+
+  downloadToDirectory: (files, options) => {
+    if (!isInitialized) {
+      return Promise.reject(new Error('Module not initialized'));
+    }
+
+    if (!window[moduleName].downloadManager) {
+      return Promise.reject(new Error('DownloadManager not created'));
+    }
+
+    return window[moduleName].downloadManager.downloadToDirectory(files, options);
+  },
+
+  setDotNetReference: dotNetRef => {
+    if (!window[moduleName].downloadManager) {
+      throw new Error('DownloadManager not created');
+    }
+    window[moduleName].downloadManager.dotNetRef = dotNetRef;
+    logger.debug('.NET reference set for file downloader');
+  },
+
+  forwardEvents: (patterns, dotNetRef) => {
+    if (!window[moduleName].downloadManager) {
+      throw new Error('DownloadManager not created');
+    }
+    window[moduleName].downloadManager.forwardEvents(patterns, dotNetRef);
+  },
+
+  cancelDownload: downloadId => {
+    if (!window[moduleName].downloadManager) {
+      return false;
+    }
+    return window[moduleName].downloadManager.cancelDownload(downloadId);
+  },
+
+  getDownloadProgress: downloadId => {
+    if (!window[moduleName].downloadManager) {
+      return null;
+    }
+    return window[moduleName].downloadManager.getDownloadProgress(downloadId);
   },
 
   getActiveDownloadCount: () => {
@@ -289,10 +1319,29 @@ window.DropBearModuleManager.register(
     isInitialized: () => window[moduleName].isInitialized(),
     dispose: () => window[moduleName].dispose()
   },
-  ['DropBearUtils', 'DropBearCore']
+  ['DropBearUtils', 'DropBearCore'],
+  { version: moduleVersion }
 );
 
 // Export API functions under a unique namespace for the file downloader module.
+/** @type {Object} Argument schemas shared by the download entry points */
+const DOWNLOAD_SCHEMAS = {
+  options: Schema.object({
+    size: Schema.number({ min: 0 }).nullable().optional(),
+    downloadId: Schema.id().nullable().optional(),
+    stream: Schema.boolean().nullable().optional(),
+    saveAs: Schema.boolean().optional(),
+    types: Schema.arrayOf(Schema.object()).optional(),
+    startIn: Schema.string().optional(),
+    pickerId: Schema.string().optional()
+  }).nullable().optional(),
+  entry: Schema.object({
+    name: Schema.id(),
+    size: Schema.number({ min: 0 }).nullable().optional(),
+    contentType: Schema.string().nullable().optional()
+  })
+};
+
 export const DropBearFileDownloaderAPI = {
   /**
    * Initializes the file downloader module.
@@ -303,12 +1352,75 @@ export const DropBearFileDownloaderAPI = {
   /**
    * Downloads a file from a stream or byte array.
    * @param {string} fileName - The desired file name.
-   * @param {Blob | ArrayBuffer | Uint8Array} content - The file content.
+   * @param {Blob | ArrayBuffer | Uint8Array | DotNetStreamReference} content - The file content.
    * @param {string} [contentType] - The MIME type of the file.
+   * @param {Object} [options] - Download options: { size } so large streams bypass the Blob path, { stream } to
+   *   choose explicitly, { downloadId } to track or cancel the download, { saveAs, types, startIn, pickerId } to show a save dialog.
    * @returns {Promise<void>}
    */
-  downloadFileFromStream: async (fileName, content, contentType) =>
-    window[moduleName].downloadFileFromStream(fileName, content, contentType),
+  downloadFileFromStream: DropBearUtils.withValidation('downloadFileFromStream', {
+    fileName: Schema.id(),
+    content: Schema.any(),
+    contentType: Schema.string().nullable().optional(),
+    options: DOWNLOAD_SCHEMAS.options
+  }, async (fileName, content, contentType, options) =>
+    window[moduleName].downloadFileFromStream(fileName, content, contentType, options)),
+
+  /**
+   * Bundles several files into one ZIP archive and downloads it.
+   * @param {string} archiveName - The desired archive file name.
+   * @param {Array<{name: string, content: Blob | ArrayBuffer | Uint8Array | DotNetStreamReference, size?: number, lastModified?: number, compress?: boolean}>} entries - The archive entries.
+   * @param {Object} [options] - Download options, e.g. { downloadId } to track or cancel the download.
+   * @returns {Promise<boolean>}
+   */
+  downloadAsZip: DropBearUtils.withValidation('downloadAsZip', {
+    archiveName: Schema.id(),
+    entries: Schema.arrayOf(DOWNLOAD_SCHEMAS.entry),
+    options: DOWNLOAD_SCHEMAS.options
+  }, async (archiveName, entries, options) => window[moduleName].downloadAsZip(archiveName, entries, options)),
+
+  /**
+   * Writes several files into a folder the user picks, or downloads them one by one if that is unavailable.
+   * @param {Array<{name: string, content: Blob | ArrayBuffer | Uint8Array | DotNetStreamReference, contentType?: string, size?: number}>} files - The files to write.
+   * @param {Object} [options] - Download options, e.g. { downloadId, startIn, pickerId }.
+   * @returns {Promise<boolean>}
+   */
+  downloadToDirectory: DropBearUtils.withValidation('downloadToDirectory', {
+    files: Schema.arrayOf(DOWNLOAD_SCHEMAS.entry),
+    options: DOWNLOAD_SCHEMAS.options
+  }, async (files, options) => window[moduleName].downloadToDirectory(files, options)),
+
+  /**
+   * Sets the .NET reference notified through OnDownloadProgress and OnDownloadCancelled.
+   * @param {Object} dotNetRef - The .NET reference for Blazor interop.
+   */
+  setDotNetReference: DropBearUtils.withValidation('setDotNetReference', { dotNetRef: Schema.dotNetRef().nullable() },
+    dotNetRef => window[moduleName].setDotNetReference(dotNetRef)),
+
+  /**
+   * Forwards download events to .NET. The reference's OnEventEmitted(eventName, data) is called
+   * for each event matching one of the patterns until the manager is disposed.
+   * @param {string|string[]} patterns - Event names or wildcard patterns, e.g. 'download-*'.
+   * @param {Object} [dotNetRef] - The .NET reference to notify; defaults to the one set via setDotNetReference.
+   */
+  forwardEvents: DropBearUtils.withValidation('forwardEvents', {
+    patterns: Schema.union([Schema.id(), Schema.arrayOf(Schema.id())]),
+    dotNetRef: Schema.dotNetRef().optional()
+  }, (patterns, dotNetRef) => window[moduleName].forwardEvents(patterns, dotNetRef)),
+
+  /**
+   * Cancels an active download.
+   * @param {string} downloadId - The ID passed as options.downloadId when the download started.
+   * @returns {boolean} True if a matching download was cancelled.
+   */
+  cancelDownload: (downloadId) => window[moduleName].cancelDownload(downloadId),
+
+  /**
+   * Returns the progress of an active download.
+   * @param {string} downloadId - The ID of the download.
+   * @returns {{fileName: string, bytesReceived: number, totalBytes: number|null, percent: number|null}|null}
+   */
+  getDownloadProgress: (downloadId) => window[moduleName].getDownloadProgress(downloadId),
 
   /**
    * Returns the count of active downloads.
@@ -330,5 +1442,5 @@ export const DropBearFileDownloaderAPI = {
 };
 
 // Also export the DownloadManager class if you need direct access to it.
-export { DownloadManager };
+export { DownloadManager, createZipStream };
 
@@ -0,0 +1,96 @@
+/**
+ * @fileoverview Service worker backing streamed downloads for DropBearFileDownloader.
+ * The page registers a download over a MessageChannel and then navigates to its URL; the
+ * worker answers that request with a stream whose chunks are pulled from the page on demand.
+ * @module file-downloader-sw
+ */
+
+/** @type {string} Path segment (relative to the worker scope) used for download URLs */
+const DOWNLOAD_PATH = '__dropbear_download__/';
+
+/** @type {Map<string, {fileName: string, contentType: string, size: number|null, port: MessagePort}>} */
+const pendingDownloads = new Map();
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', event => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', event => {
+  const data = event.data;
+  if (!data || data.type !== 'register-download' || !event.ports[0]) {
+    return;
+  }
+
+  const port = event.ports[0];
+  const url = new URL(
+    `${DOWNLOAD_PATH}${encodeURIComponent(data.id)}/${encodeURIComponent(data.fileName)}`,
+    self.registration.scope
+  ).href;
+
+  pendingDownloads.set(url, {
+    fileName: data.fileName,
+    contentType: data.contentType || 'application/octet-stream',
+    size: typeof data.size === 'number' ? data.size : null,
+    port
+  });
+
+  port.postMessage({type: 'registered', url});
+});
+
+self.addEventListener('fetch', event => {
+  const download = pendingDownloads.get(event.request.url);
+  if (!download) {
+    return;
+  }
+
+  // Each download URL can be used once
+  pendingDownloads.delete(event.request.url);
+
+  const {port} = download;
+  let pendingPull = null;
+
+  const stream = new ReadableStream({
+    start(controller) {
+      port.onmessage = ({data}) => {
+        if (data.type === 'chunk') {
+          controller.enqueue(data.chunk);
+        } else if (data.type === 'end') {
+          controller.close();
+          port.close();
+        } else if (data.type === 'error') {
+          controller.error(new Error(data.message));
+          port.close();
+        }
+
+        if (pendingPull) {
+          pendingPull();
+          pendingPull = null;
+        }
+      };
+    },
+
+    // Ask the page for one chunk at a time so it never reads ahead of the browser's download
+    pull() {
+      return new Promise(resolve => {
+        pendingPull = resolve;
+        port.postMessage({type: 'pull'});
+      });
+    },
+
+    cancel() {
+      port.postMessage({type: 'cancel'});
+      port.close();
+    }
+  });
+
+  const headers = new Headers({
+    'Content-Type': download.contentType,
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.fileName)}`,
+    'X-Content-Type-Options': 'nosniff'
+  });
+  if (download.size !== null) {
+    headers.set('Content-Length', String(download.size));
+  }
+
+  event.respondWith(new Response(stream, {headers}));
+});
@@ -3,18 +3,43 @@
  * @module file-reader-helpers
  */
 
-import {DropBearUtils} from './DropBearUtils.module.js';
+import {DropBearUtils, Schema} from './DropBearUtils.module.js';
 
 const logger = DropBearUtils.createLogger('DropBearFileReaderHelpers');
 let isInitialized = false;
 const moduleName = 'DropBearFileReaderHelpers';
+const moduleVersion = '1.0.0';
 const droppedFileStore = new Map();
+const previewUrls = new Set();
 
 /** @type {Object} Reader configuration constants */
 const READER_CONFIG = {
   MAX_CHUNK_SIZE: 1024 * 1024 * 10, // 10MB max chunk size
   DEFAULT_CHUNK_SIZE: 1024 * 1024,    // 1MB default chunk size
-  READ_TIMEOUT: 30000                 // 30 second timeout for read operations
+  READ_TIMEOUT: 30000,                // 30 second timeout for read operations
+  MAX_DIRECTORY_DEPTH: 16,            // Folder nesting levels traversed below a dropped item
+  MAX_DROPPED_FILES: 5000,            // Files collected from a single drop
+  MAX_DROPPED_TOTAL_SIZE: 1024 * 1024 * 1024 * 10 // 10GB collected from a single drop
+};
+
+/** @type {Object} Preview generation defaults */
+const PREVIEW_CONFIG = {
+  MAX_WIDTH: 200,
+  MAX_HEIGHT: 200,
+  IMAGE_TYPE: 'image/jpeg',
+  IMAGE_QUALITY: 0.8,
+  TEXT_LINES: 10,
+  TEXT_SCAN_SIZE: 64 * 1024,          // Bytes read for text previews
+  PDF_MAX_SIZE: 1024 * 1024 * 50,     // Largest PDF read into memory, to render with pdf.js or scan for a page count
+  VIDEO_SEEK_TIME: 0.1,               // Seconds into the video used for the poster frame
+  VIDEO_FRAME_TIMEOUT: 5000,          // Time allowed to decode the poster frame before giving up
+  TEXT_EXTENSIONS: ['txt', 'csv', 'tsv', 'log', 'json', 'md', 'xml']
+};
+
+/** @type {Object} Argument schemas shared by the chunk readers */
+const CHUNK_ARGS = {
+  offset: Schema.integer({min: 0}),
+  count: Schema.integer({min: 1, max: READER_CONFIG.MAX_CHUNK_SIZE})
 };
 
 /**
@@ -87,6 +112,15 @@ function extractFiles(dataTransfer) {
       }
     }
 
+    // Dropped folders surface as zero-byte File objects; skip them here.
+    // Folder contents are collected asynchronously by collectDroppedFiles.
+    const directoryNames = getDroppedEntries(dataTransfer)
+      .filter(entry => entry.isDirectory)
+      .map(entry => entry.name);
+    if (directoryNames.length > 0) {
+      files = files.filter(file => !(directoryNames.includes(file.name) && file.size === 0));
+    }
+
     // Validate that we actually got File objects
     files = files.filter(file => file instanceof File);
 
@@ -101,44 +135,407 @@ function extractFiles(dataTransfer) {
   }
 }
 
+/**
+ * Private helper to get the FileSystemEntry for each dropped item.
+ * Must be called synchronously within the drop event, while the DataTransfer is still readable.
+ * @param {DataTransfer} dataTransfer - The DataTransfer object from a drop event.
+ * @returns {FileSystemEntry[]} The dropped entries.
+ */
+function getDroppedEntries(dataTransfer) {
+  if (!dataTransfer.items) {
+    return [];
+  }
+
+  return Array.from(dataTransfer.items)
+    .filter(item => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+    .map(item => item.webkitGetAsEntry())
+    .filter(entry => entry !== null);
+}
+
+/**
+ * Private helper to read all children of a directory.
+ * readEntries returns results in batches, so it is called until it yields an empty batch.
+ * @param {FileSystemDirectoryEntry} directoryEntry - The directory to read.
+ * @returns {Promise<FileSystemEntry[]>} The directory's children.
+ */
+function readDirectoryEntries(directoryEntry) {
+  const reader = directoryEntry.createReader();
+  const entries = [];
+
+  return new Promise((resolve, reject) => {
+    const readBatch = () => {
+      reader.readEntries(batch => {
+        if (batch.length === 0) {
+          resolve(entries);
+          return;
+        }
+        entries.push(...batch);
+        readBatch();
+      }, reject);
+    };
+    readBatch();
+  });
+}
+
+/**
+ * Private helper to get the File behind a FileSystemFileEntry.
+ * @param {FileSystemFileEntry} fileEntry - The file entry.
+ * @returns {Promise<File>} The file.
+ */
+function getEntryFile(fileEntry) {
+  return new Promise((resolve, reject) => {
+    fileEntry.file(resolve, reject);
+  });
+}
+
+/**
+ * Private helper to recursively collect files from dropped entries, keeping each file's path
+ * relative to the drop. Folders deeper than the depth limit are skipped, and traversal stops
+ * altogether, without reading further folders, once the file-count or size limit is reached.
+ * @param {FileSystemEntry[]} entries - The dropped entries.
+ * @param {{maxDepth: number, maxFiles: number, maxTotalSize: number}} limits - Traversal limits.
+ * @returns {Promise<Array<{file: File, relativePath: string}>>} The collected files.
+ */
+async function traverseEntries(entries, limits) {
+  const results = [];
+  let skippedDirectories = 0;
+  let stoppedBy = null;
+  let totalSize = 0;
+
+  const visit = async (entry, parentPath, depth) => {
+    if (stoppedBy) return;
+    if (results.length >= limits.maxFiles) {
+      stoppedBy = 'maxFiles';
+      return;
+    }
+
+    const relativePath = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory) {
+      if (depth >= limits.maxDepth) {
+        skippedDirectories++;
+        return;
+      }
+      const children = await readDirectoryEntries(entry);
+      for (const child of children) {
+        await visit(child, relativePath, depth + 1);
+      }
+      return;
+    }
+
+    const file = await getEntryFile(entry);
+    if (totalSize + file.size > limits.maxTotalSize) {
+      stoppedBy = 'maxTotalSize';
+      return;
+    }
+
+    totalSize += file.size;
+    results.push({file, relativePath});
+  };
+
+  for (const entry of entries) {
+    await visit(entry, '', 0);
+  }
+
+  if (skippedDirectories > 0 || stoppedBy) {
+    logger.warn('Dropped folder exceeded traversal limits, some entries were skipped:', {skippedDirectories, stoppedBy, limits});
+  }
+
+  logger.debug('Collected files from dropped folders:', {count: results.length, totalSize});
+  return results;
+}
+
+/**
+ * Private helper to collect dropped files, descending into dropped folders.
+ * The entries are read synchronously; only the folder traversal is asynchronous.
+ * @param {DataTransfer} dataTransfer - The DataTransfer object from a drop event.
+ * @param {{maxDepth: number, maxFiles: number, maxTotalSize: number}} limits - Traversal limits.
+ * @returns {Promise<Array<{file: File, relativePath: string}>>} The collected files.
+ */
+function collectDroppedFiles(dataTransfer, limits) {
+  const entries = getDroppedEntries(dataTransfer);
+
+  if (!entries.some(entry => entry.isDirectory)) {
+    return Promise.resolve(
+      extractFiles(dataTransfer).map(file => ({file, relativePath: file.webkitRelativePath || file.name}))
+    );
+  }
+
+  return traverseEntries(entries, limits).catch(error => {
+    logger.error('Error traversing dropped folders:', error);
+    return [];
+  });
+}
+
+/**
+ * Private helper to create a canvas, preferring OffscreenCanvas where supported.
+ * @param {number} width - Canvas width.
+ * @param {number} height - Canvas height.
+ * @returns {OffscreenCanvas|HTMLCanvasElement} The canvas.
+ */
+function createCanvas(width, height) {
+  return typeof OffscreenCanvas !== 'undefined'
+    ? new OffscreenCanvas(width, height)
+    : Object.assign(document.createElement('canvas'), {width, height});
+}
+
+/**
+ * Private helper to fit source dimensions within the preview bounds without upscaling.
+ * @param {number} width - Source width.
+ * @param {number} height - Source height.
+ * @param {{maxWidth: number, maxHeight: number}} options - Preview options.
+ * @returns {{width: number, height: number}} Scaled dimensions.
+ */
+function fitDimensions(width, height, options) {
+  const scale = Math.min(1, options.maxWidth / width, options.maxHeight / height);
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+/**
+ * Private helper to encode a canvas as a preview URL. Object URLs are tracked so that
+ * clearDroppedFileStore can revoke them.
+ * @param {OffscreenCanvas|HTMLCanvasElement} canvas - The rendered preview.
+ * @param {{urlType: string, imageType: string, quality: number}} options - Preview options.
+ * @returns {Promise<string>} A data URL or object URL.
+ */
+async function canvasToUrl(canvas, options) {
+  const blob = typeof canvas.convertToBlob === 'function'
+    ? await canvas.convertToBlob({type: options.imageType, quality: options.quality})
+    : await new Promise((resolve, reject) => {
+      canvas.toBlob(result => (result ? resolve(result) : reject(new Error('Failed to encode preview'))),
+        options.imageType, options.quality);
+    });
+
+  if (options.urlType === 'data') {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  const url = URL.createObjectURL(blob);
+  previewUrls.add(url);
+  return url;
+}
+
+/**
+ * Private helper to render a downscaled thumbnail of an image file.
+ * @param {File} file - The image file.
+ * @param {Object} options - Preview options.
+ * @returns {Promise<Object>} The preview.
+ */
+async function createImagePreview(file, options) {
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file, {imageOrientation: 'from-image'});
+  } catch (error) {
+    // Formats the browser cannot decode this way, e.g. SVG or HEIC, simply get no preview
+    logger.debug('Image could not be decoded for a preview:', {fileName: file.name, error});
+    return {Kind: 'none'};
+  }
+
+  try {
+    const {width, height} = fitDimensions(bitmap.width, bitmap.height, options);
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+
+    // JPEG has no alpha channel, so transparent pixels would otherwise come out black
+    if (options.imageType === 'image/jpeg') {
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, width, height);
+    }
+    context.drawImage(bitmap, 0, 0, width, height);
+
+    return {
+      Kind: 'image',
+      Url: await canvasToUrl(canvas, options),
+      Width: width,
+      Height: height,
+      SourceWidth: bitmap.width,
+      SourceHeight: bitmap.height
+    };
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Private helper to render a poster frame from the start of a video file. Videos the browser
+ * cannot decode in time, or that have no picture, get no preview.
+ * @param {File} file - The video file.
+ * @param {Object} options - Preview options.
+ * @returns {Promise<Object>} The preview.
+ */
+async function createVideoPreview(file, options) {
+  const sourceUrl = URL.createObjectURL(file);
+  const video = document.createElement('video');
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = 'auto';
+
+  let timeoutId = null;
+  try {
+    try {
+      await new Promise((resolve, reject) => {
+        timeoutId = setTimeout(() => reject(new Error('Timed out loading video')), PREVIEW_CONFIG.VIDEO_FRAME_TIMEOUT);
+        video.addEventListener('loadeddata', () => {
+          video.currentTime = Math.min(PREVIEW_CONFIG.VIDEO_SEEK_TIME, (video.duration || 0) / 2);
+        }, {once: true});
+        video.addEventListener('seeked', resolve, {once: true});
+        video.addEventListener('error', () => reject(new Error('Failed to load video')), {once: true});
+        video.src = sourceUrl;
+      });
+    } catch (error) {
+      logger.debug('Video could not be decoded for a preview:', {fileName: file.name, error});
+      return {Kind: 'none'};
+    }
+    if (!video.videoWidth || !video.videoHeight) {
+      return {Kind: 'none'};
+    }
+
+    const {width, height} = fitDimensions(video.videoWidth, video.videoHeight, options);
+    const canvas = createCanvas(width, height);
+    canvas.getContext('2d').drawImage(video, 0, 0, width, height);
+
+    return {
+      Kind: 'video',
+      Url: await canvasToUrl(canvas, options),
+      Width: width,
+      Height: height,
+      SourceWidth: video.videoWidth,
+      SourceHeight: video.videoHeight,
+      Duration: video.duration
+    };
+  } finally {
+    clearTimeout(timeoutId);
+    video.removeAttribute('src');
+    video.load();
+    URL.revokeObjectURL(sourceUrl);
+  }
+}
+
+/**
+ * Private helper to read the first lines of a text file.
+ * @param {File} file - The text file.
+ * @param {Object} options - Preview options.
+ * @returns {Promise<Object>} The preview.
+ */
+async function createTextPreview(file, options) {
+  const buffer = await file.slice(0, PREVIEW_CONFIG.TEXT_SCAN_SIZE).arrayBuffer();
+  const lines = new TextDecoder('utf-8').decode(buffer).split(/\r?\n/);
+
+  // The last line may have been cut off by the scan limit
+  if (file.size > PREVIEW_CONFIG.TEXT_SCAN_SIZE && lines.length > 1) {
+    lines.pop();
+  }
+
+  return {
+    Kind: 'text',
+    Lines: lines.slice(0, options.lines),
+    Truncated: lines.length > options.lines || file.size > PREVIEW_CONFIG.TEXT_SCAN_SIZE
+  };
+}
+
+/**
+ * Private helper to preview a PDF. The first page is rendered when pdf.js is loaded on the page
+ * (window.pdfjsLib); otherwise only the page count is estimated from the document structure.
+ * Files above PDF_MAX_SIZE are not read at all.
+ * @param {File} file - The PDF file.
+ * @param {Object} options - Preview options.
+ * @returns {Promise<Object>} The preview.
+ */
+async function createPdfPreview(file, options) {
+  if (file.size > PREVIEW_CONFIG.PDF_MAX_SIZE) {
+    return {Kind: 'pdf', Url: null, PageCount: null};
+  }
+
+  const pdfjs = window.pdfjsLib;
+
+  if (pdfjs && typeof pdfjs.getDocument === 'function') {
+    const pdf = await pdfjs.getDocument({data: await file.arrayBuffer()}).promise;
+    try {
+      const page = await pdf.getPage(1);
+      const baseViewport = page.getViewport({scale: 1});
+      const {width} = fitDimensions(baseViewport.width, baseViewport.height, options);
+      const viewport = page.getViewport({scale: width / baseViewport.width});
+      const canvas = createCanvas(Math.round(viewport.width), Math.round(viewport.height));
+
+      await page.render({canvasContext: canvas.getContext('2d'), viewport}).promise;
+
+      return {
+        Kind: 'pdf',
+        Url: await canvasToUrl(canvas, options),
+        Width: canvas.width,
+        Height: canvas.height,
+        PageCount: pdf.numPages
+      };
+    } finally {
+      await pdf.destroy();
+    }
+  }
+
+  const text = new TextDecoder('latin1').decode(await file.arrayBuffer());
+  // Each page object is tagged /Type /Page; the page tree nodes are /Type /Pages
+  const pageCount = (text.match(/\/Type\s*\/Page(?![a-zA-Z])/g) || []).length || null;
+
+  return {Kind: 'pdf', Url: null, PageCount: pageCount};
+}
+
 /**
  * Helper functions for file operations.
  */
 const FileReaderHelpers = {
   /**
-   * Initializes a drop zone with direct file capture.
+   * Initializes a drop zone with direct file capture. Dropped folders are traversed recursively.
    * @param {HTMLElement} element - The drop zone element.
+   * @param {Object} [options] - Folder traversal limits.
+   * @param {number} [options.maxDepth=READER_CONFIG.MAX_DIRECTORY_DEPTH] - Folder nesting levels to descend.
+   * @param {number} [options.maxFiles=READER_CONFIG.MAX_DROPPED_FILES] - Maximum files collected per drop.
+   * @param {number} [options.maxTotalSize=READER_CONFIG.MAX_DROPPED_TOTAL_SIZE] - Maximum bytes collected per drop.
    */
-  initializeDropZone(element) {
+  initializeDropZone(element, options = {}) {
     if (!element) {
       logger.error('No element provided to initialize drop zone');
       return;
     }
 
+    const limits = {
+      maxDepth: READER_CONFIG.MAX_DIRECTORY_DEPTH,
+      maxFiles: READER_CONFIG.MAX_DROPPED_FILES,
+      maxTotalSize: READER_CONFIG.MAX_DROPPED_TOTAL_SIZE,
+      ...options
+    };
+
     element.addEventListener('drop', e => {
       e.preventDefault();
-      const files = Array.from(e.dataTransfer.files);
-      element._actualFiles = files;
+      element._actualFilesPromise = collectDroppedFiles(e.dataTransfer, limits).then(files => {
+        element._actualFiles = files;
 
-      logger.debug('Captured files directly:', files.map(f => ({
-        name: f.name,
-        size: f.size,
-        type: f.type
-      })));
+        logger.debug('Captured files directly:', files.map(({file, relativePath}) => ({
+          name: file.name,
+          relativePath,
+          size: file.size,
+          type: file.type
+        })));
+
+        return files;
+      });
     });
   },
   /**
    * Get file info from a File object.
    * @param {File} file - The file to get info from.
    * @returns {{name: string, size: number, type: string, lastModified: number}}
-   * @throws {TypeError} If invalid file is provided.
+   * @throws {Error} INVALID_ARGUMENT if file is not a File.
    */
   getFileInfo(file) {
-    if (!(file instanceof File)) {
-      logger.error('Invalid file object provided to getFileInfo');
-      throw new TypeError('Input must be a File object');
-    }
     try {
+      DropBearUtils.validateArgs([file], {file: Schema.file()}, 'getFileInfo');
       const info = {
         name: file.name,
         size: file.size,
@@ -161,20 +558,8 @@ const FileReaderHelpers = {
    * @returns {Promise<Uint8Array>} The file chunk as a Uint8Array.
    */
   async readFileChunk(file, offset, count) {
-    if (!(file instanceof File)) {
-      logger.error('Invalid file object provided to readFileChunk');
-      throw new TypeError('Input must be a File object');
-    }
     try {
-      if (typeof offset !== 'number' || offset < 0) {
-        throw new TypeError('Offset must be a non-negative number');
-      }
-      if (typeof count !== 'number' || count <= 0) {
-        throw new TypeError('Count must be a positive number');
-      }
-      if (count > READER_CONFIG.MAX_CHUNK_SIZE) {
-        throw new Error(`Chunk size cannot exceed ${READER_CONFIG.MAX_CHUNK_SIZE} bytes`);
-      }
+      DropBearUtils.validateArgs([file, offset, count], {file: Schema.file(), ...CHUNK_ARGS}, 'readFileChunk');
       const blob = file.slice(offset, offset + count);
       const arrayBuffer = await blob.arrayBuffer();
       const chunk = new Uint8Array(arrayBuffer);
@@ -220,10 +605,22 @@ const FileReaderHelpers = {
 
   /**
    * Retrieve dropped file keys from a Blazor DataTransfer object.
+   * Files inside dropped folders are included; use getFileInfoByKey for their relative paths.
+   * @param {Object} blazorDataTransfer - The DataTransfer object from Blazor
+   * @returns {Promise<string[]>} An array of keys referencing the dropped files.
+   */
+  async getDroppedFileKeys(blazorTransfer) {
+    const entries = await FileReaderHelpers.getDroppedFileEntries(blazorTransfer);
+    return entries.map(entry => entry.Key);
+  },
+
+  /**
+   * Retrieve dropped file keys together with each file's path relative to the drop.
+   * A dropped top-level name matches that file, or every file inside that folder.
    * @param {Object} blazorDataTransfer - The DataTransfer object from Blazor
-   * @returns {string[]} An array of keys referencing the dropped files.
+   * @returns {Promise<Array<{Key: string, RelativePath: string}>>} The stored files.
    */
-  getDroppedFileKeys(blazorTransfer) {
+  async getDroppedFileEntries(blazorTransfer) {
     if (!blazorTransfer || !blazorTransfer.fileNames || !blazorTransfer.fileTypes) {
       logger.error('Invalid transfer data provided');
       throw new TypeError('Invalid transfer data');
@@ -233,37 +630,39 @@ const FileReaderHelpers = {
       logger.debug('Processing Blazor transfer data:', blazorTransfer);
 
       const dropzone = document.querySelector('.file-upload-dropzone');
-      const actualFiles = dropzone._actualFiles || [];
+      // Folder traversal may still be running when Blazor asks for the keys
+      const actualFiles = (await dropzone._actualFilesPromise) || dropzone._actualFiles || [];
 
-      logger.debug('Retrieved actual files:', actualFiles.map(f => ({
-        name: f.name,
-        size: f.size,
-        type: f.type
+      logger.debug('Retrieved actual files:', actualFiles.map(({file, relativePath}) => ({
+        name: file.name,
+        relativePath,
+        size: file.size,
+        type: file.type
       })));
 
-      const files = blazorTransfer.fileNames.map((fileName, index) => {
-        const actualFile = actualFiles.find(f => f.name === fileName);
-        if (!actualFile) {
+      const files = blazorTransfer.fileNames.flatMap(fileName => {
+        const matches = actualFiles.filter(({relativePath}) =>
+          relativePath === fileName || relativePath.startsWith(`${fileName}/`)
+        );
+        if (matches.length === 0) {
           logger.warn(`No actual file found for ${fileName}`);
-          return null;
         }
-        return actualFile; // Store the actual File object instead of just metadata
-      }).filter(f => f !== null);
+        return matches; // Store the actual File objects instead of just metadata
+      });
 
-      const keys = files.map(file => {
+      return files.map(({file, relativePath}) => {
         const key = generateUUID();
-        droppedFileStore.set(key, file);
+        droppedFileStore.set(key, {file, relativePath});
         logger.debug('Stored file with key:', {
           key,
           name: file.name,
+          relativePath,
           size: file.size,
           type: file.type,
           hasSlice: typeof file.slice === 'function'
         });
-        return key;
+        return {Key: key, RelativePath: relativePath};
       });
-
-      return keys;
     } catch (error) {
       logger.error('Error processing files:', error);
       return [];
@@ -272,16 +671,17 @@ const FileReaderHelpers = {
 
   /**
    * Retrieve file info for a stored file referenced by its key.
-   * Returns a serializable object with properties: Name, Extension, Size, Type, LastModified.
+   * Returns a serializable object with properties: Name, Extension, Size, Type, LastModified, RelativePath.
    * @param {string} key - The key referencing the file.
-   * @returns {{Name: string, Extension: string, Size: number, Type: string, LastModified: number}}
+   * @returns {{Name: string, Extension: string, Size: number, Type: string, LastModified: number, RelativePath: string}}
    */
   getFileInfoByKey(key) {
-    const file = droppedFileStore.get(key);
-    if (!file) {
+    const stored = droppedFileStore.get(key);
+    if (!stored) {
       logger.error('File not found for key:', key);
       throw new Error(`File not found for key: ${key}`);
     }
+    const {file, relativePath} = stored;
 
     logger.debug('Retrieved file from store:', {
       key,
@@ -296,10 +696,69 @@ const FileReaderHelpers = {
       Extension: file.name ? file.name.split('.').pop() || '' : '',
       Size: file.size || 0,
       Type: file.type || 'application/octet-stream',
-      LastModified: file.lastModified || Date.now()
+      LastModified: file.lastModified || Date.now(),
+      RelativePath: relativePath || file.name
     };
   },
 
+  /**
+   * Generate a preview for a stored file referenced by its key: a thumbnail for images,
+   * a poster frame for video, the first lines for text/CSV, and the page count (plus a
+   * first-page render when pdf.js is loaded) for PDFs up to PDF_MAX_SIZE. Images and videos the
+   * browser cannot decode get Kind 'none'. Object URLs are revoked by clearDroppedFileStore.
+   * @param {string} key - The key referencing the file.
+   * @param {Object} [options] - Preview options.
+   * @param {number} [options.maxWidth=PREVIEW_CONFIG.MAX_WIDTH] - Maximum thumbnail width.
+   * @param {number} [options.maxHeight=PREVIEW_CONFIG.MAX_HEIGHT] - Maximum thumbnail height.
+   * @param {'object'|'data'} [options.urlType='object'] - Return an object URL or a data URL.
+   * @param {string} [options.imageType=PREVIEW_CONFIG.IMAGE_TYPE] - Thumbnail encoding.
+   * @param {number} [options.quality=PREVIEW_CONFIG.IMAGE_QUALITY] - Thumbnail encoder quality.
+   * @param {number} [options.lines=PREVIEW_CONFIG.TEXT_LINES] - Lines returned for text files.
+   * @returns {Promise<{Kind: string, Url?: string|null, Width?: number, Height?: number, Lines?: string[], PageCount?: number|null}>}
+   */
+  async getPreviewByKey(key, options = {}) {
+    const stored = droppedFileStore.get(key);
+    if (!stored) {
+      logger.error('File not found for key:', key);
+      throw new Error(`File not found for key: ${key}`);
+    }
+
+    const {file} = stored;
+    const previewOptions = {
+      maxWidth: PREVIEW_CONFIG.MAX_WIDTH,
+      maxHeight: PREVIEW_CONFIG.MAX_HEIGHT,
+      urlType: 'object',
+      imageType: PREVIEW_CONFIG.IMAGE_TYPE,
+      quality: PREVIEW_CONFIG.IMAGE_QUALITY,
+      lines: PREVIEW_CONFIG.TEXT_LINES,
+      ...options
+    };
+    const type = file.type || '';
+    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+
+    try {
+      let preview;
+      if (type.startsWith('image/')) {
+        preview = await createImagePreview(file, previewOptions);
+      } else if (type.startsWith('video/')) {
+        preview = await createVideoPreview(file, previewOptions);
+      } else if (type === 'application/pdf' || extension === 'pdf') {
+        preview = await createPdfPreview(file, previewOptions);
+      } else if (type.startsWith('text/') || type === 'application/json' ||
+        PREVIEW_CONFIG.TEXT_EXTENSIONS.includes(extension)) {
+        preview = await createTextPreview(file, previewOptions);
+      } else {
+        preview = {Kind: 'none'};
+      }
+
+      logger.debug('Preview generated:', {key, fileName: file.name, kind: preview.Kind});
+      return preview;
+    } catch (error) {
+      logger.error('Error generating preview:', error);
+      throw error;
+    }
+  },
+
   /**
    * Reads a chunk from a stored file identified by key.
    * @param {string} key - The key referencing the file.
@@ -308,10 +767,13 @@ const FileReaderHelpers = {
    * @returns {Promise<string>} The file chunk as a base64 string.
    */
   async readFileChunkByKey(key, offset, count) {
-    const file = droppedFileStore.get(key);
-    if (!file) {
+    DropBearUtils.validateArgs([key, offset, count], {key: Schema.id(), ...CHUNK_ARGS}, 'readFileChunkByKey');
+
+    const stored = droppedFileStore.get(key);
+    if (!stored) {
       throw new Error("File not found for key: " + key);
     }
+    const {file} = stored;
 
     try {
       logger.debug('Reading chunk:', { key, offset, count });
@@ -343,7 +805,8 @@ const FileReaderHelpers = {
    * @returns {File|null} The File associated with the key, or null if not found.
    */
   getDroppedFileByKey(key) {
-    return droppedFileStore.get(key) || null;
+    const stored = droppedFileStore.get(key);
+    return stored ? stored.file : null;
   },
 
   /**
@@ -362,11 +825,13 @@ const FileReaderHelpers = {
   },
 
   /**
-   * Clear the dropped file store.
+   * Clear the dropped file store and revoke any preview object URLs.
    * Call this after processing files to avoid memory buildup.
    */
   clearDroppedFileStore() {
     droppedFileStore.clear();
+    previewUrls.forEach(url => URL.revokeObjectURL(url));
+    previewUrls.clear();
   },
 
   /**
@@ -476,7 +941,8 @@ window.DropBearModuleManager.register(
     isInitialized: () => window[moduleName].isInitialized(),
     dispose: () => window[moduleName].dispose()
   },
-  ['DropBearUtils']
+  ['DropBearUtils'],
+  {version: moduleVersion}
 );
 
 // Export the helper functions under a unique namespace with all methods properly exposed
@@ -486,12 +952,33 @@ export const DropBearFileReaderHelpersAPI = {
   readFileChunk: async (...args) => window[moduleName].readFileChunk(...args),
   getDroppedFiles: (...args) => window[moduleName].getDroppedFiles(...args),
   getDroppedFileKeys: (...args) => window[moduleName].getDroppedFileKeys(...args),
-  getDroppedFileByKey: (...args) => window[moduleName].getDroppedFileByKey(...args),
-  getFileInfoByKey: (...args) => window[moduleName].getFileInfoByKey(...args),
+  getDroppedFileEntries: (...args) => window[moduleName].getDroppedFileEntries(...args),
+  getDroppedFileByKey: DropBearUtils.withValidation('getDroppedFileByKey', {key: Schema.id()},
+    (...args) => window[moduleName].getDroppedFileByKey(...args)),
+  getFileInfoByKey: DropBearUtils.withValidation('getFileInfoByKey', {key: Schema.id()},
+    (...args) => window[moduleName].getFileInfoByKey(...args)),
   readFileChunkByKey: async (...args) => window[moduleName].readFileChunkByKey(...args),
+  getPreviewByKey: DropBearUtils.withValidation('getPreviewByKey', {
+    key: Schema.id(),
+    options: Schema.object({
+      maxWidth: Schema.integer({min: 1}).optional(),
+      maxHeight: Schema.integer({min: 1}).optional(),
+      urlType: Schema.oneOf(['object', 'data']).optional(),
+      imageType: Schema.string().optional(),
+      quality: Schema.number({min: 0, max: 1}).optional(),
+      lines: Schema.integer({min: 1}).optional()
+    }).optional()
+  }, async (...args) => window[moduleName].getPreviewByKey(...args)),
   clearDroppedFileStore: () => window[moduleName].clearDroppedFileStore(),
   initGlobalDropPrevention: () => window[moduleName].initGlobalDropPrevention(),
-  initializeDropZone: element => window[moduleName].initializeDropZone(element),
+  initializeDropZone: DropBearUtils.withValidation('initializeDropZone', {
+    element: Schema.element(),
+    options: Schema.object({
+      maxDepth: Schema.integer({min: 0}).optional(),
+      maxFiles: Schema.integer({min: 1}).optional(),
+      maxTotalSize: Schema.number({min: 1}).optional()
+    }).optional()
+  }, (element, options) => window[moduleName].initializeDropZone(element, options)),
   captureDropData: dataTransfer => window[moduleName].captureDropData(dataTransfer),
   isInitialized: () => window[moduleName].isInitialized(),
   saveState: (...args) => window[moduleName].saveState(...args),
@@ -505,9 +992,11 @@ export const {
   readFileChunk,
   getDroppedFiles,
   getDroppedFileKeys,
+  getDroppedFileEntries,
   getDroppedFileByKey,
   getFileInfoByKey,
   readFileChunkByKey,
+  getPreviewByKey,
   clearDroppedFileStore,
   initGlobalDropPrevention,
   captureDropData,
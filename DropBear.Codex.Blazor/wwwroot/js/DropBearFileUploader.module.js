@@ -3,22 +3,744 @@
  * @module file-uploader
  */
 
-import {CircuitBreaker, DOMOperationQueue, EventEmitter} from './DropBearCore.module.js';
-import {DropBearUtils} from './DropBearUtils.module.js';
+import {CircuitBreakerRegistry, DOMOperationQueue, EventEmitter, RetryPolicy} from './DropBearCore.module.js';
+import {DropBearUtils, Schema} from './DropBearUtils.module.js';
 
 const logger = DropBearUtils.createLogger('DropBearFileUploader');
-const circuitBreaker = new CircuitBreaker({failureThreshold: 3, resetTimeout: 30000});
+const circuitBreaker = CircuitBreakerRegistry.get(CircuitBreakerRegistry.DOTNET);
 let isInitialized = false;
 const moduleName = 'DropBearFileUploader';
+const moduleVersion = '1.0.0';
 
 /** @type {Object} Upload configuration constants */
 const UPLOAD_CONFIG = {
   CHUNK_SIZE: 1024 * 1024, // 1MB chunks
-  MAX_CONCURRENT_CHUNKS: 3,
-  RETRY_ATTEMPTS: 3,
-  RETRY_DELAY: 1000 // 1 second
+  MAX_CONCURRENT_CHUNKS: 3, // In-flight chunks per file
+  MAX_GLOBAL_CHUNKS: 6, // In-flight chunks across all files
+  RETRY_ATTEMPTS: 3, // Retries per chunk after the first attempt
+  RETRY_DELAY: 1000 // Base delay before the first retry, doubled for each further retry
 };
 
+// One chunk upload counts as one breaker call however many attempts it takes. A hash mismatch is
+// retried as well, since re-sending the chunk is how it is resolved.
+const chunkRetryPolicy = new RetryPolicy({
+  maxAttempts: UPLOAD_CONFIG.RETRY_ATTEMPTS + 1,
+  baseDelay: UPLOAD_CONFIG.RETRY_DELAY,
+  retryOn: error => RetryPolicy.isTransient(error) || error?.code === 'CHUNK_HASH_MISMATCH',
+  circuitBreaker
+});
+
+/** @type {Object} Resumable upload persistence constants */
+const RESUME_CONFIG = {
+  DB_NAME: 'DropBearFileUploader',
+  DB_VERSION: 1,
+  STORE_NAME: 'uploads',
+  MAX_AGE: 7 * 24 * 60 * 60 * 1000, // 7 days
+  PERSIST_INTERVAL: 1000 // Minimum milliseconds between state writes while chunks complete
+};
+
+/**
+ * Known file signatures used for magic-byte sniffing. The first match wins, so more specific
+ * signatures must precede the generic ones they overlap with.
+ * @type {Array<{mime: string, extensions: string[], offset: number, bytes: number[]}>}
+ */
+const FILE_SIGNATURES = [
+  {mime: 'image/png', extensions: ['png'], offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]},
+  {mime: 'image/jpeg', extensions: ['jpg', 'jpeg'], offset: 0, bytes: [0xff, 0xd8, 0xff]},
+  {mime: 'image/gif', extensions: ['gif'], offset: 0, bytes: [0x47, 0x49, 0x46, 0x38]},
+  {mime: 'image/webp', extensions: ['webp'], offset: 8, bytes: [0x57, 0x45, 0x42, 0x50]},
+  {mime: 'image/bmp', extensions: ['bmp'], offset: 0, bytes: [0x42, 0x4d]},
+  {mime: 'image/tiff', extensions: ['tif', 'tiff'], offset: 0, bytes: [0x49, 0x49, 0x2a, 0x00]},
+  {mime: 'image/tiff', extensions: ['tif', 'tiff'], offset: 0, bytes: [0x4d, 0x4d, 0x00, 0x2a]},
+  {mime: 'application/pdf', extensions: ['pdf'], offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d]},
+  {mime: 'application/zip', extensions: ['zip', 'docx', 'xlsx', 'pptx', 'jar'], offset: 0, bytes: [0x50, 0x4b, 0x03, 0x04]},
+  {mime: 'application/gzip', extensions: ['gz', 'tgz'], offset: 0, bytes: [0x1f, 0x8b]},
+  {mime: 'application/x-7z-compressed', extensions: ['7z'], offset: 0, bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]},
+  {mime: 'application/vnd.rar', extensions: ['rar'], offset: 0, bytes: [0x52, 0x61, 0x72, 0x21, 0x1a, 0x07]},
+  // ISO base media files share the 'ftyp' box; QuickTime is told apart by its 'qt  ' major brand
+  {mime: 'video/quicktime', extensions: ['mov', 'qt'], offset: 4, bytes: [0x66, 0x74, 0x79, 0x70, 0x71, 0x74, 0x20, 0x20]},
+  {mime: 'video/mp4', extensions: ['mp4', 'm4v'], offset: 4, bytes: [0x66, 0x74, 0x79, 0x70]}
+];
+
+/** @type {Object} Image pre-processing defaults */
+const IMAGE_PROCESSING_DEFAULTS = {
+  maxDimension: 2048,
+  mimeType: 'image/jpeg',
+  quality: 0.85,
+  stripMetadata: true,
+  sourceTypes: ['image/jpeg', 'image/png', 'image/webp']
+};
+
+/** @type {Object<string, string>} File extensions for re-encoded image types */
+const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+};
+
+/** @type {number} Number of leading bytes read for magic-byte sniffing */
+const SIGNATURE_SNIFF_LENGTH = 16;
+
+/** @type {string} Hash algorithm reported to .NET alongside chunk and file hashes */
+const HASH_ALGORITHM = 'SHA-256';
+
+/** @type {Uint32Array} SHA-256 round constants */
+const SHA256_K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/**
+ * Incremental SHA-256. SubtleCrypto can only digest a complete buffer, so whole-file
+ * hashes are computed by feeding the file through this a slice at a time.
+ */
+class StreamingSha256 {
+  constructor() {
+    /** @type {Uint32Array} */
+    this.state = new Uint32Array([
+      0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+    ]);
+
+    /** @type {Uint8Array} Pending bytes of an incomplete 64-byte block */
+    this.buffer = new Uint8Array(64);
+
+    /** @type {number} */
+    this.bufferLength = 0;
+
+    /** @type {number} */
+    this.bytesHashed = 0;
+
+    /** @type {Uint32Array} Message schedule, reused across blocks */
+    this.words = new Uint32Array(64);
+  }
+
+  /**
+   * Feed more data into the hash
+   * @param {Uint8Array} data - Data to hash
+   */
+  update(data) {
+    let offset = 0;
+    this.bytesHashed += data.length;
+
+    if (this.bufferLength > 0) {
+      const take = Math.min(64 - this.bufferLength, data.length);
+      this.buffer.set(data.subarray(0, take), this.bufferLength);
+      this.bufferLength += take;
+      offset = take;
+
+      if (this.bufferLength === 64) {
+        this._compress(this.buffer, 0);
+        this.bufferLength = 0;
+      }
+    }
+
+    while (offset + 64 <= data.length) {
+      this._compress(data, offset);
+      offset += 64;
+    }
+
+    if (offset < data.length) {
+      this.buffer.set(data.subarray(offset), 0);
+      this.bufferLength = data.length - offset;
+    }
+  }
+
+  /**
+   * Finish the hash
+   * @returns {Uint8Array} The 32-byte digest
+   */
+  digest() {
+    // Message length in bits as a 64-bit big-endian integer
+    const bitLengthHigh = Math.floor(this.bytesHashed / 0x20000000);
+    const bitLengthLow = (this.bytesHashed * 8) >>> 0;
+
+    this.buffer[this.bufferLength++] = 0x80;
+    if (this.bufferLength > 56) {
+      this.buffer.fill(0, this.bufferLength);
+      this._compress(this.buffer, 0);
+      this.bufferLength = 0;
+    }
+    this.buffer.fill(0, this.bufferLength, 56);
+
+    const view = new DataView(this.buffer.buffer);
+    view.setUint32(56, bitLengthHigh);
+    view.setUint32(60, bitLengthLow);
+    this._compress(this.buffer, 0);
+
+    const result = new Uint8Array(32);
+    const resultView = new DataView(result.buffer);
+    this.state.forEach((word, index) => resultView.setUint32(index * 4, word));
+    return result;
+  }
+
+  /**
+   * Process one 64-byte block
+   * @private
+   * @param {Uint8Array} bytes - Source bytes
+   * @param {number} offset - Start of the block within bytes
+   */
+  _compress(bytes, offset) {
+    const w = this.words;
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+    for (let i = 0; i < 16; i++) {
+      const j = offset + i * 4;
+      w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let [a, b, c, d, e, f, g, h] = this.state;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    this.state[0] += a;
+    this.state[1] += b;
+    this.state[2] += c;
+    this.state[3] += d;
+    this.state[4] += e;
+    this.state[5] += f;
+    this.state[6] += g;
+    this.state[7] += h;
+  }
+}
+
+/**
+ * Encode bytes as a lowercase hex string
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes to encode
+ * @returns {string} Hex string
+ */
+function toHex(bytes) {
+  return Array.from(new Uint8Array(bytes), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compute the SHA-256 of a buffer, using SubtleCrypto where available (secure contexts only)
+ * @param {ArrayBuffer} data - Data to hash
+ * @returns {Promise<string>} Hex-encoded hash
+ */
+async function sha256Hex(data) {
+  if (crypto && crypto.subtle) {
+    return toHex(await crypto.subtle.digest(HASH_ALGORITHM, data));
+  }
+
+  const hasher = new StreamingSha256();
+  hasher.update(new Uint8Array(data));
+  return toHex(hasher.digest());
+}
+
+/**
+ * Build a fingerprint identifying a file across page reloads
+ * @param {File} file - The file to fingerprint
+ * @returns {string} Fingerprint string
+ */
+function createFileFingerprint(file) {
+  return [file.name, file.size, file.type, file.lastModified].join(':');
+}
+
+/**
+ * Persistent store for resumable upload state, backed by IndexedDB with an in-memory fallback
+ */
+class UploadStateStore {
+  constructor() {
+    /** @type {Promise<IDBDatabase|null>|null} */
+    this.dbPromise = null;
+
+    /** @type {Map<string, Object>} Used when IndexedDB is unavailable */
+    this.memoryStore = new Map();
+  }
+
+  /**
+   * Open (or create) the backing database
+   * @private
+   * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB cannot be used
+   */
+  _open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        logger.warn('IndexedDB not available, resumable state will not survive reloads');
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(RESUME_CONFIG.DB_NAME, RESUME_CONFIG.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(RESUME_CONFIG.STORE_NAME)) {
+          const store = db.createObjectStore(RESUME_CONFIG.STORE_NAME, {keyPath: 'uploadId'});
+          store.createIndex('fingerprint', 'fingerprint', {unique: false});
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        logger.warn('Failed to open IndexedDB, falling back to memory:', request.error);
+        resolve(null);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the object store inside a transaction
+   * @private
+   * @param {IDBTransactionMode} mode - Transaction mode
+   * @param {Function} operation - Receives the object store and returns an IDBRequest
+   * @returns {Promise<*>} The request result once the transaction completes
+   */
+  async _execute(mode, operation) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(RESUME_CONFIG.STORE_NAME, mode);
+      const request = operation(transaction.objectStore(RESUME_CONFIG.STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Check whether a record has outlived RESUME_CONFIG.MAX_AGE
+   * @private
+   * @param {Object} record - Stored upload record
+   * @returns {boolean} True if the record is stale
+   */
+  _isExpired(record) {
+    return Date.now() - record.updatedAt > RESUME_CONFIG.MAX_AGE;
+  }
+
+  /**
+   * Get all non-expired upload records, removing expired ones
+   * @returns {Promise<Object[]>} Stored upload records
+   */
+  async getAll() {
+    const db = await this._open();
+    const records = db
+      ? await this._execute('readonly', store => store.getAll())
+      : Array.from(this.memoryStore.values());
+
+    const expired = records.filter(record => this._isExpired(record));
+    await Promise.all(expired.map(record => this.delete(record.uploadId)));
+
+    return records.filter(record => !this._isExpired(record));
+  }
+
+  /**
+   * Get the record for an upload
+   * @param {string} uploadId - Unique upload identifier
+   * @returns {Promise<Object|null>} The record, or null if missing or expired
+   */
+  async get(uploadId) {
+    const db = await this._open();
+    const record = db
+      ? await this._execute('readonly', store => store.get(uploadId))
+      : this.memoryStore.get(uploadId);
+
+    if (!record) {
+      return null;
+    }
+    if (this._isExpired(record)) {
+      await this.delete(uploadId);
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * Find an unfinished upload of the same file for an uploader element
+   * @param {string} elementId - The ID of the upload container element
+   * @param {string} fingerprint - File fingerprint
+   * @returns {Promise<Object|null>} The matching record, or null
+   */
+  async findByFingerprint(elementId, fingerprint) {
+    const records = await this.getAll();
+    return records.find(record => record.elementId === elementId && record.fingerprint === fingerprint) || null;
+  }
+
+  /**
+   * Insert or update an upload record
+   * @param {Object} record - Upload record keyed by uploadId
+   * @returns {Promise<void>}
+   */
+  async put(record) {
+    const db = await this._open();
+    const stored = {...record, updatedAt: Date.now()};
+    if (db) {
+      await this._execute('readwrite', store => store.put(stored));
+    } else {
+      this.memoryStore.set(stored.uploadId, stored);
+    }
+  }
+
+  /**
+   * Remove an upload record
+   * @param {string} uploadId - Unique upload identifier
+   * @returns {Promise<void>}
+   */
+  async delete(uploadId) {
+    const db = await this._open();
+    if (db) {
+      await this._execute('readwrite', store => store.delete(uploadId));
+    } else {
+      this.memoryStore.delete(uploadId);
+    }
+  }
+}
+
+const uploadStateStore = new UploadStateStore();
+
+/**
+ * Counting semaphore limiting how many operations run at once
+ */
+class ConcurrencyLimiter {
+  /**
+   * @param {number} limit - Maximum number of concurrent holders
+   */
+  constructor(limit) {
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new TypeError('Limit must be a positive integer');
+    }
+
+    /** @type {number} */
+    this.limit = limit;
+
+    /** @type {number} */
+    this.active = 0;
+
+    /** @type {Function[]} FIFO queue of waiting acquirers */
+    this.waiters = [];
+  }
+
+  /**
+   * Acquire a slot, waiting until one is free
+   * @returns {Promise<void>}
+   */
+  acquire() {
+    if (this.active < this.limit) {
+      this.active++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      this.waiters.push(resolve);
+    });
+  }
+
+  /**
+   * Release a slot, handing it directly to the next waiter if any
+   */
+  release() {
+    const next = this.waiters.shift();
+    if (next) {
+      next();
+    } else {
+      this.active = Math.max(0, this.active - 1);
+    }
+  }
+}
+
+/** @type {ConcurrencyLimiter} Global cap on in-flight chunks across all uploaders */
+const chunkLimiter = new ConcurrencyLimiter(UPLOAD_CONFIG.MAX_GLOBAL_CHUNKS);
+
+/**
+ * Pre-upload validation of a batch of files. Every rule is off unless configured.
+ */
+class FileValidator {
+  /**
+   * @param {Object} [rules={}] - Validation rules
+   * @param {number} [rules.maxFileSize] - Maximum size of a single file in bytes
+   * @param {number} [rules.minFileSize] - Minimum size of a single file in bytes
+   * @param {string[]} [rules.allowedMimeTypes] - Allowed MIME types; "type/*" wildcards are supported
+   * @param {string[]} [rules.allowedExtensions] - Allowed extensions, with or without the leading dot
+   * @param {boolean} [rules.verifyMagicBytes=false] - Check file content against its declared type
+   * @param {number} [rules.maxFileCount] - Maximum number of files per batch
+   * @param {number} [rules.maxTotalSize] - Maximum combined size of a batch in bytes
+   * @param {boolean} [rules.rejectDuplicates=false] - Reject files already in the batch or uploading
+   */
+  constructor(rules = {}) {
+    this.rules = {
+      maxFileSize: null,
+      minFileSize: null,
+      allowedMimeTypes: null,
+      allowedExtensions: null,
+      verifyMagicBytes: false,
+      maxFileCount: null,
+      maxTotalSize: null,
+      rejectDuplicates: false,
+      ...rules
+    };
+
+    if (Array.isArray(this.rules.allowedExtensions)) {
+      this.rules.allowedExtensions = this.rules.allowedExtensions
+        .map(extension => extension.replace(/^\./, '').toLowerCase());
+    }
+  }
+
+  /**
+   * Validate a batch of files
+   * @param {File[]} files - Files to validate
+   * @param {Set<string>} [activeFingerprints=new Set()] - Fingerprints of files already uploading
+   * @returns {Promise<{accepted: File[], rejected: Array<{fileName: string, size: number, type: string, reasons: Array<{code: string, message: string}>}>}>}
+   */
+  async validate(files, activeFingerprints = new Set()) {
+    const accepted = [];
+    const rejected = [];
+    const seenFingerprints = new Set(activeFingerprints);
+    let totalSize = 0;
+
+    for (const file of files) {
+      const reasons = await this._validateFile(file);
+
+      if (this.rules.rejectDuplicates) {
+        const fingerprint = createFileFingerprint(file);
+        if (seenFingerprints.has(fingerprint)) {
+          reasons.push({code: 'DUPLICATE_FILE', message: 'File is already part of this upload'});
+        }
+        seenFingerprints.add(fingerprint);
+      }
+
+      // Batch limits only count files that passed every other check
+      if (reasons.length === 0) {
+        if (this.rules.maxFileCount !== null && accepted.length >= this.rules.maxFileCount) {
+          reasons.push({code: 'MAX_FILE_COUNT', message: `No more than ${this.rules.maxFileCount} files can be uploaded at once`});
+        } else if (this.rules.maxTotalSize !== null && totalSize + file.size > this.rules.maxTotalSize) {
+          reasons.push({code: 'MAX_TOTAL_SIZE', message: `Combined upload size cannot exceed ${this.rules.maxTotalSize} bytes`});
+        }
+      }
+
+      if (reasons.length === 0) {
+        accepted.push(file);
+        totalSize += file.size;
+      } else {
+        rejected.push({
+          fileName: file.name,
+          size: file.size,
+          type: file.type,
+          reasons
+        });
+      }
+    }
+
+    return {accepted, rejected};
+  }
+
+  /**
+   * Apply the per-file rules
+   * @private
+   * @param {File} file - File to validate
+   * @returns {Promise<Array<{code: string, message: string}>>} Reasons for rejection, empty if valid
+   */
+  async _validateFile(file) {
+    const reasons = [];
+    const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+
+    if (this.rules.maxFileSize !== null && file.size > this.rules.maxFileSize) {
+      reasons.push({code: 'FILE_TOO_LARGE', message: `File exceeds the maximum size of ${this.rules.maxFileSize} bytes`});
+    }
+    if (this.rules.minFileSize !== null && file.size < this.rules.minFileSize) {
+      reasons.push({code: 'FILE_TOO_SMALL', message: `File is smaller than the minimum size of ${this.rules.minFileSize} bytes`});
+    }
+    if (this.rules.allowedExtensions && !this.rules.allowedExtensions.includes(extension)) {
+      reasons.push({code: 'EXTENSION_NOT_ALLOWED', message: `Files with extension "${extension}" are not allowed`});
+    }
+    if (this.rules.allowedMimeTypes && !this._isMimeAllowed(file.type)) {
+      reasons.push({code: 'MIME_NOT_ALLOWED', message: `Files of type "${file.type || 'unknown'}" are not allowed`});
+    }
+
+    if (this.rules.verifyMagicBytes && reasons.length === 0) {
+      const reason = await this._checkSignature(file, extension);
+      if (reason) {
+        reasons.push(reason);
+      }
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Check a MIME type against the allow-list
+   * @private
+   * @param {string} mimeType - MIME type to check
+   * @returns {boolean} True if allowed
+   */
+  _isMimeAllowed(mimeType) {
+    const type = (mimeType || '').toLowerCase();
+    return this.rules.allowedMimeTypes.some(allowed => {
+      const pattern = allowed.toLowerCase();
+      return pattern.endsWith('/*') ? type.startsWith(pattern.slice(0, -1)) : type === pattern;
+    });
+  }
+
+  /**
+   * Sniff the leading bytes of a file and compare them with its declared type and extension
+   * @private
+   * @param {File} file - File to check
+   * @param {string} extension - Lowercase file extension
+   * @returns {Promise<{code: string, message: string}|null>} Rejection reason, or null if consistent
+   */
+  async _checkSignature(file, extension) {
+    const header = new Uint8Array(await file.slice(0, SIGNATURE_SNIFF_LENGTH).arrayBuffer());
+    const detected = FILE_SIGNATURES.find(signature =>
+      signature.bytes.every((byte, index) => header[signature.offset + index] === byte)
+    );
+
+    // Only types with a known signature can be verified
+    const expected = FILE_SIGNATURES.filter(signature =>
+      signature.mime === file.type || signature.extensions.includes(extension)
+    );
+    if (expected.length > 0 && !expected.includes(detected)) {
+      return {
+        code: 'CONTENT_MISMATCH',
+        message: `File content does not match its declared type${detected ? ` (detected ${detected.mime})` : ''}`
+      };
+    }
+
+    if (detected && this.rules.allowedMimeTypes && !this._isMimeAllowed(detected.mime)) {
+      return {code: 'MIME_NOT_ALLOWED', message: `Detected content type "${detected.mime}" is not allowed`};
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Opt-in image transform applied before upload: resize, re-encode and strip metadata.
+ * Drawing through a canvas discards EXIF/GPS and other embedded metadata.
+ */
+class ImageProcessor {
+  /**
+   * @param {Object} [options={}] - Processing options
+   * @param {number} [options.maxDimension=2048] - Longest edge of the output in pixels
+   * @param {string} [options.mimeType='image/jpeg'] - Output type, 'image/jpeg' or 'image/webp'
+   * @param {number} [options.quality=0.85] - Encoder quality between 0 and 1
+   * @param {boolean} [options.stripMetadata=true] - Re-encode even when no resize is needed, to drop metadata
+   * @param {string[]} [options.sourceTypes] - Input types eligible for processing
+   */
+  constructor(options = {}) {
+    this.options = {...IMAGE_PROCESSING_DEFAULTS, ...options};
+
+    if (this.options.quality < 0 || this.options.quality > 1) {
+      throw new RangeError('Quality must be between 0 and 1');
+    }
+    if (this.options.maxDimension < 1) {
+      throw new RangeError('Max dimension must be at least 1');
+    }
+  }
+
+  /**
+   * Transform an image file. Files that are not eligible, or that fail to decode,
+   * are returned unchanged.
+   * @param {File} file - The file to process
+   * @returns {Promise<File>} The processed file, or the original
+   */
+  async process(file) {
+    if (!this.options.sourceTypes.includes(file.type) || typeof createImageBitmap !== 'function') {
+      return file;
+    }
+
+    let bitmap;
+    try {
+      // Applies EXIF orientation, which would otherwise be lost with the metadata
+      bitmap = await createImageBitmap(file, {imageOrientation: 'from-image'});
+
+      const scale = Math.min(1, this.options.maxDimension / Math.max(bitmap.width, bitmap.height));
+      if (scale === 1 && file.type === this.options.mimeType && !this.options.stripMetadata) {
+        return file;
+      }
+
+      const width = Math.max(1, Math.round(bitmap.width * scale));
+      const height = Math.max(1, Math.round(bitmap.height * scale));
+      const blob = await this._encode(bitmap, width, height);
+
+      const extension = IMAGE_EXTENSIONS[blob.type] || file.name.split('.').pop();
+      const baseName = file.name.includes('.') ? file.name.slice(0, file.name.lastIndexOf('.')) : file.name;
+      const processed = new File([blob], `${baseName}.${extension}`, {
+        type: blob.type,
+        lastModified: file.lastModified
+      });
+
+      logger.debug('Image processed:', {
+        fileName: file.name,
+        originalSize: file.size,
+        processedSize: processed.size,
+        width,
+        height,
+        type: processed.type
+      });
+
+      return processed;
+    } catch (error) {
+      logger.warn(`Image processing failed for ${file.name}, uploading original:`, error);
+      return file;
+    } finally {
+      if (bitmap) {
+        bitmap.close();
+      }
+    }
+  }
+
+  /**
+   * Draw a bitmap at the given size and encode it
+   * @private
+   * @param {ImageBitmap} bitmap - Decoded image
+   * @param {number} width - Output width
+   * @param {number} height - Output height
+   * @returns {Promise<Blob>} Encoded image
+   */
+  _encode(bitmap, width, height) {
+    const {mimeType, quality} = this.options;
+    const canvas = typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(width, height)
+      : Object.assign(document.createElement('canvas'), {width, height});
+
+    const context = canvas.getContext('2d');
+    if (mimeType === 'image/jpeg') {
+      // JPEG has no alpha channel; flatten transparency onto white rather than black
+      context.fillStyle = '#fff';
+      context.fillRect(0, 0, width, height);
+    }
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(bitmap, 0, 0, width, height);
+
+    if (typeof canvas.convertToBlob === 'function') {
+      return canvas.convertToBlob({type: mimeType, quality});
+    }
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Failed to encode image'));
+        }
+      }, mimeType, quality);
+    });
+  }
+}
+
 /**
  * Class to manage chunked file upload operations
  * @implements {IChunkUploader}
@@ -44,6 +766,9 @@ class ChunkUploader {
     /** @type {boolean} */
     this.aborted = false;
 
+    /** @type {AbortController} Cancels pending chunk retries when the upload is aborted */
+    this.abortController = new AbortController();
+
     /** @type {boolean} */
     this.isDisposed = false;
 
@@ -59,21 +784,34 @@ class ChunkUploader {
   }
 
   /**
-   * Get the next chunk of data for upload
-   * @returns {Blob|null} Next chunk or null if complete
+   * Claim the index of the next chunk that still needs uploading
+   * @returns {number|null} Chunk index or null if every chunk has been claimed
    */
-  getNextChunk() {
+  claimNextChunkIndex() {
+    // Skip chunks already acknowledged by a previous (resumed) session
+    while (this.uploadedChunks.has(this.currentChunk)) {
+      this.currentChunk++;
+    }
+
     if (this.isDisposed || this.aborted || this.currentChunk >= this.totalChunks) {
       return null;
     }
 
-    const start = this.currentChunk * this.chunkSize;
+    return this.currentChunk++;
+  }
+
+  /**
+   * Get the data for a chunk by index
+   * @param {number} chunkIndex - Index of the chunk
+   * @returns {Blob} The chunk
+   */
+  getChunk(chunkIndex) {
+    const start = chunkIndex * this.chunkSize;
     const end = Math.min(start + this.chunkSize, this.file.size);
     const chunk = this.file.slice(start, end);
-    this.currentChunk++;
 
-    logger.debug('Getting next chunk:', {
-      currentChunk: this.currentChunk,
+    logger.debug('Getting chunk:', {
+      chunkIndex,
       startByte: start,
       endByte: end,
       chunkSize: chunk.size
@@ -82,6 +820,15 @@ class ChunkUploader {
     return chunk;
   }
 
+  /**
+   * Get the next chunk of data for upload
+   * @returns {Blob|null} Next chunk or null if complete
+   */
+  getNextChunk() {
+    const chunkIndex = this.claimNextChunkIndex();
+    return chunkIndex === null ? null : this.getChunk(chunkIndex);
+  }
+
   /**
    * Get upload progress as a percentage
    * @returns {number} Progress percentage
@@ -103,12 +850,28 @@ class ChunkUploader {
     });
   }
 
+  /**
+   * Restore chunks acknowledged in an earlier session so they are not sent again
+   * @param {number[]} chunkIndexes - Indexes of chunks already held by the server
+   */
+  restoreUploadedChunks(chunkIndexes) {
+    chunkIndexes
+      .filter(index => Number.isInteger(index) && index >= 0 && index < this.totalChunks)
+      .forEach(index => this.uploadedChunks.add(index));
+
+    logger.debug('Restored uploaded chunks:', {
+      restored: this.uploadedChunks.size,
+      totalChunks: this.totalChunks
+    });
+  }
+
   /**
    * Reset the uploader to its initial state
    */
   reset() {
     this.currentChunk = 0;
     this.aborted = false;
+    this.abortController = new AbortController();
     this.uploadedChunks.clear();
     logger.debug('ChunkUploader reset');
   }
@@ -118,6 +881,7 @@ class ChunkUploader {
    */
   abort() {
     this.aborted = true;
+    this.abortController.abort();
     logger.debug('ChunkUploader aborted');
   }
 
@@ -129,6 +893,7 @@ class ChunkUploader {
 
     this.isDisposed = true;
     this.aborted = true;
+    this.abortController.abort();
     this.uploadedChunks.clear();
     logger.debug('ChunkUploader disposed');
   }
@@ -142,13 +907,36 @@ class FileUploadManager {
   /**
    * @param {string} id - The ID of the upload container element
    * @param {Object} dotNetRef - .NET reference for Blazor interop
+   * @param {Object} [options={}] - Uploader options
+   * @param {boolean} [options.resumable=false] - Persist upload state so interrupted uploads can be resumed
+   * @param {number} [options.maxConcurrentChunks=UPLOAD_CONFIG.MAX_CONCURRENT_CHUNKS] - In-flight chunks per file
+   * @param {boolean} [options.integrity=false] - Send SHA-256 hashes with each chunk and the completed file.
+   *   OnUploadComplete then receives a second {hash, hashAlgorithm} argument, so the .NET handler must accept it
+   * @param {Object} [options.validation] - Pre-upload validation rules, see {@link FileValidator}
+   * @param {Object} [options.imageProcessing] - Image transform options, see {@link ImageProcessor}; off when omitted
    */
-  constructor(id, dotNetRef) {
+  constructor(id, dotNetRef, options = {}) {
     DropBearUtils.validateArgs([id, dotNetRef], ['string', 'object'], 'FileUploadManager');
 
     /** @type {string} */
     this.id = id;
 
+    /** @type {{resumable: boolean, maxConcurrentChunks: number, integrity: boolean, validation: Object|null, imageProcessing: Object|null}} */
+    this.options = {
+      resumable: false,
+      maxConcurrentChunks: UPLOAD_CONFIG.MAX_CONCURRENT_CHUNKS,
+      integrity: false,
+      validation: null,
+      imageProcessing: null,
+      ...options
+    };
+
+    /** @type {FileValidator} */
+    this.validator = new FileValidator(this.options.validation || {});
+
+    /** @type {ImageProcessor|null} */
+    this.imageProcessor = this.options.imageProcessing ? new ImageProcessor(this.options.imageProcessing) : null;
+
     /** @type {HTMLElement|null} */
     this.element = document.getElementById(id);
 
@@ -161,9 +949,15 @@ class FileUploadManager {
     /** @type {Map<string, ChunkUploader>} */
     this.activeUploads = new Map();
 
+    /** @type {Map<string, Function>} Throttled state writers of resumable uploads, by upload ID */
+    this.stateWriters = new Map();
+
     /** @type {number} */
     this.dragCounter = 0;
 
+    /** @type {Function[]} Cleanup functions for events forwarded to .NET */
+    this.eventForwarders = [];
+
     if (!DropBearUtils.isElement(this.element)) {
       throw new TypeError('Invalid element provided to FileUploadManager');
     }
@@ -274,7 +1068,8 @@ class FileUploadManager {
   }
 
   /**
-   * Upload multiple files
+   * Upload multiple files. Files failing validation are reported through OnFilesRejected
+   * and the remaining files are uploaded.
    * @param {File[]} files - An array of File objects to upload
    * @returns {Promise<void>}
    */
@@ -282,9 +1077,17 @@ class FileUploadManager {
     if (this.isDisposed) return;
 
     try {
+      files = await this._validateFiles(files);
+      if (files.length === 0) return;
+
       logger.debug('Starting upload of multiple files:', {count: files.length});
-      const uploadPromises = files.map(file => this.uploadFile(file));
-      await Promise.all(uploadPromises);
+      // Chunk traffic is bounded by the global limiter, so files can be started together.
+      // Let every file settle so one failure does not abandon the others mid-flight.
+      const results = await Promise.allSettled(files.map(file => this.uploadFile(file)));
+      const failure = results.find(result => result.status === 'rejected');
+      if (failure) {
+        throw failure.reason;
+      }
       logger.debug('All files uploaded successfully');
     } catch (error) {
       logger.error('Error uploading files:', error);
@@ -293,42 +1096,262 @@ class FileUploadManager {
   }
 
   /**
-   * Upload a single file
+   * Validate a batch of files and report rejections to .NET
+   * @private
+   * @param {File[]} files - Files to validate
+   * @returns {Promise<File[]>} The accepted files
+   */
+  async _validateFiles(files) {
+    const activeFingerprints = new Set(
+      Array.from(this.activeUploads.values(), uploader => createFileFingerprint(uploader.file))
+    );
+    const {accepted, rejected} = await this.validator.validate(files, activeFingerprints);
+
+    if (rejected.length > 0) {
+      await this._reportRejected(rejected);
+    }
+
+    return accepted;
+  }
+
+  /**
+   * Report files rejected by validation through the files-rejected event and OnFilesRejected
+   * @private
+   * @param {Array<Object>} rejected - Rejected files with their reasons, see {@link FileValidator#validate}
+   * @returns {Promise<void>}
+   */
+  async _reportRejected(rejected) {
+    logger.warn('Files rejected by validation:', rejected);
+
+    EventEmitter.emit(
+      this.element,
+      'files-rejected',
+      DropBearUtils.createEvent(this.id, 'files-rejected', {rejected})
+    );
+
+    // The notification is advisory; a handler that is missing or fails must not stop the accepted files
+    try {
+      await DropBearUtils.invokeDotNet(this.dotNetRef, 'OnFilesRejected', rejected);
+    } catch (error) {
+      logger.warn('Failed to report rejected files:', error);
+    }
+  }
+
+  /**
+   * Upload a single file without validating it first. Images are transformed first when image
+   * processing is enabled, and a transformed image that no longer passes validation is reported
+   * and skipped. In resumable mode an unfinished upload of the same file is picked up where it left off.
    * @param {File} file - The file to upload
    * @returns {Promise<void>}
    */
   async uploadFile(file) {
     if (this.isDisposed) return;
 
-    const uploadId = crypto.randomUUID();
+    const uploadTarget = await this._prepareFile(file);
+    if (!uploadTarget) return;
+
+    let resumeState = null;
+    if (this.options.resumable) {
+      resumeState = await this._findResumeState(uploadTarget);
+    }
+
+    const uploadId = resumeState ? resumeState.uploadId : crypto.randomUUID();
+    await this._runUpload(uploadId, uploadTarget, resumeState, file);
+  }
+
+  /**
+   * Resume a previously interrupted upload
+   * @param {string} uploadId - Unique identifier of the interrupted upload
+   * @param {File} file - The same file that was originally being uploaded
+   * @returns {Promise<void>}
+   * @throws {Error} If no resumable state exists, the file does not match, or it fails validation after image processing
+   */
+  async resumeUpload(uploadId, file) {
+    if (this.isDisposed) return;
+
+    if (this.activeUploads.has(uploadId)) {
+      throw DropBearUtils.createError(
+        `Upload ${uploadId} is already in progress`,
+        'UPLOAD_IN_PROGRESS',
+        moduleName,
+        {uploadId}
+      );
+    }
+
+    const uploadTarget = await this._prepareFile(file);
+    if (!uploadTarget) {
+      throw DropBearUtils.createError(
+        `File ${file.name} failed validation after image processing`,
+        'PROCESSED_FILE_REJECTED',
+        moduleName,
+        {uploadId, fileName: file.name}
+      );
+    }
+
+    const resumeState = await uploadStateStore.get(uploadId);
+    if (!resumeState) {
+      throw DropBearUtils.createError(
+        `No resumable upload found for ID: ${uploadId}`,
+        'UPLOAD_NOT_FOUND',
+        moduleName,
+        {uploadId}
+      );
+    }
+
+    if (resumeState.fingerprint !== createFileFingerprint(uploadTarget)) {
+      throw DropBearUtils.createError(
+        `File ${file.name} does not match upload ${uploadId}`,
+        'UPLOAD_FILE_MISMATCH',
+        moduleName,
+        {uploadId, fileName: file.name}
+      );
+    }
+
+    await this._runUpload(uploadId, uploadTarget, resumeState, file);
+  }
+
+  /**
+   * Apply the image transform, if enabled, before the file is chunked. Re-encoding can change the
+   * type, extension and size, so a transformed file is validated again and rejections are reported.
+   * @private
+   * @param {File} file - The file selected by the user
+   * @returns {Promise<File|null>} The file to upload, or null if the transformed file was rejected
+   */
+  async _prepareFile(file) {
+    if (!this.imageProcessor) return file;
+
+    const processed = await this.imageProcessor.process(file);
+    if (processed === file) return file;
+
+    const {rejected} = await this.validator.validate([processed]);
+    if (rejected.length > 0) {
+      await this._reportRejected(rejected);
+      return null;
+    }
+    return processed;
+  }
+
+  /**
+   * Get the unfinished uploads persisted for this uploader
+   * @returns {Promise<Array<{uploadId: string, fileName: string, size: number, uploadedChunks: number, totalChunks: number, updatedAt: number}>>}
+   */
+  async getResumableUploads() {
+    const records = await uploadStateStore.getAll();
+    return records
+      .filter(record => record.elementId === this.id)
+      .map(record => ({
+        uploadId: record.uploadId,
+        fileName: record.fileName,
+        size: record.size,
+        uploadedChunks: record.uploadedChunks.length,
+        totalChunks: record.totalChunks,
+        updatedAt: record.updatedAt
+      }));
+  }
+
+  /**
+   * Look up persisted state for an unfinished upload of the given file
+   * @private
+   * @param {File} file - The file about to be uploaded
+   * @returns {Promise<Object|null>} The persisted state, or null
+   */
+  async _findResumeState(file) {
+    try {
+      const record = await uploadStateStore.findByFingerprint(this.id, createFileFingerprint(file));
+      return record && !this.activeUploads.has(record.uploadId) ? record : null;
+    } catch (error) {
+      logger.warn('Failed to read resumable upload state:', error);
+      return null;
+    }
+  }
 
+  /**
+   * Run an upload from start or from persisted state
+   * @private
+   * @param {string} uploadId - Unique upload identifier
+   * @param {File} file - The file to upload
+   * @param {Object|null} resumeState - Persisted state when resuming, otherwise null
+   * @param {File} [originalFile=file] - The file before any image transform
+   * @returns {Promise<void>}
+   */
+  async _runUpload(uploadId, file, resumeState, originalFile = file) {
     try {
       logger.debug('Starting single file upload:', {
         uploadId,
         fileName: file.name,
-        fileSize: file.size
+        fileSize: file.size,
+        resuming: !!resumeState
       });
 
-      // Notify upload start
-      await circuitBreaker.execute(() =>
-        this.dotNetRef.invokeMethodAsync('OnUploadStart', {
-          id: uploadId,
-          fileName: file.name,
-          size: file.size,
-          type: file.type
-        })
-      );
-
-      const uploader = new ChunkUploader(file);
+      const uploader = new ChunkUploader(file, resumeState ? resumeState.chunkSize : UPLOAD_CONFIG.CHUNK_SIZE);
       this.activeUploads.set(uploadId, uploader);
 
-      await this._processChunks(uploadId, uploader);
+      const fileInfo = {
+        id: uploadId,
+        fileName: file.name,
+        size: file.size,
+        type: file.type,
+        originalFileName: originalFile.name,
+        originalSize: originalFile.size,
+        originalType: originalFile.type,
+        transformed: file !== originalFile
+      };
+
+      let serverChunks = null;
+      if (resumeState) {
+        // Ask .NET which chunks it already holds; null means it no longer knows this upload
+        serverChunks = await circuitBreaker.execute(() =>
+          DropBearUtils.invokeDotNet(this.dotNetRef, 'OnUploadResume', uploadId, {
+            ...fileInfo,
+            totalChunks: uploader.totalChunks
+          })
+        );
+      }
+
+      if (Array.isArray(serverChunks)) {
+        uploader.restoreUploadedChunks(serverChunks);
+      } else {
+        if (resumeState) {
+          logger.warn('Server has no record of upload, restarting from the first chunk:', {uploadId});
+        }
 
-      // Notify completion
+        // Notify upload start
+        await circuitBreaker.execute(() =>
+          DropBearUtils.invokeDotNet(this.dotNetRef, 'OnUploadStart', fileInfo)
+        );
+      }
+
+      await this._persistUploadState(uploadId, uploader);
+      if (this.options.resumable) {
+        this.stateWriters.set(uploadId, DropBearUtils.throttle(
+          () => this._persistUploadState(uploadId, uploader),
+          RESUME_CONFIG.PERSIST_INTERVAL
+        ));
+      }
+
+      // The whole-file hash is read in order alongside the (out-of-order) chunk uploads,
+      // and stops as soon as a chunk fails since the upload is lost anyway
+      const hashing = new AbortController();
+      const [, fileHash] = await Promise.all([
+        this._processChunks(uploadId, uploader).catch(error => {
+          hashing.abort(error);
+          throw error;
+        }),
+        this._hashFile(uploader, hashing.signal)
+      ]);
+
+      // Notify completion; the hash argument is only sent to handlers that opted in to integrity checks
+      const completeArgs = this.options.integrity
+        ? [uploadId, {hash: fileHash, hashAlgorithm: fileHash ? HASH_ALGORITHM : null}]
+        : [uploadId];
       await circuitBreaker.execute(() =>
-        this.dotNetRef.invokeMethodAsync('OnUploadComplete', uploadId)
+        DropBearUtils.invokeDotNet(this.dotNetRef, 'OnUploadComplete', ...completeArgs)
       );
 
+      // Nothing is left to resume, so a pending state write must not recreate the record
+      this._stopStateWriter(uploadId, {flush: false});
+      await this._clearUploadState(uploadId);
+
       EventEmitter.emit(
         this.element,
         'upload-complete',
@@ -342,9 +1365,15 @@ class FileUploadManager {
     } catch (error) {
       logger.error(`Error uploading file ${file.name}:`, error);
 
-      await circuitBreaker.execute(() =>
-        this.dotNetRef.invokeMethodAsync('OnUploadError', uploadId, error.message)
-      );
+      // Keep the chunks acknowledged so far for a later resume
+      await this._stopStateWriter(uploadId, {flush: true});
+
+      // After disposal there is no .NET reference left to notify
+      if (!this.isDisposed) {
+        await circuitBreaker.execute(() =>
+          DropBearUtils.invokeDotNet(this.dotNetRef, 'OnUploadError', uploadId, error.message)
+        );
+      }
 
       throw error;
     } finally {
@@ -353,60 +1382,195 @@ class FileUploadManager {
   }
 
   /**
-   * Process file chunks with retry logic
+   * Persist the acknowledged chunk set for a resumable upload
    * @private
    * @param {string} uploadId - Unique upload identifier
    * @param {ChunkUploader} uploader - The ChunkUploader instance
    * @returns {Promise<void>}
    */
-  async _processChunks(uploadId, uploader) {
-    let chunk;
-    let retryCount = 0;
+  async _persistUploadState(uploadId, uploader) {
+    if (!this.options.resumable || uploader.aborted) return;
 
-    while ((chunk = uploader.getNextChunk()) !== null && !uploader.aborted) {
-      try {
-        const chunkIndex = uploader.currentChunk - 1;
-        const chunkData = await this._readChunk(chunk);
+    try {
+      await uploadStateStore.put({
+        uploadId,
+        elementId: this.id,
+        fingerprint: createFileFingerprint(uploader.file),
+        fileName: uploader.file.name,
+        size: uploader.file.size,
+        chunkSize: uploader.chunkSize,
+        totalChunks: uploader.totalChunks,
+        uploadedChunks: Array.from(uploader.uploadedChunks)
+      });
+    } catch (error) {
+      // Losing resume state must not fail the upload itself
+      logger.warn('Failed to persist upload state:', {uploadId, error});
+    }
+  }
 
-        await circuitBreaker.execute(() =>
-          this.dotNetRef.invokeMethodAsync('OnChunkUpload', uploadId, {
-            data: chunkData,
-            index: chunkIndex,
-            total: uploader.totalChunks
-          })
-        );
+  /**
+   * Stop throttling state writes for an upload
+   * @private
+   * @param {string} uploadId - Unique upload identifier
+   * @param {{flush: boolean}} options - Write pending state now, or drop it
+   * @returns {Promise<void>}
+   */
+  async _stopStateWriter(uploadId, {flush}) {
+    const writeState = this.stateWriters.get(uploadId);
+    if (!writeState) return;
+
+    this.stateWriters.delete(uploadId);
+    if (flush) {
+      await writeState.flush();
+    } else {
+      writeState.cancel();
+    }
+  }
 
-        uploader.markChunkUploaded(chunkIndex);
+  /**
+   * Remove persisted state for an upload
+   * @private
+   * @param {string} uploadId - Unique upload identifier
+   * @returns {Promise<void>}
+   */
+  async _clearUploadState(uploadId) {
+    if (!this.options.resumable) return;
 
-        // Update progress
-        await circuitBreaker.execute(() =>
-          this.dotNetRef.invokeMethodAsync('OnUploadProgress', uploadId, uploader.getProgress())
-        );
+    try {
+      await uploadStateStore.delete(uploadId);
+    } catch (error) {
+      logger.warn('Failed to clear upload state:', {uploadId, error});
+    }
+  }
 
-        retryCount = 0;
-      } catch (error) {
-        if (retryCount < UPLOAD_CONFIG.RETRY_ATTEMPTS) {
-          retryCount++;
-          logger.warn('Retrying chunk upload:', {
-            uploadId,
-            chunkIndex: uploader.currentChunk - 1,
-            attempt: retryCount
-          });
-
-          // Move back one chunk to retry
-          uploader.currentChunk--;
-          await new Promise(resolve => setTimeout(resolve, UPLOAD_CONFIG.RETRY_DELAY));
-          continue;
-        }
-        throw error;
+  /**
+   * Upload file chunks through a sliding window of in-flight chunks. Each file keeps at most
+   * options.maxConcurrentChunks chunks in flight, and all files share the global chunk limiter.
+   * @private
+   * @param {string} uploadId - Unique upload identifier
+   * @param {ChunkUploader} uploader - The ChunkUploader instance
+   * @returns {Promise<void>}
+   */
+  async _processChunks(uploadId, uploader) {
+    /** @type {Set<Promise<void>>} */
+    const inFlight = new Set();
+    let failure = null;
+
+    while (!failure && !uploader.aborted) {
+      if (inFlight.size >= this.options.maxConcurrentChunks) {
+        await Promise.race(inFlight);
+        continue;
       }
+
+      const chunkIndex = uploader.claimNextChunkIndex();
+      if (chunkIndex === null) {
+        break;
+      }
+
+      await chunkLimiter.acquire();
+
+      const task = this._uploadChunk(uploadId, uploader, chunkIndex)
+        .catch(error => {
+          failure = failure || error;
+        })
+        .finally(() => {
+          chunkLimiter.release();
+          inFlight.delete(task);
+        });
+      inFlight.add(task);
     }
 
+    // Let chunks already sent settle before reporting the outcome
+    await Promise.all(inFlight);
+
+    if (failure) {
+      throw failure;
+    }
     if (uploader.aborted) {
       throw new Error('Upload aborted');
     }
   }
 
+  /**
+   * Upload a single chunk, retrying only that chunk on failure. When integrity checking is on,
+   * .NET signals a hash mismatch by returning false from OnChunkUpload and the chunk is re-sent.
+   * @private
+   * @param {string} uploadId - Unique upload identifier
+   * @param {ChunkUploader} uploader - The ChunkUploader instance
+   * @param {number} chunkIndex - Index of the chunk to upload
+   * @returns {Promise<void>}
+   */
+  async _uploadChunk(uploadId, uploader, chunkIndex) {
+    try {
+      await chunkRetryPolicy.execute(
+        async () => {
+          if (uploader.aborted) return;
+
+          // A retry after a failed progress report must not resend an acknowledged chunk
+          if (!uploader.uploadedChunks.has(chunkIndex)) {
+            const chunkData = await this._readChunk(uploader.getChunk(chunkIndex));
+            const hash = this.options.integrity ? await sha256Hex(chunkData) : null;
+
+            const accepted = await DropBearUtils.invokeDotNet(this.dotNetRef, 'OnChunkUpload', uploadId, {
+              data: chunkData,
+              index: chunkIndex,
+              total: uploader.totalChunks,
+              hash,
+              hashAlgorithm: hash ? HASH_ALGORITHM : null
+            });
+
+            if (hash && accepted === false) {
+              throw DropBearUtils.createError(
+                `Hash mismatch for chunk ${chunkIndex}`,
+                'CHUNK_HASH_MISMATCH',
+                moduleName,
+                {uploadId, chunkIndex, hash}
+              );
+            }
+
+            uploader.markChunkUploaded(chunkIndex);
+            // Rewriting the record after every chunk would flood IndexedDB, so writes are throttled
+            this.stateWriters.get(uploadId)?.();
+          }
+
+          // The upload may have been cancelled or disposed while this chunk was in flight
+          if (uploader.aborted) return;
+
+          // Update progress
+          await DropBearUtils.invokeDotNet(this.dotNetRef, 'OnUploadProgress', uploadId, uploader.getProgress());
+        },
+        {
+          signal: uploader.abortController.signal,
+          onRetry: (error, attempt) => logger.warn('Retrying chunk upload:', {uploadId, chunkIndex, attempt})
+        }
+      );
+    } catch (error) {
+      // Aborting while waiting to retry ends the chunk quietly, as aborting between chunks does
+      if (error?.name === 'AbortError' && uploader.aborted) return;
+      throw error;
+    }
+  }
+
+  /**
+   * Compute the SHA-256 of the whole file by streaming it through in order
+   * @private
+   * @param {ChunkUploader} uploader - The ChunkUploader instance
+   * @param {AbortSignal} [signal] - Stops hashing, e.g. once a chunk has failed
+   * @returns {Promise<string|null>} Hex-encoded hash, or null if integrity checking is off or the upload was aborted
+   */
+  async _hashFile(uploader, signal) {
+    if (!this.options.integrity) return null;
+
+    const hasher = new StreamingSha256();
+    for (let offset = 0; offset < uploader.file.size; offset += uploader.chunkSize) {
+      if (uploader.aborted || signal?.aborted) return null;
+
+      const slice = uploader.file.slice(offset, offset + uploader.chunkSize);
+      hasher.update(new Uint8Array(await this._readChunk(slice)));
+    }
+    return toHex(hasher.digest());
+  }
+
   /**
    * Read chunk data as ArrayBuffer
    * @private
@@ -427,6 +1591,10 @@ class FileUploadManager {
    * @param {string} uploadId - Unique identifier of the upload
    */
   cancelUpload(uploadId) {
+    // A cancelled upload must not be offered for resumption
+    this._stopStateWriter(uploadId, {flush: false});
+    this._clearUploadState(uploadId);
+
     const uploader = this.activeUploads.get(uploadId);
     if (uploader) {
       uploader.abort();
@@ -468,6 +1636,18 @@ class FileUploadManager {
     return {activeUploads, totalProgress};
   }
 
+  /**
+   * Forward events emitted by this uploader (e.g. 'upload-*') to .NET through OnEventEmitted
+   * @param {string|string[]} patterns - Event names or wildcard patterns
+   * @param {Object} [dotNetRef=this.dotNetRef] - .NET reference receiving the events
+   * @returns {Function} Cleanup function that stops forwarding
+   */
+  forwardEvents(patterns, dotNetRef = this.dotNetRef) {
+    const stop = EventEmitter.forwardToDotNet(this.element, patterns, dotNetRef);
+    this.eventForwarders.push(stop);
+    return stop;
+  }
+
   /**
    * Dispose of the file upload manager
    */
@@ -477,8 +1657,17 @@ class FileUploadManager {
     logger.debug(`Disposing file upload manager ${this.id}`);
     this.isDisposed = true;
 
-    // Cancel any active uploads
-    this.cancelAllUploads();
+    if (this.options.resumable) {
+      // Stop active uploads but keep their persisted state, written up to date, so they can be resumed later
+      this.activeUploads.forEach((uploader, uploadId) => {
+        this._stopStateWriter(uploadId, {flush: true});
+        uploader.dispose();
+      });
+      this.activeUploads.clear();
+    } else {
+      // Cancel any active uploads
+      this.cancelAllUploads();
+    }
 
     // Remove event listeners
     Object.entries(this.handlers).forEach(([event, handler]) => this.element.removeEventListener(event, handler));
@@ -490,6 +1679,10 @@ class FileUploadManager {
       'disposed',
       DropBearUtils.createEvent(this.id, 'disposed', null)
     );
+
+    // Stop forwarding only after 'disposed' has been delivered
+    this.eventForwarders.forEach(stop => stop());
+    this.eventForwarders = [];
   }
 }
 
@@ -520,7 +1713,7 @@ window[moduleName] = {
     }
   },
 
-  createUploader: (elementId, dotNetRef) => {
+  createUploader: (elementId, dotNetRef, options = {}) => {
     try {
       if (!isInitialized) {
         throw new Error('Module not initialized');
@@ -531,7 +1724,7 @@ window[moduleName] = {
         window[moduleName].dispose(elementId);
       }
 
-      const manager = new FileUploadManager(elementId, dotNetRef);
+      const manager = new FileUploadManager(elementId, dotNetRef, options);
       window[moduleName].uploaders.set(elementId, manager);
       logger.debug(`File uploader created for ID: ${elementId}`);
     } catch (error) {
@@ -550,6 +1743,23 @@ window[moduleName] = {
     return manager.uploadFiles(files);
   },
 
+  resumeUpload: async (uploadId, file) => {
+    // The persisted state records which uploader the upload belongs to
+    const resumeState = await uploadStateStore.get(uploadId);
+    const manager = resumeState ? window[moduleName].uploaders.get(resumeState.elementId) : null;
+    if (!manager) {
+      const error = new Error(`No uploader available to resume upload: ${uploadId}`);
+      logger.error('Resume error:', error);
+      throw error;
+    }
+    return manager.resumeUpload(uploadId, file);
+  },
+
+  getResumableUploads: elementId => {
+    const manager = window[moduleName].uploaders.get(elementId);
+    return manager ? manager.getResumableUploads() : Promise.resolve([]);
+  },
+
   cancelUpload: (elementId, uploadId) => {
     const manager = window[moduleName].uploaders.get(elementId);
     if (manager) {
@@ -563,6 +1773,14 @@ window[moduleName] = {
     return manager ? manager.getUploadStatus() : null;
   },
 
+  forwardEvents: (elementId, patterns, dotNetRef) => {
+    const manager = window[moduleName].uploaders.get(elementId);
+    if (!manager) {
+      throw new Error(`Uploader not found for ID: ${elementId}`);
+    }
+    manager.forwardEvents(patterns, dotNetRef);
+  },
+
   isInitialized: () => isInitialized,
 
   dispose: elementId => {
@@ -593,7 +1811,8 @@ window.DropBearModuleManager.register(
     isInitialized: () => window[moduleName].isInitialized(),
     dispose: () => window[moduleName].disposeAll()
   },
-  ['DropBearUtils', 'DropBearCore']
+  ['DropBearUtils', 'DropBearCore'],
+  {version: moduleVersion}
 );
 
 // Export API functions under a unique namespace for the file uploader module.
@@ -608,10 +1827,20 @@ export const DropBearFileUploaderAPI = {
    * Creates a new uploader instance for the specified element.
    * @param {string} elementId - The ID of the upload container element.
    * @param {Object} dotNetRef - The .NET reference for Blazor interop.
+   * @param {Object} [options] - Uploader options, e.g. { resumable: true }.
    * @returns {Promise<void>}
    */
-  createUploader: async (elementId, dotNetRef) =>
-    window[moduleName].createUploader(elementId, dotNetRef),
+  createUploader: DropBearUtils.withValidation('createUploader', {
+    elementId: Schema.id(),
+    dotNetRef: Schema.dotNetRef(),
+    options: Schema.object({
+      resumable: Schema.boolean().optional(),
+      maxConcurrentChunks: Schema.integer({min: 1}).optional(),
+      integrity: Schema.boolean().optional(),
+      validation: Schema.object().nullable().optional(),
+      imageProcessing: Schema.object().nullable().optional()
+    }).nullable().optional()
+  }, async (elementId, dotNetRef, options) => window[moduleName].createUploader(elementId, dotNetRef, options)),
 
   /**
    * Uploads files using the uploader instance identified by the element ID.
@@ -619,16 +1848,33 @@ export const DropBearFileUploaderAPI = {
    * @param {File[]} files - An array of File objects to upload.
    * @returns {Promise<void>}
    */
-  uploadFiles: async (elementId, files) =>
-    window[moduleName].uploadFiles(elementId, files),
+  uploadFiles: DropBearUtils.withValidation('uploadFiles', {elementId: Schema.id(), files: Schema.arrayOf(Schema.file())},
+    async (elementId, files) => window[moduleName].uploadFiles(elementId, files)),
+
+  /**
+   * Resumes an interrupted upload from the first chunk the server does not yet hold.
+   * @param {string} uploadId - The unique identifier of the interrupted upload.
+   * @param {File} file - The same file that was originally being uploaded.
+   * @returns {Promise<void>}
+   */
+  resumeUpload: DropBearUtils.withValidation('resumeUpload', {uploadId: Schema.id(), file: Schema.file()},
+    async (uploadId, file) => window[moduleName].resumeUpload(uploadId, file)),
+
+  /**
+   * Lists unfinished uploads persisted for the uploader identified by elementId.
+   * @param {string} elementId - The ID of the uploader.
+   * @returns {Promise<Array<object>>} The resumable uploads.
+   */
+  getResumableUploads: elementId =>
+    window[moduleName].getResumableUploads(elementId),
 
   /**
    * Cancels a specific upload.
    * @param {string} elementId - The ID of the uploader.
    * @param {string} uploadId - The unique identifier of the upload.
    */
-  cancelUpload: async (elementId, uploadId) =>
-    window[moduleName].cancelUpload(elementId, uploadId),
+  cancelUpload: DropBearUtils.withValidation('cancelUpload', {elementId: Schema.id(), uploadId: Schema.id()},
+    async (elementId, uploadId) => window[moduleName].cancelUpload(elementId, uploadId)),
 
   /**
    * Gets the current upload status of the uploader identified by elementId.
@@ -637,6 +1883,19 @@ export const DropBearFileUploaderAPI = {
    */
   getUploadStatus: (elementId) => window[moduleName].getUploadStatus(elementId),
 
+  /**
+   * Forwards events emitted by an uploader to .NET. The reference's OnEventEmitted(eventName, data)
+   * is called for each event matching one of the patterns until the uploader is disposed.
+   * @param {string} elementId - The ID of the uploader.
+   * @param {string|string[]} patterns - Event names or wildcard patterns, e.g. 'upload-*'.
+   * @param {Object} [dotNetRef] - The .NET reference to notify; defaults to the uploader's own.
+   */
+  forwardEvents: DropBearUtils.withValidation('forwardEvents', {
+    elementId: Schema.id(),
+    patterns: Schema.union([Schema.id(), Schema.arrayOf(Schema.id())]),
+    dotNetRef: Schema.dotNetRef().optional()
+  }, (elementId, patterns, dotNetRef) => window[moduleName].forwardEvents(elementId, patterns, dotNetRef)),
+
   /**
    * Checks whether the file uploader module is initialized.
    * @returns {boolean}
@@ -658,5 +1917,5 @@ export const DropBearFileUploaderAPI = {
 };
 
 // Also export the FileUploadManager and ChunkUploader classes if direct access is needed.
-export { FileUploadManager, ChunkUploader };
+export { FileUploadManager, ChunkUploader, StreamingSha256 };
 
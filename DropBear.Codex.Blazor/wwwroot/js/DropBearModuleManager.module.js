@@ -8,6 +8,30 @@ import {DropBearUtils} from './DropBearUtils.module.js';
 const logger = DropBearUtils.createLogger('DropBearModuleManager');
 let isInitialized = false;
 
+/**
+ * Compare two dotted version strings (e.g. "1.4.0", "2.0.0-beta.1"). Numeric parts compare
+ * numerically and a pre-release sorts before its release.
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a < b, zero if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+  const [coreA, preA = ''] = String(a).split('-', 2);
+  const [coreB, preB = ''] = String(b).split('-', 2);
+  const partsA = coreA.split('.').map(Number);
+  const partsB = coreB.split('.').map(Number);
+
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+
+  if (preA === preB) return 0;
+  if (!preA) return 1;
+  if (!preB) return -1;
+  return preA < preB ? -1 : 1;
+}
+
 /**
  * Module manager for handling module registration, dependencies, and initialization
  * @implements {IModuleManager}
@@ -25,14 +49,40 @@ const ModuleManager = {
   /** @type {Map<string, Promise<void>>} Map of ongoing initialization promises */
   initializationPromises: new Map(),
 
+  /** @type {Map<string, Promise<void>>} Map of ongoing lazy module imports */
+  loadPromises: new Map(),
+
   /**
-   * Register a new module with optional dependencies
+   * @type {Map<string, {lazy: boolean, url: string|null, registeredAt: number, loadStart: number|null, loadEnd: number|null, initStart: number|null, initEnd: number|null}>}
+   * Load and initialization timestamps (performance.now()) per module
+   */
+  timings: new Map(),
+
+  /** @type {Set<string>} URLs that already have a modulepreload hint */
+  preloadedUrls: new Set(),
+
+  /** @type {Map<string, {message: string, code: string|null, timestamp: number}>} Most recent initialization error per module */
+  lastErrors: new Map(),
+
+  /** @type {Object|null} .NET reference notified of lifecycle events */
+  dotNetRef: null,
+
+  /**
+   * Register a new module with optional dependencies. Registering a newer version of an existing
+   * module disposes and replaces it, then re-initializes it and its dependents if it was running.
    * @param {string} name - Module name
    * @param {Module} module - Module implementation
    * @param {string[]} [dependencies=[]] - Array of dependency module names
-   * @throws {Error} If module name is invalid or already registered
+   * @param {Object} [options] - Registration options
+   * @param {string} [options.version] - Module version; required to replace an existing registration. Built-in
+   *   modules pass their file's moduleVersion, which is bumped when a change should replace an already loaded copy
+   * @param {boolean} [options.force=false] - Replace even if the version is older, equal or missing
+   * @returns {Promise<void>|undefined} When replacing, resolves once the module and its dependents are re-initialized.
+   *   It never rejects, since module files register without awaiting: re-initialization failures are logged and
+   *   reported through the failed event
+   * @throws {Error} If module name is invalid, already registered without a newer version, or a downgrade
    */
-  register(name, module, dependencies = []) {
+  register(name, module, dependencies = [], options = {}) {
     try {
       // Validate inputs
       DropBearUtils.validateArgs([name], ['string'], 'register');
@@ -43,10 +93,6 @@ const ModuleManager = {
         throw new TypeError('Dependencies must be an array');
       }
 
-      if (this.modules.has(name)) {
-        throw new Error(`Module "${name}" is already registered`);
-      }
-
       // Validate each dependency
       dependencies.forEach(dep => {
         if (typeof dep !== 'string' || !dep.trim()) {
@@ -54,28 +100,370 @@ const ModuleManager = {
         }
       });
 
+      const version = options.version ?? null;
+
+      // A lazy registration is replaced by the real one when its module file is imported
+      const lazyPlaceholder = this.modules.get(name)?.__lazy ? this.modules.get(name) : null;
+      if (this.modules.has(name) && !lazyPlaceholder) {
+        return this._replace(name, module, dependencies, version, options.force === true).catch(error => {
+          logger.error(`Failed to re-initialize replaced module "${name}":`, error);
+        });
+      }
+
+      this._emit('registering', {moduleName: name, dependencies: [...dependencies], lazy: false, version});
+
       // Set up module state
       const moduleState = {
         ...module,
         __initialized: false,
-        __initializing: false
+        __initializing: false,
+        __version: version
       };
 
-      this.dependencies.set(name, dependencies);
+      const declared = lazyPlaceholder ? this.dependencies.get(name) : [];
+      this.dependencies.set(name, [...new Set([...declared, ...dependencies])]);
       this.modules.set(name, moduleState);
 
+      if (!this.timings.has(name)) {
+        this.timings.set(name, this._createTiming(null));
+      }
+
       // Set up window reference
       if (typeof window !== 'undefined' && !window[name]) {
         window[name] = {__initialized: false};
       }
+      moduleState.__instance = typeof window !== 'undefined' ? window[name] : null;
 
       logger.debug(`Module "${name}" registered successfully`);
+      return undefined;
     } catch (error) {
       logger.error(`Failed to register module "${name}":`, error);
       throw error;
     }
   },
 
+  /**
+   * Decide whether an existing registration may be replaced, then start the swap
+   * @private
+   * @param {string} name - Module name
+   * @param {Module} module - New module implementation
+   * @param {string[]} dependencies - New dependency list
+   * @param {string|null} version - New version
+   * @param {boolean} force - Skip the version checks
+   * @returns {Promise<void>}
+   * @throws {Error} If the new registration is unversioned, or older than the current one
+   */
+  _replace(name, module, dependencies, version, force) {
+    const currentVersion = this.modules.get(name).__version;
+
+    if (!force) {
+      if (version === null) {
+        throw new Error(`Module "${name}" is already registered; pass a newer version to replace it`);
+      }
+
+      const comparison = currentVersion === null ? 1 : compareVersions(version, currentVersion);
+      if (comparison === 0) {
+        logger.debug(`Module "${name}" version ${version} is already registered`);
+        return Promise.resolve();
+      }
+      if (comparison < 0) {
+        throw DropBearUtils.createError(
+          `Refusing to downgrade module "${name}" from ${currentVersion} to ${version}`,
+          'MODULE_DOWNGRADE',
+          'ModuleManager',
+          {moduleName: name, currentVersion, version}
+        );
+      }
+    }
+
+    return this._swapModule(name, module, dependencies, version, currentVersion);
+  },
+
+  /**
+   * Dispose the current module and its initialized dependents, install the replacement, and
+   * re-initialize them in dependency order if the module had been initialized
+   * @private
+   * @param {string} name - Module name
+   * @param {Module} module - New module implementation
+   * @param {string[]} dependencies - New dependency list
+   * @param {string|null} version - New version
+   * @param {string|null} previousVersion - Version being replaced
+   * @returns {Promise<void>}
+   */
+  async _swapModule(name, module, dependencies, version, previousVersion) {
+    const pending = this.initializationPromises.get(name);
+    if (pending) {
+      await pending.catch(() => {});
+    }
+
+    const wasInitialized = this.initialized.has(name);
+    const dependents = this._getDependents(name).filter(dep => this.initialized.has(dep));
+
+    // Tear down from the outside in, so nothing is left running on top of a disposed dependency
+    [...dependents].reverse().forEach(dep => this._deinitialize(dep, 'dependency-replaced'));
+    this._deinitialize(name, 'replaced');
+
+    this._emit('registering', {moduleName: name, dependencies: [...dependencies], lazy: false, version, previousVersion});
+
+    this.modules.set(name, {
+      ...module,
+      __initialized: false,
+      __initializing: false,
+      __version: version,
+      __instance: typeof window !== 'undefined' ? window[name] : null
+    });
+    this.dependencies.set(name, [...dependencies]);
+    this.timings.set(name, this._createTiming(null));
+    this.lastErrors.delete(name);
+
+    logger.debug(`Module "${name}" replaced (${previousVersion ?? 'unversioned'} -> ${version ?? 'unversioned'})`);
+
+    if (wasInitialized) {
+      await this.initialize(name);
+      for (const dep of dependents) {
+        await this.initialize(dep);
+      }
+    }
+  },
+
+  /**
+   * All modules that depend on a module, directly or transitively, in initialization order
+   * @private
+   * @param {string} moduleName - Name of module
+   * @returns {string[]}
+   */
+  _getDependents(moduleName) {
+    const dependents = new Set();
+    const queue = [moduleName];
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const [name, deps] of this.dependencies) {
+        if (deps.includes(current) && !dependents.has(name)) {
+          dependents.add(name);
+          queue.push(name);
+        }
+      }
+    }
+
+    return this._analyzeDependencies([...dependents]).order.filter(name => dependents.has(name));
+  },
+
+  /**
+   * Dispose a module's running instance but keep its registration
+   * @private
+   * @param {string} moduleName - Name of module
+   * @param {string} reason - Why the module is being disposed, reported in the disposed event
+   */
+  _deinitialize(moduleName, reason) {
+    const module = this.modules.get(moduleName);
+    if (!module) return;
+
+    const hasWindow = typeof window !== 'undefined';
+    const instance = module.__instance || (hasWindow ? window[moduleName] : null);
+
+    if (module.__initialized && typeof module.dispose === 'function') {
+      // A replacement file overwrites window[moduleName] before registering, and dispose reaches its
+      // instance through that global, so point it back at the instance being disposed while it runs
+      const current = hasWindow ? window[moduleName] : null;
+      const restore = hasWindow && instance && current !== instance;
+      if (restore) {
+        window[moduleName] = instance;
+      }
+      try {
+        module.dispose();
+      } catch (error) {
+        logger.error(`Error disposing module "${moduleName}":`, error);
+      } finally {
+        if (restore) {
+          window[moduleName] = current;
+        }
+      }
+    }
+
+    module.__initialized = false;
+    module.__initializing = false;
+    this.initialized.delete(moduleName);
+
+    if (instance) {
+      instance.__initialized = false;
+    }
+
+    this._emit('disposed', {moduleName, reason});
+  },
+
+  /**
+   * Register a module that is only imported when first initialized or requested with get().
+   * If the module file registers itself on import, that registration replaces this one;
+   * otherwise the named export is registered as the module.
+   * @param {string} name - Module name
+   * @param {Object} descriptor - Where to load the module from
+   * @param {string} descriptor.url - Module URL, relative to this file or absolute
+   * @param {string} [descriptor.exportName='default'] - Export implementing initialize/isInitialized/dispose
+   * @param {boolean} [descriptor.preload=false] - Add modulepreload hints for the module and its lazy dependencies
+   * @param {string[]} [dependencies=[]] - Array of dependency module names, which may themselves be lazy
+   * @throws {Error} If arguments are invalid or the module is already registered
+   */
+  registerLazy(name, descriptor, dependencies = []) {
+    try {
+      DropBearUtils.validateArgs([name, descriptor], ['string', 'object'], 'registerLazy');
+      if (typeof descriptor.url !== 'string' || !descriptor.url.trim()) {
+        throw new TypeError('Lazy module URL must be a non-empty string');
+      }
+      if (!Array.isArray(dependencies) || dependencies.some(dep => typeof dep !== 'string' || !dep.trim())) {
+        throw new TypeError('Dependency names must be non-empty strings');
+      }
+      if (this.modules.has(name)) {
+        throw new Error(`Module "${name}" is already registered`);
+      }
+
+      const url = new URL(descriptor.url, import.meta.url).href;
+      this._emit('registering', {moduleName: name, dependencies: [...dependencies], lazy: true, url});
+
+      this.dependencies.set(name, [...dependencies]);
+      this.modules.set(name, {
+        __lazy: true,
+        __url: url,
+        __exportName: descriptor.exportName || 'default',
+        __initialized: false,
+        __initializing: false
+      });
+      this.timings.set(name, this._createTiming(url));
+
+      if (typeof window !== 'undefined' && !window[name]) {
+        window[name] = {__initialized: false};
+      }
+
+      if (descriptor.preload) {
+        this.preload(name);
+      }
+
+      logger.debug(`Module "${name}" registered lazily from ${url}`);
+    } catch (error) {
+      logger.error(`Failed to register lazy module "${name}":`, error);
+      throw error;
+    }
+  },
+
+  /**
+   * Add modulepreload hints for a lazy module and its lazy transitive dependencies, so the
+   * browser fetches them early without executing them
+   * @param {string} moduleName - Name of module
+   * @returns {string[]} URLs newly hinted
+   */
+  preload(moduleName) {
+    DropBearUtils.validateArgs([moduleName], ['string'], 'preload');
+    if (typeof document === 'undefined') return [];
+
+    const {order} = this._analyzeDependencies([moduleName]);
+    const urls = order
+      .map(name => this.modules.get(name))
+      .filter(module => module.__lazy && !this.preloadedUrls.has(module.__url))
+      .map(module => module.__url);
+
+    urls.forEach(url => {
+      const link = document.createElement('link');
+      link.rel = 'modulepreload';
+      link.href = url;
+      document.head.appendChild(link);
+      this.preloadedUrls.add(url);
+    });
+
+    return urls;
+  },
+
+  /**
+   * Report how long each module took to load and initialize, and which lazy modules were
+   * never needed on this page
+   * @returns {{modules: Array<{name: string, lazy: boolean, url: string|null, loaded: boolean, loadTime: number|null, initTime: number|null}>, deferred: string[], totalLoadTime: number, totalInitTime: number}}
+   */
+  getLoadTimings() {
+    const elapsed = (start, end) => (start !== null && end !== null ? end - start : null);
+
+    const modules = Array.from(this.timings, ([name, timing]) => ({
+      name,
+      lazy: timing.lazy,
+      url: timing.url,
+      // A lazy module may also arrive through another module's static import
+      loaded: !timing.lazy || timing.loadEnd !== null || !this.modules.get(name)?.__lazy,
+      loadTime: elapsed(timing.loadStart, timing.loadEnd),
+      initTime: elapsed(timing.initStart, timing.initEnd)
+    }));
+
+    return {
+      modules,
+      deferred: modules.filter(module => !module.loaded).map(module => module.name),
+      totalLoadTime: modules.reduce((sum, module) => sum + (module.loadTime || 0), 0),
+      totalInitTime: modules.reduce((sum, module) => sum + (module.initTime || 0), 0)
+    };
+  },
+
+  /**
+   * Create an empty timing record
+   * @private
+   * @param {string|null} url - Module URL for lazy modules
+   * @returns {Object}
+   */
+  _createTiming(url) {
+    return {
+      lazy: url !== null,
+      url,
+      registeredAt: performance.now(),
+      loadStart: null,
+      loadEnd: null,
+      initStart: null,
+      initEnd: null
+    };
+  },
+
+  /**
+   * Import a lazy module once and swap its placeholder for the real registration
+   * @private
+   * @param {string} moduleName - Name of module
+   * @returns {Promise<void>}
+   */
+  _load(moduleName) {
+    const placeholder = this.modules.get(moduleName);
+    if (!placeholder?.__lazy) {
+      return Promise.resolve();
+    }
+    if (this.loadPromises.has(moduleName)) {
+      return this.loadPromises.get(moduleName);
+    }
+
+    const timing = this.timings.get(moduleName);
+    const loadPromise = (async () => {
+      try {
+        timing.loadStart = performance.now();
+        const exports = await import(placeholder.__url);
+
+        // Modules that self-register on import have already replaced the placeholder
+        if (this.modules.get(moduleName)?.__lazy) {
+          const implementation = exports[placeholder.__exportName];
+          if (!implementation || typeof implementation !== 'object') {
+            throw DropBearUtils.createError(
+              `Module "${moduleName}" loaded from ${placeholder.__url} has no export "${placeholder.__exportName}"`,
+              'MODULE_EXPORT_NOT_FOUND',
+              'ModuleManager',
+              {moduleName, url: placeholder.__url}
+            );
+          }
+          this.register(moduleName, implementation, []);
+        }
+
+        timing.loadEnd = performance.now();
+        logger.debug(`Module "${moduleName}" loaded in ${Math.round(timing.loadEnd - timing.loadStart)}ms`);
+      } catch (error) {
+        // Allow a later call to retry the import
+        this.loadPromises.delete(moduleName);
+        logger.error(`Failed to load module "${moduleName}":`, error);
+        throw error;
+      }
+    })();
+
+    this.loadPromises.set(moduleName, loadPromise);
+    return loadPromise;
+  },
+
   /**
    * Initialize a module and its dependencies
    * @param {string} moduleName - Name of module to initialize
@@ -101,32 +489,58 @@ const ModuleManager = {
         throw new Error(`Module "${moduleName}" not found`);
       }
 
+      // Fail fast on cycles or missing registrations rather than recursing or waiting forever
+      this.validateDependencies([moduleName]);
+
       // Create initialization promise
+      const timing = this.timings.get(moduleName);
+      timing.initStart = null;
+
       const initPromise = (async () => {
+        let current = module;
         try {
+          if (module.__lazy) {
+            // Fetch the module while its declared dependencies initialize, then re-check the
+            // graph in case the loaded module registered further dependencies
+            const declared = this.dependencies.get(moduleName) || [];
+            await Promise.all([this._load(moduleName), ...declared.map(dep => this.initialize(dep))]);
+            this.validateDependencies([moduleName]);
+            current = this.modules.get(moduleName);
+          }
+
           // Initialize dependencies first
           const deps = this.dependencies.get(moduleName) || [];
           await Promise.all(deps.map(dep => this.initialize(dep)));
 
           // Initialize the module
-          if (typeof module.initialize === 'function') {
-            module.__initializing = true;
-            await module.initialize();
+          timing.initStart = performance.now();
+          this._emit('initializing', {moduleName, dependencies: deps});
+          if (typeof current.initialize === 'function') {
+            current.__initializing = true;
+            await current.initialize();
           }
+          timing.initEnd = performance.now();
 
           // Mark as initialized
-          module.__initialized = true;
-          module.__initializing = false;
+          current.__initialized = true;
+          current.__initializing = false;
           this.initialized.add(moduleName);
+          this.lastErrors.delete(moduleName);
 
           // Update window reference
           if (typeof window !== 'undefined' && window[moduleName]) {
             window[moduleName].__initialized = true;
           }
 
+          this._emit('initialized', {
+            moduleName,
+            duration: timing.initEnd - timing.initStart,
+            loadTime: timing.loadStart !== null && timing.loadEnd !== null ? timing.loadEnd - timing.loadStart : null
+          });
           logger.debug(`Module "${moduleName}" initialized successfully`);
         } catch (error) {
-          module.__initializing = false;
+          current.__initializing = false;
+          this._recordFailure(moduleName, error, timing.initStart !== null ? performance.now() - timing.initStart : null);
           logger.error(`Failed to initialize module "${moduleName}":`, error);
           throw error;
         } finally {
@@ -137,11 +551,236 @@ const ModuleManager = {
       this.initializationPromises.set(moduleName, initPromise);
       return initPromise;
     } catch (error) {
+      if (this.modules.has(moduleName)) {
+        this._recordFailure(moduleName, error, null);
+      }
       logger.error(`Failed to initialize module "${moduleName}":`, error);
       throw error;
     }
   },
 
+  /**
+   * Subscribe to a lifecycle event: registering, initializing, initialized, failed or disposed.
+   * Requires DropBearCore, whose EventEmitter delivers the events.
+   * @param {string} event - Event name
+   * @param {Function} callback - Receives {id, type, data}
+   * @returns {Function} Cleanup function to remove the handler
+   */
+  on(event, callback) {
+    const emitter = window.DropBearCore?.EventEmitter;
+    if (!emitter) {
+      throw new Error('DropBearCore must be loaded to subscribe to module events');
+    }
+    return emitter.on(this, event, callback);
+  },
+
+  /**
+   * Set the .NET reference that receives lifecycle events through OnModuleLifecycleEvent
+   * @param {Object|null} dotNetRef - .NET reference, or null to stop forwarding
+   */
+  setDotNetReference(dotNetRef) {
+    this.dotNetRef = dotNetRef;
+    logger.debug(dotNetRef ? '.NET lifecycle reference set' : '.NET lifecycle reference cleared');
+  },
+
+  /**
+   * Summarise the health of every registered module
+   * @returns {{timestamp: number, modules: Array<{name: string, version: string|null, state: string, initTime: number|null, loadTime: number|null, lastError: Object|null, dependencies: string[], dependents: string[]}>, summary: Object}}
+   */
+  getHealthReport() {
+    const {modules: graph} = this.getDependencyGraph();
+    const timings = new Map(this.getLoadTimings().modules.map(timing => [timing.name, timing]));
+
+    const modules = graph.map(({name, version, state, dependencies, dependents}) => {
+      const lastError = this.lastErrors.get(name) || null;
+      return {
+        name,
+        version,
+        state: lastError && state !== 'initialized' && state !== 'initializing' ? 'failed' : state,
+        initTime: timings.get(name)?.initTime ?? null,
+        loadTime: timings.get(name)?.loadTime ?? null,
+        lastError,
+        dependencies,
+        dependents
+      };
+    });
+
+    const count = state => modules.filter(module => module.state === state).length;
+    return {
+      timestamp: Date.now(),
+      modules,
+      summary: {
+        total: modules.length,
+        initialized: count('initialized'),
+        initializing: count('initializing'),
+        failed: count('failed'),
+        pending: count('registered') + count('lazy')
+      }
+    };
+  },
+
+  /**
+   * Record a failed initialization and emit the failed event
+   * @private
+   * @param {string} moduleName - Name of module
+   * @param {Error} error - The failure
+   * @param {number|null} duration - Time spent in initialize before failing, in ms
+   */
+  _recordFailure(moduleName, error, duration) {
+    const lastError = {message: error?.message || String(error), code: error?.code || null, timestamp: Date.now()};
+    this.lastErrors.set(moduleName, lastError);
+    this._emit('failed', {moduleName, duration, error: lastError});
+  },
+
+  /**
+   * Emit a lifecycle event through EventEmitter (once DropBearCore has loaded) and forward it to .NET
+   * @private
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  _emit(event, data) {
+    const payload = {...data, timestamp: Date.now()};
+
+    window.DropBearCore?.EventEmitter.emit(
+      this,
+      event,
+      DropBearUtils.createEvent(data.moduleName, event, payload)
+    );
+
+    if (this.dotNetRef) {
+      DropBearUtils.invokeDotNet(this.dotNetRef, 'OnModuleLifecycleEvent', event, payload)
+        .catch(error => logger.warn(`Failed to forward "${event}" event to .NET:`, error));
+    }
+  },
+
+  /**
+   * Initialize every registered module. The dependency graph is validated up front, and each
+   * module starts as soon as its own dependencies are ready, so independent modules initialize
+   * in parallel.
+   * @param {Object} [options] - Initialization options
+   * @param {boolean} [options.includeLazy=false] - Also load lazy modules nothing else depends on
+   * @returns {Promise<string[]>} Module names in the topological order they were scheduled
+   * @throws {Error} If the graph has cycles or unknown dependencies, or any module fails to initialize
+   */
+  async initializeAll({includeLazy = false} = {}) {
+    const names = Array.from(this.modules.keys())
+      .filter(name => includeLazy || !this.modules.get(name).__lazy);
+    const {order} = this.validateDependencies(names);
+
+    logger.debug('Initializing all modules:', order);
+    await Promise.all(order.map(name => this.initialize(name)));
+
+    return order;
+  },
+
+  /**
+   * Check that the given modules and everything they depend on are registered and acyclic
+   * @param {string[]} moduleNames - Modules to start from
+   * @returns {{order: string[]}} Topological order of the modules and their transitive dependencies
+   * @throws {Error} Listing every cycle and unknown dependency with its full path
+   */
+  validateDependencies(moduleNames) {
+    const {order, cycles, missing} = this._analyzeDependencies(moduleNames);
+    if (cycles.length === 0 && missing.length === 0) {
+      return {order};
+    }
+
+    const problems = [
+      ...cycles.map(path => `circular dependency ${path.join(' -> ')}`),
+      ...missing.map(({path}) => `unknown dependency "${path[path.length - 1]}" via ${path.join(' -> ')}`)
+    ];
+
+    throw DropBearUtils.createError(
+      `Invalid module dependencies: ${problems.join('; ')}`,
+      cycles.length > 0 ? 'MODULE_DEPENDENCY_CYCLE' : 'MODULE_DEPENDENCY_MISSING',
+      'ModuleManager',
+      {cycles, missing}
+    );
+  },
+
+  /**
+   * Describe the dependency graph, for diagnosing startup that hangs or fails
+   * @returns {{modules: Array<{name: string, version: string|null, dependencies: string[], dependents: string[], level: number|null, state: string}>, order: string[], cycles: string[][], missing: Array<{module: string, dependency: string, path: string[]}>}}
+   */
+  getDependencyGraph() {
+    const names = Array.from(this.modules.keys());
+    const {order, cycles, missing} = this._analyzeDependencies(names);
+
+    // Level 0 has no dependencies; modules on the same level can initialize in parallel
+    const levels = new Map();
+    order.forEach(name => {
+      const deps = this.dependencies.get(name) || [];
+      const depLevels = deps.map(dep => levels.get(dep));
+      levels.set(name, depLevels.includes(undefined) ? null : Math.max(-1, ...depLevels) + 1);
+    });
+
+    const modules = names.map(name => {
+      const module = this.modules.get(name);
+      let state = module.__lazy ? 'lazy' : 'registered';
+      if (module.__initialized) state = 'initialized';
+      else if (module.__initializing) state = 'initializing';
+
+      return {
+        name,
+        version: module.__version ?? null,
+        dependencies: [...(this.dependencies.get(name) || [])],
+        dependents: names.filter(other => (this.dependencies.get(other) || []).includes(name)),
+        level: levels.get(name) ?? null,
+        state
+      };
+    });
+
+    return {modules, order, cycles, missing};
+  },
+
+  /**
+   * Depth-first walk of the dependency graph
+   * @private
+   * @param {string[]} moduleNames - Modules to start from
+   * @returns {{order: string[], cycles: string[][], missing: Array<{module: string, dependency: string, path: string[]}>}}
+   *   Post-order (dependencies first) of every reachable registered module, plus any problems found
+   */
+  _analyzeDependencies(moduleNames) {
+    const order = [];
+    const cycles = [];
+    const missing = [];
+    const visited = new Set();
+    const path = [];
+
+    const visit = name => {
+      if (visited.has(name)) return;
+
+      const cycleStart = path.indexOf(name);
+      if (cycleStart !== -1) {
+        cycles.push([...path.slice(cycleStart), name]);
+        return;
+      }
+
+      path.push(name);
+      for (const dep of this.dependencies.get(name) || []) {
+        if (!this.modules.has(dep)) {
+          missing.push({module: name, dependency: dep, path: [...path, dep]});
+        } else {
+          visit(dep);
+        }
+      }
+      path.pop();
+
+      visited.add(name);
+      order.push(name);
+    };
+
+    moduleNames.forEach(name => {
+      if (this.modules.has(name)) {
+        visit(name);
+      } else {
+        missing.push({module: name, dependency: name, path: [name]});
+      }
+    });
+
+    return {order, cycles, missing};
+  },
+
   /**
    * Wait for module dependencies to be initialized
    * @param {string[]} dependencies - Array of dependency names
@@ -153,6 +792,7 @@ const ModuleManager = {
         throw new TypeError('Dependencies must be an array');
       }
 
+      this.validateDependencies(dependencies);
       await Promise.all(dependencies.map(dep => this.initialize(dep)));
       logger.debug('Dependencies initialized successfully');
     } catch (error) {
@@ -162,13 +802,18 @@ const ModuleManager = {
   },
 
   /**
-   * Retrieve a registered module by name
+   * Retrieve a registered module by name. A lazy module that has not been imported yet is
+   * loaded first, in which case a promise for the module is returned.
    * @param {string} moduleName - Name of module
-   * @returns {Module|undefined} The module if found
+   * @returns {Module|Promise<Module>|undefined} The module if found
    */
   get(moduleName) {
     DropBearUtils.validateArgs([moduleName], ['string'], 'get');
-    return this.modules.get(moduleName);
+    const module = this.modules.get(moduleName);
+    if (module?.__lazy) {
+      return this._load(moduleName).then(() => this.modules.get(moduleName));
+    }
+    return module;
   },
 
   /**
@@ -223,12 +868,17 @@ const ModuleManager = {
         this.dependencies.delete(moduleName);
         this.initialized.delete(moduleName);
         this.initializationPromises.delete(moduleName);
+        this.loadPromises.delete(moduleName);
+        this.timings.delete(moduleName);
+
+        this.lastErrors.delete(moduleName);
 
         // Update window reference
         if (typeof window !== 'undefined' && window[moduleName]) {
           window[moduleName].__initialized = false;
         }
 
+        this._emit('disposed', {moduleName});
         logger.debug(`Module "${moduleName}" disposed successfully`);
         return true;
       } catch (error) {
@@ -268,6 +918,10 @@ const ModuleManager = {
       this.dependencies.clear();
       this.initialized.clear();
       this.initializationPromises.clear();
+      this.loadPromises.clear();
+      this.timings.clear();
+      this.preloadedUrls.clear();
+      this.lastErrors.clear();
 
       logger.debug('ModuleManager cleared successfully');
     } catch (error) {
@@ -283,6 +937,14 @@ window.DropBearModuleManager = {
   __initialized: false,
   initialize: () => ModuleManager.initialize('DropBearModuleManager'),
   register: ModuleManager.register.bind(ModuleManager),
+  registerLazy: ModuleManager.registerLazy.bind(ModuleManager),
+  preload: ModuleManager.preload.bind(ModuleManager),
+  getLoadTimings: ModuleManager.getLoadTimings.bind(ModuleManager),
+  getHealthReport: ModuleManager.getHealthReport.bind(ModuleManager),
+  setDotNetReference: ModuleManager.setDotNetReference.bind(ModuleManager),
+  on: ModuleManager.on.bind(ModuleManager),
+  initializeAll: ModuleManager.initializeAll.bind(ModuleManager),
+  getDependencyGraph: ModuleManager.getDependencyGraph.bind(ModuleManager),
   waitForDependencies: ModuleManager.waitForDependencies.bind(ModuleManager),
   get: ModuleManager.get.bind(ModuleManager),
   isInitialized: ModuleManager.isInitialized.bind(ModuleManager),
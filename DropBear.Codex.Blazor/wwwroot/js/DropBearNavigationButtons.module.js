@@ -3,13 +3,15 @@
  * @module navigationButtons
  */
 
-import {CircuitBreaker, DOMOperationQueue, EventEmitter} from './DropBearCore.module.js';
-import {DropBearUtils} from './DropBearUtils.module.js';
+import {CircuitBreakerRegistry, ConnectionManager, DOMOperationQueue, EventEmitter, RetryPolicy} from './DropBearCore.module.js';
+import {DropBearUtils, Schema} from './DropBearUtils.module.js';
 
 const logger = DropBearUtils.createLogger('DropBearNavigationButtons');
-const circuitBreaker = new CircuitBreaker({failureThreshold: 3, resetTimeout: 30000});
+const circuitBreaker = CircuitBreakerRegistry.get(CircuitBreakerRegistry.DOTNET);
+const retryPolicy = new RetryPolicy({circuitBreaker});
 let isInitialized = false;
 const moduleName = 'DropBearNavigationButtons';
+const moduleVersion = '1.0.0';
 
 /**
  * Manager for navigation button behavior and visibility
@@ -33,8 +35,8 @@ class NavigationManager {
     /** @type {IntersectionObserver|null} */
     this.intersectionObserver = null;
 
-    /** @type {number|null} */
-    this.scrollThrottleTimeout = null;
+    /** @type {Function|null} Throttled intersection callback, cancelled on dispose */
+    this.handleIntersection = null;
 
     /** @type {number} */
     this.scrollThrottleDelay = 250; // ms between scroll checks
@@ -64,15 +66,14 @@ class NavigationManager {
     };
 
     try {
-      this.intersectionObserver = new IntersectionObserver(
-        DropBearUtils.throttle(entries => {
-          if (this.isDisposed) return;
-
-          const isVisible = entries.some(entry => entry.intersectionRatio > 0);
-          this._updateVisibility(!isVisible);
-        }, this.scrollThrottleDelay),
-        options
-      );
+      this.handleIntersection = DropBearUtils.throttle(entries => {
+        if (this.isDisposed) return;
+
+        const isVisible = entries.some(entry => entry.intersectionRatio > 0);
+        this._updateVisibility(!isVisible);
+      }, this.scrollThrottleDelay);
+
+      this.intersectionObserver = new IntersectionObserver(this.handleIntersection, options);
 
       const sentinel = document.createElement('div');
       sentinel.style.cssText = 'height: 1px; pointer-events: none; opacity: 0;';
@@ -96,8 +97,9 @@ class NavigationManager {
     if (this.isDisposed) return;
 
     try {
-      await circuitBreaker.execute(() =>
-        this.dotNetRef.invokeMethodAsync('UpdateVisibility', isVisible)
+      // While disconnected only the latest visibility is kept for replay
+      await retryPolicy.execute(() =>
+        ConnectionManager.invoke(this.dotNetRef, 'UpdateVisibility', [isVisible], {key: 'visibility', maxAge: Infinity})
       );
 
       EventEmitter.emit(
@@ -205,8 +207,10 @@ class NavigationManager {
       this.intersectionObserver = null;
     }
 
-    clearTimeout(this.scrollThrottleTimeout);
-    this.scrollThrottleTimeout = null;
+    if (this.handleIntersection) {
+      this.handleIntersection.cancel();
+      this.handleIntersection = null;
+    }
     this.dotNetRef = null;
 
     EventEmitter.emit(
@@ -308,7 +312,8 @@ window.DropBearModuleManager.register(
     isInitialized: () => window[moduleName].isInitialized(),
     dispose: () => window[moduleName].dispose()
   },
-  ['DropBearUtils', 'DropBearCore']
+  ['DropBearUtils', 'DropBearCore'],
+  {version: moduleVersion}
 );
 
 // Export the API functions under a unique namespace for the navigation buttons module.
@@ -324,7 +329,8 @@ export const DropBearNavigationButtonsAPI = {
    * @param {Object} dotNetRef - The .NET reference for Blazor interop.
    * @returns {Promise<void>}
    */
-  createNavigationManager: async (dotNetRef) => window[moduleName].createNavigationManager(dotNetRef),
+  createNavigationManager: DropBearUtils.withValidation('createNavigationManager', {dotNetRef: Schema.dotNetRef()},
+    async dotNetRef => window[moduleName].createNavigationManager(dotNetRef)),
 
   /**
    * Scrolls the page to the top.
@@ -343,7 +349,8 @@ export const DropBearNavigationButtonsAPI = {
    * @param {boolean} isVisible - Desired visibility state.
    * @returns {Promise<void>}
    */
-  forceVisibilityUpdate: async (isVisible) => window[moduleName].forceVisibilityUpdate(isVisible),
+  forceVisibilityUpdate: DropBearUtils.withValidation('forceVisibilityUpdate', {isVisible: Schema.boolean()},
+    async isVisible => window[moduleName].forceVisibilityUpdate(isVisible)),
 
   /**
    * Disposes the navigation buttons module.
@@ -1,15 +1,16 @@
-/**
+﻿/**
  * @fileoverview PageAlert manager module for displaying page-level alerts
  * @module page-alert
  */
 
-import {CircuitBreaker, DOMOperationQueue, EventEmitter} from './DropBearCore.module.js';
-import {DropBearUtils} from './DropBearUtils.module.js';
+import {CircuitBreakerRegistry, DOMOperationQueue, EventEmitter} from './DropBearCore.module.js';
+import {DropBearUtils, Schema} from './DropBearUtils.module.js';
 
 const logger = DropBearUtils.createLogger('DropBearPageAlert');
-const circuitBreaker = new CircuitBreaker({failureThreshold: 3, resetTimeout: 30000});
+const circuitBreaker = CircuitBreakerRegistry.get(CircuitBreakerRegistry.DOTNET);
 let isInitialized = false;
 const moduleName = 'DropBearPageAlert';
+const moduleVersion = '1.0.0';
 
 /** @type {Object} Alert configuration constants */
 const ALERT_CONFIG = {
@@ -318,11 +319,9 @@ class PageAlertManager {
     if (this.isDisposed || !this.content) return false;
 
     try {
-      await new Promise(resolve =>
-        DOMOperationQueue.add(() => {
-          this.content.innerHTML = content;
-          resolve();
-        }));
+      await DOMOperationQueue.add(() => {
+        this.content.innerHTML = content;
+      });
 
       EventEmitter.emit(
         this.element,
@@ -509,7 +508,8 @@ window.DropBearModuleManager.register(
     isInitialized: () => window[moduleName].isInitialized(),
     dispose: () => window[moduleName].disposeAll()
   },
-  ['DropBearUtils', 'DropBearCore']
+  ['DropBearUtils', 'DropBearCore'],
+  {version: moduleVersion}
 );
 
 // Export the API functions under a unique namespace for the page alert module.
@@ -528,8 +528,13 @@ export const DropBearPageAlertAPI = {
    * @param {Object} [options={}] - Additional configuration options.
    * @returns {boolean} True if the alert was created successfully.
    */
-  create: (id, duration = ALERT_CONFIG.DEFAULT_DURATION, isPermanent = false, options = {}) =>
-    window[moduleName].create(id, duration, isPermanent, options),
+  create: DropBearUtils.withValidation('create', {
+    id: Schema.id(),
+    duration: Schema.number({min: 0}).optional(),
+    isPermanent: Schema.boolean().optional(),
+    options: Schema.object({animationDuration: Schema.number({min: 0}).optional()}).nullable().optional()
+  }, (id, duration = ALERT_CONFIG.DEFAULT_DURATION, isPermanent = false, options = {}) =>
+    window[moduleName].create(id, duration, isPermanent, options)),
 
   /**
    * Updates the content of an existing alert.
@@ -537,21 +542,22 @@ export const DropBearPageAlertAPI = {
    * @param {string} content - New content (HTML) for the alert.
    * @returns {Promise<boolean>} True if the content was updated successfully.
    */
-  updateContent: async (id, content) => window[moduleName].updateContent(id, content),
+  updateContent: DropBearUtils.withValidation('updateContent', {id: Schema.id(), content: Schema.string()},
+    async (id, content) => window[moduleName].updateContent(id, content)),
 
   /**
    * Shows an alert.
    * @param {string} id - The ID of the alert element.
    * @returns {Promise<boolean>} True if the alert was shown successfully.
    */
-  show: async id => window[moduleName].show(id),
+  show: DropBearUtils.withValidation('show', {id: Schema.id()}, async id => window[moduleName].show(id)),
 
   /**
    * Hides an alert.
    * @param {string} id - The ID of the alert element.
    * @returns {Promise<boolean>} True if the alert was hidden successfully.
    */
-  hide: async id => window[moduleName].hide(id),
+  hide: DropBearUtils.withValidation('hide', {id: Schema.id()}, async id => window[moduleName].hide(id)),
 
   /**
    * Hides all alerts.
@@ -3,13 +3,15 @@
  * @module resize-manager
  */
 
-import { DOMOperationQueue, EventEmitter, CircuitBreaker } from './DropBearCore.module.js';
-import { DropBearUtils } from './DropBearUtils.module.js';
+import { DOMOperationQueue, EventEmitter, CircuitBreakerRegistry, ConnectionManager, RetryPolicy } from './DropBearCore.module.js';
+import { DropBearUtils, Schema } from './DropBearUtils.module.js';
 
 const logger = DropBearUtils.createLogger('DropBearResizeManager');
-const circuitBreaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 30000 });
+const circuitBreaker = CircuitBreakerRegistry.get(CircuitBreakerRegistry.DOTNET);
+const retryPolicy = new RetryPolicy({ circuitBreaker });
 let isInitialized = false;
 const moduleName = 'DropBearResizeManager';
+const moduleVersion = '1.0.0';
 
 /** @type {Object} Resize configuration constants */
 const RESIZE_CONFIG = {
@@ -52,7 +54,8 @@ class ResizeManager {
       ...options
     };
 
-    // Removed unused debounceTimeout
+    /** @type {Function|null} Debounced observer callback, cancelled on dispose */
+    this.resizeHandler = null;
 
     this._initializeResizeObserver();
 
@@ -76,9 +79,8 @@ class ResizeManager {
   _initializeResizeObserver() {
     try {
       // Create a debounced resize handler
-      this.resizeObserver = new ResizeObserver(
-        this._createResizeHandler()
-      );
+      this.resizeHandler = this._createResizeHandler();
+      this.resizeObserver = new ResizeObserver(this.resizeHandler);
       // Observe the document body (adjust if a different element is desired)
       this.resizeObserver.observe(document.body);
       logger.debug('ResizeObserver initialized');
@@ -117,11 +119,14 @@ class ResizeManager {
 
       this.lastDimensions = dimensions;
 
-      // Use the circuit breaker to invoke the .NET method
-      await circuitBreaker.execute(() =>
-        this.dotNetReference.invokeMethodAsync(
+      // Invoke the .NET method through the shared circuit breaker, retrying transient failures.
+      // While disconnected only the latest dimensions are kept for replay.
+      await retryPolicy.execute(() =>
+        ConnectionManager.invoke(
+          this.dotNetReference,
           'SetMaxWidthBasedOnWindowSize',
-          dimensions
+          [dimensions],
+          { key: 'resize', maxAge: Infinity }
         )
       );
 
@@ -200,10 +205,11 @@ class ResizeManager {
     logger.debug('Disposing ResizeManager');
     this.isDisposed = true;
 
-    // Clear any pending debounced calls (if applicable)
-    // Note: If DropBearUtils.debounce does not expose a cancel method,
-    // ensure that no further calls occur by checking isDisposed in the handler.
-    // clearTimeout(this.debounceTimeout); // Removed since debounceTimeout is not used
+    // Drop any pending debounced call
+    if (this.resizeHandler) {
+      this.resizeHandler.cancel();
+      this.resizeHandler = null;
+    }
 
     if (this.resizeObserver) {
       this.resizeObserver.disconnect();
@@ -308,7 +314,8 @@ window.DropBearModuleManager.register(
     isInitialized: () => window[moduleName].isInitialized(),
     dispose: () => window[moduleName].dispose()
   },
-  ['DropBearUtils', 'DropBearCore']
+  ['DropBearUtils', 'DropBearCore'],
+  { version: moduleVersion }
 );
 
 // Export the API functions under a unique namespace for the resize manager module.
@@ -325,8 +332,13 @@ export const DropBearResizeManagerAPI = {
    * @param {Object} [options={}] - Optional configuration options.
    * @returns {Promise<void>}
    */
-  createResizeManager: async (dotNetRef, options = {}) =>
-    window[moduleName].createResizeManager(dotNetRef, options),
+  createResizeManager: DropBearUtils.withValidation('createResizeManager', {
+    dotNetRef: Schema.dotNetRef(),
+    options: Schema.object({
+      minResizeInterval: Schema.number({ min: 0 }).optional(),
+      dimensionThreshold: Schema.number({ min: 0 }).optional()
+    }).nullable().optional()
+  }, async (dotNetRef, options = {}) => window[moduleName].createResizeManager(dotNetRef, options)),
 
   /**
    * Forces a resize event.
@@ -3,9 +3,10 @@
  * @module resource-pool
  */
 
-import {DropBearUtils} from './DropBearUtils.module.js';
+import {DropBearUtils, Schema} from './DropBearUtils.module.js';
 
 const logger = DropBearUtils.createLogger('DropBearResourcePool');
+const moduleVersion = '1.0.0';
 let isInitialized = false;
 
 /** @type {Object} Pool configuration constants */
@@ -17,6 +18,17 @@ const POOL_CONFIG = {
   CLEANUP_INTERVAL: 60000 // Cleanup interval in ms
 };
 
+/** @type {Object} Argument schemas for ResourcePoolManager.create */
+const CREATE_ARGS = {
+  type: Schema.id(),
+  factory: Schema.func(),
+  options: Schema.object({
+    maxSize: Schema.integer({min: POOL_CONFIG.MIN_POOL_SIZE}).optional(),
+    initialSize: Schema.integer({min: 0}).optional(),
+    validate: Schema.func().nullable().optional()
+  })
+};
+
 /**
  * Resource pool manager for efficient object reuse
  * @implements {IResourcePool}
@@ -92,10 +104,7 @@ class ResourcePoolManager {
     try {
       await circuitBreaker.execute(async () => {
         // Parameter validation
-        DropBearUtils.validateArgs([type], ['string'], 'create');
-        if (typeof factory !== 'function') {
-          throw new TypeError('Factory must be a function');
-        }
+        DropBearUtils.validateArgs([type, factory, options], CREATE_ARGS, 'create');
         if (this.pools.has(type)) {
           throw new Error(`Pool "${type}" already exists`);
         }
@@ -103,26 +112,16 @@ class ResourcePoolManager {
         // Process options with defaults
         const config = {
           maxSize: Math.min(
-            options.maxSize || POOL_CONFIG.DEFAULT_MAX_SIZE,
+            options.maxSize ?? POOL_CONFIG.DEFAULT_MAX_SIZE,
             POOL_CONFIG.MAX_POOL_SIZE
           ),
-          initialSize: options.initialSize || POOL_CONFIG.DEFAULT_INITIAL_SIZE,
+          initialSize: options.initialSize ?? POOL_CONFIG.DEFAULT_INITIAL_SIZE,
           validate: options.validate || null,
         };
 
-        // Validate options
-        if (config.maxSize < POOL_CONFIG.MIN_POOL_SIZE) {
-          throw new Error(`maxSize must be at least ${POOL_CONFIG.MIN_POOL_SIZE}`);
-        }
-        if (config.initialSize < 0) {
-          throw new Error('initialSize cannot be negative');
-        }
         if (config.initialSize > config.maxSize) {
           throw new Error('initialSize cannot exceed maxSize');
         }
-        if (config.validate && typeof config.validate !== 'function') {
-          throw new TypeError('validate must be a function');
-        }
 
         // Initialize pool with resources
         const pool = [];
@@ -567,7 +566,8 @@ window.DropBearModuleManager.register(
     isInitialized: () => window.DropBearResourcePool.isInitialized(),
     dispose: () => window.DropBearResourcePool.dispose()
   },
-  ['DropBearUtils']
+  ['DropBearUtils'],
+  {version: moduleVersion}
 );
 
 // Export ResourcePoolManager class
@@ -3,13 +3,14 @@
  * @module snackbar
  */
 
-import { CircuitBreaker, DOMOperationQueue, EventEmitter } from './DropBearCore.module.js';
-import { DropBearUtils } from './DropBearUtils.module.js';
+import { CircuitBreakerRegistry, ConnectionManager, DOMOperationQueue, EventEmitter } from './DropBearCore.module.js';
+import { DropBearUtils, Schema } from './DropBearUtils.module.js';
 
 const logger = DropBearUtils.createLogger('DropBearSnackbar');
-const circuitBreaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 30000 });
+const circuitBreaker = CircuitBreakerRegistry.get(CircuitBreakerRegistry.DOTNET);
 let isInitialized = false;
 const moduleName = 'DropBearSnackbar';
+const moduleVersion = '1.0.0';
 
 /** @type {Object} Snackbar configuration constants */
 const SNACKBAR_CONFIG = {
@@ -202,9 +203,7 @@ class SnackbarManager {
 
         this.progressTimeout = setTimeout(async () => {
           try {
-            if (this.dotNetRef) {
-              await this.dotNetRef.invokeMethodAsync('OnProgressComplete');
-            }
+            this._notifyProgressComplete();
             await this.hide();
           } catch (error) {
             logger.error('Error handling progress completion:', error);
@@ -216,6 +215,18 @@ class SnackbarManager {
     logger.debug('Progress started:', { duration });
   }
 
+  /**
+   * Tell .NET the progress bar finished. Hiding does not wait for it, since the call is
+   * buffered until reconnection while the circuit is down.
+   * @private
+   */
+  _notifyProgressComplete() {
+    if (!this.dotNetRef) return;
+
+    ConnectionManager.invoke(this.dotNetRef, 'OnProgressComplete', [], { key: 'progress-complete' })
+      .catch(error => logger.error('Error reporting progress completion:', error));
+  }
+
   /**
    * Pause progress bar animation
    * @private
@@ -254,9 +265,7 @@ class SnackbarManager {
 
       this.progressTimeout = setTimeout(async () => {
         try {
-          if (this.dotNetRef) {
-            await this.dotNetRef.invokeMethodAsync('OnProgressComplete');
-          }
+          this._notifyProgressComplete();
           await this.hide();
         } catch (error) {
           logger.error('Error handling progress completion:', error);
@@ -335,11 +344,9 @@ class SnackbarManager {
     if (this.isDisposed || !this.content) return false;
 
     try {
-      await new Promise(resolve =>
-        DOMOperationQueue.add(() => {
-          this.content.innerHTML = content;
-          resolve();
-        }));
+      await DOMOperationQueue.add(() => {
+        this.content.innerHTML = content;
+      });
 
       EventEmitter.emit(
         this.element,
@@ -518,7 +525,8 @@ window.DropBearModuleManager.register(
     isInitialized: () => window[moduleName].isInitialized(),
     dispose: () => window[moduleName].disposeAll()
   },
-  ['DropBearUtils', 'DropBearCore']
+  ['DropBearUtils', 'DropBearCore'],
+  { version: moduleVersion }
 );
 
 // Export the API functions under a unique namespace for the snackbar module.
@@ -535,8 +543,10 @@ export const DropBearSnackbarAPI = {
    * @param {Object} [options={}] - Configuration options.
    * @returns {Promise<void>}
    */
-  createSnackbar: async (snackbarId, options = {}) =>
-    window[moduleName].createSnackbar(snackbarId, options),
+  createSnackbar: DropBearUtils.withValidation('createSnackbar', {
+    snackbarId: Schema.id(),
+    options: Schema.object({ animationDuration: Schema.number({ min: 0 }).optional() }).nullable().optional()
+  }, async (snackbarId, options = {}) => window[moduleName].createSnackbar(snackbarId, options)),
 
   /**
    * Sets the .NET reference for a snackbar.
@@ -544,8 +554,10 @@ export const DropBearSnackbarAPI = {
    * @param {Object} dotNetRef - The .NET reference for Blazor interop.
    * @returns {Promise<boolean>} True if the reference was set successfully.
    */
-  setDotNetReference: async (snackbarId, dotNetRef) =>
-    window[moduleName].setDotNetReference(snackbarId, dotNetRef),
+  setDotNetReference: DropBearUtils.withValidation('setDotNetReference', {
+    snackbarId: Schema.id(),
+    dotNetRef: Schema.dotNetRef()
+  }, async (snackbarId, dotNetRef) => window[moduleName].setDotNetReference(snackbarId, dotNetRef)),
 
   /**
    * Shows a snackbar.
@@ -553,7 +565,10 @@ export const DropBearSnackbarAPI = {
    * @param {number} [duration] - The display duration.
    * @returns {Promise<boolean>} True if the snackbar was shown successfully.
    */
-  show: async (snackbarId, duration) => window[moduleName].show(snackbarId, duration),
+  show: DropBearUtils.withValidation('show', {
+    snackbarId: Schema.id(),
+    duration: Schema.number({ min: 0 }).nullable().optional()
+  }, async (snackbarId, duration) => window[moduleName].show(snackbarId, duration)),
 
   /**
    * Updates the content of a snackbar.
@@ -561,8 +576,10 @@ export const DropBearSnackbarAPI = {
    * @param {string} content - The new HTML content.
    * @returns {Promise<boolean>} True if the content was updated successfully.
    */
-  updateContent: async (snackbarId, content) =>
-    window[moduleName].updateContent(snackbarId, content),
+  updateContent: DropBearUtils.withValidation('updateContent', {
+    snackbarId: Schema.id(),
+    content: Schema.string()
+  }, async (snackbarId, content) => window[moduleName].updateContent(snackbarId, content)),
 
   /**
    * Starts the progress bar animation for a snackbar.
@@ -570,15 +587,18 @@ export const DropBearSnackbarAPI = {
    * @param {number} duration - Duration for the progress animation.
    * @returns {boolean} True if the progress was started.
    */
-  startProgress: (snackbarId, duration) =>
-    window[moduleName].startProgress(snackbarId, duration),
+  startProgress: DropBearUtils.withValidation('startProgress', {
+    snackbarId: Schema.id(),
+    duration: Schema.number({ min: 0 })
+  }, (snackbarId, duration) => window[moduleName].startProgress(snackbarId, duration)),
 
   /**
    * Hides a snackbar.
    * @param {string} snackbarId - The ID of the snackbar element.
    * @returns {Promise<boolean>} True if the snackbar was hidden successfully.
    */
-  hide: async snackbarId => window[moduleName].hide(snackbarId),
+  hide: DropBearUtils.withValidation('hide', { snackbarId: Schema.id() },
+    async snackbarId => window[moduleName].hide(snackbarId)),
 
   /**
    * Checks whether the snackbar module is initialized.
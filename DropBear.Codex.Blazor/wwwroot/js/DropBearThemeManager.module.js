@@ -1,4 +1,4 @@
-/**
+﻿/**
  * DropBear Theme Manager
  *
  * Manages theme switching with smooth transitions, system preference detection,
@@ -13,6 +13,10 @@
  * - Event-based notifications
  */
 
+import {DropBearUtils, Schema} from './DropBearUtils.module.js';
+
+const logger = DropBearUtils.createLogger('DropBearThemeManager');
+
 class ThemeManager {
     constructor() {
         this.currentTheme = null;
@@ -38,7 +42,7 @@ class ThemeManager {
      */
     initialize() {
         if (this.initialized) {
-            console.warn('ThemeManager already initialized');
+            logger.warn('ThemeManager already initialized');
             return;
         }
 
@@ -58,7 +62,7 @@ class ThemeManager {
         this.watchStorageChanges();
 
         this.initialized = true;
-        console.log('ThemeManager initialized:', {
+        logger.debug('ThemeManager initialized:', {
             currentTheme: this.currentTheme,
             systemTheme: this.systemTheme,
             userPreference: this.userPreference
@@ -88,7 +92,7 @@ class ThemeManager {
             if (darkModeQuery.addEventListener) {
                 darkModeQuery.addEventListener('change', (e) => {
                     this.systemTheme = e.matches ? this.themes.DARK : this.themes.LIGHT;
-                    console.log('System theme changed to:', this.systemTheme);
+                    logger.debug('System theme changed to:', this.systemTheme);
 
                     // Re-apply theme if user preference is 'auto'
                     if (this.userPreference === this.themes.AUTO || !this.userPreference) {
@@ -114,7 +118,7 @@ class ThemeManager {
     watchStorageChanges() {
         window.addEventListener('storage', (e) => {
             if (e.key === this.storageKey && e.newValue !== e.oldValue) {
-                console.log('Theme preference changed in another tab');
+                logger.debug('Theme preference changed in another tab');
                 this.loadUserPreference();
                 this.applyTheme(true);
             }
@@ -133,7 +137,7 @@ class ThemeManager {
                 this.userPreference = this.themes.AUTO;
             }
         } catch (error) {
-            console.warn('Failed to load theme preference:', error);
+            logger.warn('Failed to load theme preference:', error);
             this.userPreference = this.themes.AUTO;
         }
     }
@@ -146,7 +150,7 @@ class ThemeManager {
             localStorage.setItem(this.storageKey, preference);
             this.userPreference = preference;
         } catch (error) {
-            console.error('Failed to save theme preference:', error);
+            logger.error('Failed to save theme preference:', error);
         }
     }
 
@@ -171,7 +175,7 @@ class ThemeManager {
             return; // No change needed
         }
 
-        console.log('Applying theme:', newTheme, animated ? '(animated)' : '(instant)');
+        logger.debug('Applying theme:', newTheme, animated ? '(animated)' : '(instant)');
 
         // Check if user prefers reduced motion
         const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
@@ -217,8 +221,11 @@ class ThemeManager {
      * Set theme preference (light, dark, or auto)
      */
     setTheme(theme, animated = true) {
-        if (!Object.values(this.themes).includes(theme)) {
-            console.error('Invalid theme:', theme);
+        const valid = this.checkArgs([theme, animated], {
+            theme: Schema.oneOf(Object.values(this.themes)),
+            animated: Schema.boolean()
+        }, 'setTheme');
+        if (!valid) {
             return false;
         }
 
@@ -281,7 +288,7 @@ class ThemeManager {
             try {
                 callback(event);
             } catch (error) {
-                console.error('Theme listener error:', error);
+                logger.error('Theme listener error:', error);
             }
         });
     }
@@ -290,13 +297,11 @@ class ThemeManager {
      * Apply theme to a specific element (component-level override)
      */
     applyThemeToElement(element, theme) {
-        if (!element || !(element instanceof Element)) {
-            console.error('Invalid element provided');
-            return false;
-        }
-
-        if (!Object.values(this.themes).includes(theme)) {
-            console.error('Invalid theme:', theme);
+        const valid = this.checkArgs([element, theme], {
+            element: Schema.element(),
+            theme: Schema.oneOf(Object.values(this.themes))
+        }, 'applyThemeToElement');
+        if (!valid) {
             return false;
         }
 
@@ -308,8 +313,7 @@ class ThemeManager {
      * Remove theme override from element
      */
     removeThemeFromElement(element) {
-        if (!element || !(element instanceof Element)) {
-            console.error('Invalid element provided');
+        if (!this.checkArgs([element], {element: Schema.element()}, 'removeThemeFromElement')) {
             return false;
         }
 
@@ -345,13 +349,26 @@ class ThemeManager {
         return this.currentTheme;
     }
 
+    /**
+     * Validate arguments, logging a failure instead of throwing so interop callers get false
+     */
+    checkArgs(args, schemas, functionName) {
+        try {
+            DropBearUtils.validateArgs(args, schemas, functionName);
+            return true;
+        } catch (error) {
+            logger.error(error.message);
+            return false;
+        }
+    }
+
     /**
      * Dispose resources
      */
     dispose() {
         this.listeners.clear();
         this.initialized = false;
-        console.log('ThemeManager disposed');
+        logger.debug('ThemeManager disposed');
     }
 }
 
@@ -390,7 +407,7 @@ export function getElementTheme(element) {
 
 export function addListener(dotNetReference, methodName) {
     const callback = (event) => {
-        dotNetReference.invokeMethodAsync(methodName, event);
+        DropBearUtils.invokeDotNet(dotNetReference, methodName, event);
     };
     return themeManager.addListener(callback);
 }
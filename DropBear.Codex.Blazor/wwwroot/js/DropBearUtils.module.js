@@ -5,108 +5,902 @@
 
 let isInitialized = false;
 
+/** @type {Object<string, number>} Log level severities; 'none' disables a logger or sink */
+const LOG_LEVELS = {debug: 0, info: 1, warn: 2, error: 3, none: 4};
+
+/** @type {Object} Logging configuration constants */
+const LOG_CONFIG = {
+  DEFAULT_LEVEL: 'info',
+  RING_BUFFER_SIZE: 200, // Records kept by the default in-memory sink
+  DOTNET_BATCH_SIZE: 20, // Records per batch forwarded to .NET
+  DOTNET_FLUSH_INTERVAL: 2000 // Max milliseconds a record waits before being forwarded
+};
+
+/**
+ * Runtime logging state shared by every logger
+ * @type {{level: string, namespaceLevels: Map<string, string>, sinks: Map<string, {sink: Object, level: string}>, nextSinkId: number}}
+ */
+const logging = {
+  level: LOG_CONFIG.DEFAULT_LEVEL,
+  namespaceLevels: new Map(),
+  sinks: new Map(),
+  nextSinkId: 1
+};
+
+/**
+ * Resolve the level for a namespace: an exact match first, then the longest matching 'Prefix*' pattern
+ * @param {string} namespace - Logger namespace
+ * @returns {string} Effective level
+ */
+function resolveLogLevel(namespace) {
+  if (logging.namespaceLevels.has(namespace)) {
+    return logging.namespaceLevels.get(namespace);
+  }
+
+  let match = null;
+  logging.namespaceLevels.forEach((level, pattern) => {
+    if (pattern.endsWith('*') && namespace.startsWith(pattern.slice(0, -1)) &&
+      (!match || pattern.length > match.pattern.length)) {
+      match = {pattern, level};
+    }
+  });
+  return match ? match.level : logging.level;
+}
+
+/**
+ * Convert a log argument into something that survives JSON serialization
+ * @param {*} value - Logged value
+ * @returns {*} Serializable value
+ */
+function toSerializable(value) {
+  if (value instanceof Error) {
+    return {name: value.name, message: value.message, code: value.code, stack: value.stack};
+  }
+  if (typeof Element !== 'undefined' && value instanceof Element) {
+    return `<${value.tagName.toLowerCase()}${value.id ? `#${value.id}` : ''}>`;
+  }
+  if (typeof value === 'function' || typeof value === 'symbol') {
+    return String(value);
+  }
+
+  try {
+    return JSON.parse(JSON.stringify(value) ?? 'null');
+  } catch {
+    return String(value);
+  }
+}
+
+/**
+ * Write log records to the browser console, keeping the '[Namespace] message' format
+ * @returns {{write: Function}} Log sink
+ */
+function createConsoleSink() {
+  const methods = {debug: 'debug', info: 'log', warn: 'warn', error: 'error'};
+  return {
+    write(record) {
+      const prefix = record.correlationId ? `[${record.namespace}] (${record.correlationId})` : `[${record.namespace}]`;
+      console[methods[record.level]](`${prefix} ${record.message}`, ...record.data);
+    }
+  };
+}
+
+/**
+ * Keep the most recent log records in memory. Data is stored in serializable form, so the buffer
+ * does not keep errors, DOM nodes or large payloads alive.
+ * @param {number} [capacity=LOG_CONFIG.RING_BUFFER_SIZE] - Records to keep
+ * @returns {{write: Function, getRecords: Function, clear: Function}} Log sink
+ */
+function createRingBufferSink(capacity = LOG_CONFIG.RING_BUFFER_SIZE) {
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    throw new TypeError('Capacity must be a positive integer');
+  }
+
+  const records = [];
+  return {
+    write(record) {
+      records.push({...record, data: record.data.map(toSerializable)});
+      if (records.length > capacity) {
+        records.shift();
+      }
+    },
+    getRecords: () => records.slice(),
+    clear() {
+      records.length = 0;
+    }
+  };
+}
+
+/** @type {Set<Function>} Observers of .NET calls made through invokeDotNet */
+const interopListeners = new Set();
+
+/**
+ * Call a .NET method. All DropBear modules call .NET through here, so listeners
+ * added with onInterop see every call.
+ * @param {Object} dotNetRef - .NET reference for Blazor interop
+ * @param {string} methodName - JSInvokable method name
+ * @param {...*} args - Method arguments
+ * @returns {Promise<*>} The method's result
+ */
+function invokeDotNet(dotNetRef, methodName, ...args) {
+  interopListeners.forEach(listener => {
+    try {
+      listener({methodName, timestamp: Date.now()});
+    } catch (listenerError) {
+      console.error('[DropBearUtils] Interop listener failed:', listenerError);
+    }
+  });
+  return dotNetRef.invokeMethodAsync(methodName, ...args);
+}
+
+/**
+ * Forward log records to .NET in batches. Failures are reported on the console only,
+ * so a broken circuit cannot feed back into the logger.
+ * @param {Object} dotNetRef - .NET reference receiving the batches
+ * @param {Object} [options] - Forwarding options
+ * @param {string} [options.methodName='OnLogBatch'] - JSInvokable method called with an array of records
+ * @param {number} [options.batchSize=LOG_CONFIG.DOTNET_BATCH_SIZE] - Records that trigger an immediate flush
+ * @param {number} [options.flushInterval=LOG_CONFIG.DOTNET_FLUSH_INTERVAL] - Max ms before buffered records are sent
+ * @returns {{write: Function, flush: Function, dispose: Function}} Log sink
+ */
+function createDotNetLogSink(dotNetRef, options = {}) {
+  if (typeof dotNetRef?.invokeMethodAsync !== 'function') {
+    throw new TypeError('A .NET reference is required');
+  }
+
+  const {
+    methodName = 'OnLogBatch',
+    batchSize = LOG_CONFIG.DOTNET_BATCH_SIZE,
+    flushInterval = LOG_CONFIG.DOTNET_FLUSH_INTERVAL
+  } = options;
+  let buffer = [];
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!buffer.length) {
+      return Promise.resolve();
+    }
+
+    const batch = buffer;
+    buffer = [];
+    return invokeDotNet(dotNetRef, methodName, batch).catch(error => {
+      console.warn(`[DropBearUtils] Failed to forward ${batch.length} log record(s) to .NET:`, error);
+    });
+  };
+
+  // Send what is buffered before the page goes away
+  window.addEventListener('pagehide', flush);
+
+  return {
+    write(record) {
+      buffer.push({...record, data: record.data.map(toSerializable)});
+      if (buffer.length >= batchSize) {
+        flush();
+      } else if (!timer) {
+        timer = setTimeout(flush, flushInterval);
+      }
+    },
+    flush,
+    dispose() {
+      window.removeEventListener('pagehide', flush);
+      flush();
+    }
+  };
+}
+
+/** @type {{write: Function, getRecords: Function, clear: Function}} Default in-memory sink */
+const recentLogs = createRingBufferSink();
+
+/**
+ * Describe a value's type for validation messages
+ * @param {*} value - Value to describe
+ * @returns {string} Type description, e.g. 'null', 'array', 'NaN', 'File'
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isNaN(value)) return 'NaN';
+  if (typeof value === 'object') {
+    const name = value.constructor?.name;
+    return name && name !== 'Object' ? name : 'object';
+  }
+  return typeof value;
+}
+
+/**
+ * Build a validation failure record
+ * @param {string} path - Path of the bad value
+ * @param {string} expected - What was expected
+ * @param {*} value - The bad value
+ * @returns {{path: string, expected: string, received: string}} Failure
+ */
+function fail(path, expected, value) {
+  return {path, expected, received: describeType(value)};
+}
+
+/**
+ * A composable validation schema. Built through the Schema factories; optional() and nullable()
+ * return modified copies, so shared schemas are never mutated.
+ */
+class SchemaType {
+  /**
+   * @param {string} expected - Description used in error messages
+   * @param {Function} check - (value, path) => failure or null, called unless the value is skipped
+   */
+  constructor(expected, check) {
+    /** @type {string} */
+    this.expected = expected;
+
+    /** @type {Function} */
+    this.check = check;
+
+    /** @type {boolean} */
+    this.isOptional = false;
+
+    /** @type {boolean} */
+    this.isNullable = false;
+  }
+
+  /**
+   * Accept undefined
+   * @returns {SchemaType} Copy of this schema
+   */
+  optional() {
+    return Object.assign(Object.create(SchemaType.prototype), this, {isOptional: true});
+  }
+
+  /**
+   * Accept null
+   * @returns {SchemaType} Copy of this schema
+   */
+  nullable() {
+    return Object.assign(Object.create(SchemaType.prototype), this, {isNullable: true});
+  }
+
+  /**
+   * Find the first mismatch in a value
+   * @param {*} value - Value to check
+   * @param {string} path - Path of the value, e.g. 'options.maxSize'
+   * @returns {{path: string, expected: string, received: string}|null} The failure, or null if valid
+   */
+  validate(value, path) {
+    if (value === undefined && this.isOptional) return null;
+    if (value === null && this.isNullable) return null;
+    return this.check(value, path);
+  }
+}
+
+/**
+ * Schema factories for DropBearUtils.validateArgs. Every schema is required and non-null
+ * unless marked with optional() or nullable().
+ */
+const Schema = {
+  /**
+   * Any value
+   * @returns {SchemaType}
+   */
+  any() {
+    return new SchemaType('any value', () => null);
+  },
+
+  /**
+   * A string
+   * @param {Object} [options] - Constraints
+   * @param {number} [options.minLength] - Minimum length
+   * @param {number} [options.maxLength] - Maximum length
+   * @param {RegExp} [options.pattern] - Pattern the string must match
+   * @returns {SchemaType}
+   */
+  string({minLength, maxLength, pattern} = {}) {
+    return new SchemaType('string', (value, path) => {
+      if (typeof value !== 'string') return fail(path, 'string', value);
+      if (minLength !== undefined && value.length < minLength) {
+        const expected = minLength === 1 ? 'non-empty string' : `string of at least ${minLength} characters`;
+        return {path, expected, received: `length ${value.length}`};
+      }
+      if (maxLength !== undefined && value.length > maxLength) {
+        return {path, expected: `string of at most ${maxLength} characters`, received: `length ${value.length}`};
+      }
+      if (pattern && !pattern.test(value)) {
+        return {path, expected: `string matching ${pattern}`, received: JSON.stringify(value)};
+      }
+      return null;
+    });
+  },
+
+  /**
+   * A non-empty string, as used for element and instance IDs
+   * @returns {SchemaType}
+   */
+  id() {
+    return Schema.string({minLength: 1});
+  },
+
+  /**
+   * A finite number
+   * @param {Object} [options] - Constraints
+   * @param {number} [options.min] - Inclusive minimum
+   * @param {number} [options.max] - Inclusive maximum
+   * @param {boolean} [options.integer=false] - Require an integer
+   * @returns {SchemaType}
+   */
+  number({min, max, integer = false} = {}) {
+    const expected = integer ? 'integer' : 'number';
+    return new SchemaType(expected, (value, path) => {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail(path, expected, value);
+      if (integer && !Number.isInteger(value)) return {path, expected, received: String(value)};
+      if (min !== undefined && value < min) return {path, expected: `${expected} >= ${min}`, received: String(value)};
+      if (max !== undefined && value > max) return {path, expected: `${expected} <= ${max}`, received: String(value)};
+      return null;
+    });
+  },
+
+  /**
+   * An integer
+   * @param {Object} [options] - Constraints, as for number()
+   * @returns {SchemaType}
+   */
+  integer(options = {}) {
+    return Schema.number({...options, integer: true});
+  },
+
+  /**
+   * A boolean
+   * @returns {SchemaType}
+   */
+  boolean() {
+    return new SchemaType('boolean', (value, path) => (typeof value === 'boolean' ? null : fail(path, 'boolean', value)));
+  },
+
+  /**
+   * A function
+   * @returns {SchemaType}
+   */
+  func() {
+    return new SchemaType('function', (value, path) => (typeof value === 'function' ? null : fail(path, 'function', value)));
+  },
+
+  /**
+   * One of a fixed set of values
+   * @param {Array<*>} values - Allowed values
+   * @returns {SchemaType}
+   */
+  oneOf(values) {
+    const expected = `one of ${values.map(value => JSON.stringify(value)).join(', ')}`;
+    return new SchemaType(expected, (value, path) => {
+      if (values.includes(value)) return null;
+      return {path, expected, received: typeof value === 'string' ? JSON.stringify(value) : describeType(value)};
+    });
+  },
+
+  /**
+   * A value matching any of several schemas
+   * @param {SchemaType[]} schemas - Alternatives, tried in order
+   * @returns {SchemaType}
+   */
+  union(schemas) {
+    const expected = schemas.map(schema => schema.expected).join(' or ');
+    return new SchemaType(expected, (value, path) => {
+      if (schemas.some(schema => !schema.validate(value, path))) return null;
+      return fail(path, expected, value);
+    });
+  },
+
+  /**
+   * An array whose items all match a schema
+   * @param {SchemaType} item - Item schema
+   * @param {Object} [options] - Constraints
+   * @param {number} [options.minLength] - Minimum item count
+   * @param {number} [options.maxLength] - Maximum item count
+   * @returns {SchemaType}
+   */
+  arrayOf(item, {minLength, maxLength} = {}) {
+    const expected = `array of ${item.expected}`;
+    return new SchemaType(expected, (value, path) => {
+      if (!Array.isArray(value)) return fail(path, expected, value);
+      if (minLength !== undefined && value.length < minLength) {
+        return {path, expected: `${expected} with at least ${minLength} items`, received: `${value.length} items`};
+      }
+      if (maxLength !== undefined && value.length > maxLength) {
+        return {path, expected: `${expected} with at most ${maxLength} items`, received: `${value.length} items`};
+      }
+      for (let i = 0; i < value.length; i++) {
+        const failure = item.validate(value[i], `${path}[${i}]`);
+        if (failure) return failure;
+      }
+      return null;
+    });
+  },
+
+  /**
+   * A non-null, non-array object, optionally with known properties
+   * @param {Object<string, SchemaType>} [shape={}] - Schemas of known properties
+   * @param {Object} [options] - Constraints
+   * @param {boolean} [options.exact=false] - Reject properties not in the shape
+   * @returns {SchemaType}
+   */
+  object(shape = {}, {exact = false} = {}) {
+    return new SchemaType('object', (value, path) => {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) return fail(path, 'object', value);
+      for (const [key, schema] of Object.entries(shape)) {
+        const failure = schema.validate(value[key], `${path}.${key}`);
+        if (failure) return failure;
+      }
+      if (exact) {
+        const unknown = Object.keys(value).find(key => !(key in shape));
+        if (unknown) return {path: `${path}.${unknown}`, expected: 'no such property', received: describeType(value[unknown])};
+      }
+      return null;
+    });
+  },
+
+  /**
+   * An instance of a class. A class given by name is looked up on each check, so globals
+   * missing outside the browser (File, Element) do not break module loading.
+   * @param {Function|string} type - Constructor, or the name of a global constructor
+   * @returns {SchemaType}
+   */
+  instanceOf(type) {
+    const name = typeof type === 'string' ? type : type.name;
+    return new SchemaType(name, (value, path) => {
+      const ctor = typeof type === 'string' ? globalThis[type] : type;
+      return typeof ctor === 'function' && value instanceof ctor ? null : fail(path, name, value);
+    });
+  },
+
+  /**
+   * A File
+   * @returns {SchemaType}
+   */
+  file() {
+    return Schema.instanceOf('File');
+  },
+
+  /**
+   * A DOM element
+   * @returns {SchemaType}
+   */
+  element() {
+    return Schema.instanceOf('Element');
+  },
+
+  /**
+   * A .NET object reference passed through Blazor interop
+   * @returns {SchemaType}
+   */
+  dotNetRef() {
+    const expected = '.NET object reference';
+    return new SchemaType(expected, (value, path) => {
+      if (value !== null && typeof value === 'object' && typeof value.invokeMethodAsync === 'function') return null;
+      return fail(path, expected, value);
+    });
+  }
+};
+
+/**
+ * Schemas for the type names accepted by the original validateArgs signature
+ * @type {Object<string, Function>}
+ */
+const TYPE_SCHEMAS = {
+  string: () => Schema.string(),
+  number: () => Schema.number(),
+  boolean: () => Schema.boolean(),
+  function: () => Schema.func(),
+  object: () => Schema.object()
+};
+
+/**
+ * Resolve a schema or plain type name to a schema
+ * @param {SchemaType|string} schema - Schema, or a typeof name
+ * @returns {SchemaType} Schema
+ */
+function toSchema(schema) {
+  if (schema instanceof SchemaType) return schema;
+  if (TYPE_SCHEMAS[schema]) return TYPE_SCHEMAS[schema]();
+  return new SchemaType(schema, (value, path) => (typeof value === schema ? null : fail(path, schema, value)));
+}
+
+/**
+ * Build a debounced function with lodash-style timing. Throttle is the same with maxWait = wait.
+ * @param {Function} func - Function to wrap
+ * @param {number} wait - Milliseconds to wait after the last call
+ * @param {{leading: boolean, trailing: boolean, maxWait?: number, signal?: AbortSignal}} options - Timing options
+ * @returns {Function} Wrapped function with cancel(), flush() and pending()
+ */
+function createDebounced(func, wait, {leading, trailing, maxWait, signal}) {
+  let lastArgs;
+  let lastThis;
+  let lastCallTime;
+  let lastInvokeTime = 0;
+  let timerId;
+  let result;
+
+  const invoke = time => {
+    const args = lastArgs;
+    const thisArg = lastThis;
+    lastArgs = lastThis = undefined;
+    lastInvokeTime = time;
+    result = func.apply(thisArg, args);
+    return result;
+  };
+
+  const shouldInvoke = time => {
+    const sinceLastCall = time - lastCallTime;
+    return lastCallTime === undefined || sinceLastCall >= wait || sinceLastCall < 0 ||
+      (maxWait !== undefined && time - lastInvokeTime >= maxWait);
+  };
+
+  const remainingWait = time => {
+    const remaining = wait - (time - lastCallTime);
+    return maxWait === undefined ? remaining : Math.min(remaining, maxWait - (time - lastInvokeTime));
+  };
+
+  const trailingEdge = time => {
+    timerId = undefined;
+    // Only invoke if there were calls since the last invocation
+    if (trailing && lastArgs) {
+      return invoke(time);
+    }
+    lastArgs = lastThis = undefined;
+    return result;
+  };
+
+  const timerExpired = () => {
+    const time = Date.now();
+    if (shouldInvoke(time)) {
+      trailingEdge(time);
+    } else {
+      timerId = setTimeout(timerExpired, remainingWait(time));
+    }
+  };
+
+  function debounced(...args) {
+    if (signal?.aborted) return result;
+
+    const time = Date.now();
+    const isInvoking = shouldInvoke(time);
+    lastArgs = args;
+    lastThis = this;
+    lastCallTime = time;
+
+    if (isInvoking) {
+      if (timerId === undefined) {
+        lastInvokeTime = time;
+        timerId = setTimeout(timerExpired, wait);
+        return leading ? invoke(time) : result;
+      }
+      if (maxWait !== undefined) {
+        // Calls kept arriving through a whole maxWait window
+        clearTimeout(timerId);
+        timerId = setTimeout(timerExpired, wait);
+        return invoke(time);
+      }
+    }
+    if (timerId === undefined) {
+      timerId = setTimeout(timerExpired, wait);
+    }
+    return result;
+  }
+
+  /** Drop any pending invocation */
+  debounced.cancel = () => {
+    clearTimeout(timerId);
+    lastInvokeTime = 0;
+    lastArgs = lastThis = lastCallTime = timerId = undefined;
+  };
+
+  /** Run any pending invocation now */
+  debounced.flush = () => (timerId === undefined ? result : trailingEdge(Date.now()));
+
+  /** Whether an invocation is scheduled */
+  debounced.pending = () => timerId !== undefined;
+
+  signal?.addEventListener('abort', debounced.cancel, {once: true});
+  return debounced;
+}
+
+/**
+ * Check the arguments shared by debounce and throttle
+ * @param {Function} func - Function to wrap
+ * @param {number} wait - Wait time in milliseconds
+ * @param {number} [maxWait] - Longest delay before a pending call is run
+ */
+function checkTimingArgs(func, wait, maxWait) {
+  if (typeof func !== 'function') {
+    throw new TypeError('Expected a function');
+  }
+  if (typeof wait !== 'number' || wait < 0) {
+    throw new TypeError('Wait must be a positive number');
+  }
+  if (maxWait !== undefined && (typeof maxWait !== 'number' || maxWait < wait)) {
+    throw new TypeError('maxWait must be a number no smaller than wait');
+  }
+}
+
+/** @type {Set<Function>} Listeners notified of every error built by createError */
+const errorListeners = new Set();
+
 /**
  * Core utility functions for DropBear.
  */
 const DropBearUtils = {
   /**
-   * Create a namespaced logger.
+   * Create a namespaced logger. Each call below the namespace's level is dropped; the rest become
+   * structured records ({timestamp, namespace, level, message, data, correlationId}) passed to every sink.
    * @param {string} namespace - Logger namespace
+   * @param {Object} [options] - Logger options
+   * @param {string|null} [options.correlationId=null] - ID attached to every record, e.g. an upload ID
    * @returns {ILogger} Logger instance
    */
-  createLogger(namespace) {
+  createLogger(namespace, {correlationId = null} = {}) {
     if (typeof namespace !== 'string' || !namespace.trim()) {
       throw new TypeError('Namespace must be a non-empty string');
     }
-    const prefix = `[${namespace}]`;
+
+    const isEnabled = level => LOG_LEVELS[level] >= LOG_LEVELS[resolveLogLevel(namespace)];
+    const write = (level, message, data) => {
+      if (!isEnabled(level)) return;
+
+      const record = {timestamp: Date.now(), namespace, level, message: String(message), data, correlationId};
+      logging.sinks.forEach(({sink, level: sinkLevel}) => {
+        if (LOG_LEVELS[level] < LOG_LEVELS[sinkLevel]) return;
+        try {
+          sink.write(record);
+        } catch (error) {
+          console.error('[DropBearUtils] Log sink failed:', error);
+        }
+      });
+    };
+
     return {
-      debug: (message, ...args) => console.debug(`${prefix} ${message}`, ...args),
-      info: (message, ...args) => console.log(`${prefix} ${message}`, ...args),
-      warn: (message, ...args) => console.warn(`${prefix} ${message}`, ...args),
-      error: (message, ...args) => console.error(`${prefix} ${message}`, ...args),
+      debug: (message, ...args) => write('debug', message, args),
+      info: (message, ...args) => write('info', message, args),
+      warn: (message, ...args) => write('warn', message, args),
+      error: (message, ...args) => write('error', message, args),
+      isEnabled,
+      withCorrelation: id => DropBearUtils.createLogger(namespace, {correlationId: id})
     };
   },
 
   /**
-   * Validate function arguments against expected types.
+   * Change log levels at runtime.
+   * @param {Object} config - Logging configuration
+   * @param {string} [config.level] - Level for namespaces without their own ('debug', 'info', 'warn', 'error', 'none')
+   * @param {Object<string, string|null>} [config.namespaces] - Levels by namespace or 'Prefix*' pattern; null clears one
+   */
+  configureLogging({level, namespaces = {}} = {}) {
+    const validate = value => {
+      if (!(value in LOG_LEVELS)) {
+        throw new TypeError(`Log level must be one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+      }
+      return value;
+    };
+
+    if (level !== undefined) {
+      logging.level = validate(level);
+    }
+    Object.entries(namespaces).forEach(([pattern, namespaceLevel]) => {
+      if (namespaceLevel === null) {
+        logging.namespaceLevels.delete(pattern);
+      } else {
+        logging.namespaceLevels.set(pattern, validate(namespaceLevel));
+      }
+    });
+  },
+
+  /**
+   * Get the level that applies to a namespace.
+   * @param {string} namespace - Logger namespace
+   * @returns {string} Effective level
+   */
+  getLogLevel(namespace) {
+    return resolveLogLevel(namespace);
+  },
+
+  /**
+   * Add a log sink.
+   * @param {{write: Function, flush?: Function, dispose?: Function}} sink - Receives each record via write(record)
+   * @param {Object} [options] - Sink options
+   * @param {string} [options.level='debug'] - Minimum level this sink receives
+   * @returns {string} Sink ID for removeLogSink
+   */
+  addLogSink(sink, {level = 'debug'} = {}) {
+    if (typeof sink?.write !== 'function') {
+      throw new TypeError('Sink must have a write function');
+    }
+    if (!(level in LOG_LEVELS)) {
+      throw new TypeError(`Log level must be one of: ${Object.keys(LOG_LEVELS).join(', ')}`);
+    }
+
+    const id = `sink-${logging.nextSinkId++}`;
+    logging.sinks.set(id, {sink, level});
+    return id;
+  },
+
+  /**
+   * Remove a log sink, disposing it if it supports that.
+   * @param {string} id - ID returned by addLogSink
+   * @returns {boolean} True if the sink was found
+   */
+  removeLogSink(id) {
+    const entry = logging.sinks.get(id);
+    if (!entry) {
+      return false;
+    }
+
+    logging.sinks.delete(id);
+    entry.sink.dispose?.();
+    return true;
+  },
+
+  /**
+   * Forward log records to .NET ILogger in batches.
+   * @param {Object} dotNetRef - .NET reference with a JSInvokable OnLogBatch(records) method
+   * @param {Object} [options] - Options for createDotNetLogSink, plus the minimum level to forward
+   * @param {string} [options.level='warn'] - Minimum level forwarded
+   * @returns {string} Sink ID for removeLogSink
+   */
+  addDotNetLogSink(dotNetRef, {level = 'warn', ...options} = {}) {
+    return DropBearUtils.addLogSink(createDotNetLogSink(dotNetRef, options), {level});
+  },
+
+  /**
+   * Get records kept by the default in-memory sink, oldest first.
+   * @returns {Array<Object>} Log records
+   */
+  getRecentLogs() {
+    return recentLogs.getRecords();
+  },
+
+  createConsoleSink,
+  createRingBufferSink,
+  createDotNetLogSink,
+
+  /**
+   * Validate function arguments against schemas. Schemas may be given as an array, reported by
+   * position, or as an object keyed by parameter name, reported by name. Plain type names
+   * ('string', 'number', 'boolean', 'function', 'object') are still accepted; 'object' rejects
+   * null and arrays.
    * @param {Array<*>} args - Arguments to validate
-   * @param {Array<string>} types - Expected types
+   * @param {Array<SchemaType|string>|Object<string, SchemaType|string>} schemas - Expected schemas
    * @param {string} functionName - Name of function for error messages
-   * @throws {TypeError} If arguments don't match expected types
+   * @throws {Error} INVALID_ARGUMENT error with details {path, expected, received}
    */
-  validateArgs(args, types, functionName) {
-    if (!Array.isArray(args) || !Array.isArray(types)) {
-      throw new TypeError('Args and types must be arrays');
+  validateArgs(args, schemas, functionName) {
+    if (!Array.isArray(args) || schemas === null || typeof schemas !== 'object') {
+      throw new TypeError('Args must be an array and schemas an array or object');
     }
     if (typeof functionName !== 'string') {
       throw new TypeError('Function name must be a string');
     }
-    args.forEach((arg, index) => {
-      const expectedType = types[index];
-      const actualType = typeof arg;
-      if (actualType !== expectedType) {
-        throw new TypeError(
-          `Invalid argument for ${functionName}: Expected ${expectedType}, got ${actualType}`
+
+    const entries = Array.isArray(schemas)
+      ? schemas.map((schema, index) => [`arguments[${index}]`, schema])
+      : Object.entries(schemas);
+
+    entries.forEach(([name, schema], index) => {
+      const failure = toSchema(schema).validate(args[index], name);
+      if (failure) {
+        throw this.createError(
+          `Invalid argument for ${functionName}: ${failure.path} expected ${failure.expected}, got ${failure.received}`,
+          'INVALID_ARGUMENT',
+          functionName,
+          failure
         );
       }
     });
   },
 
   /**
-   * Debounce a function.
+   * Wrap a function so its arguments are validated before it runs. Async functions
+   * reject with the validation error instead of throwing, so APIs documented as returning
+   * a promise must pass an async function to keep doing so for invalid arguments.
+   * @param {string} functionName - Name of function for error messages
+   * @param {Array<SchemaType|string>|Object<string, SchemaType|string>} schemas - Expected schemas
+   * @param {Function} func - Function to wrap
+   * @returns {Function} Validating function
+   */
+  withValidation(functionName, schemas, func) {
+    const isAsync = func.constructor.name === 'AsyncFunction';
+    return (...args) => {
+      try {
+        this.validateArgs(args, schemas, functionName);
+      } catch (error) {
+        if (isAsync) return Promise.reject(error);
+        throw error;
+      }
+      return func(...args);
+    };
+  },
+
+  Schema,
+
+  /**
+   * Debounce a function: run it once calls have stopped for `wait` ms.
    * @param {Function} func - Function to debounce
    * @param {number} wait - Wait time in milliseconds
-   * @returns {Function} Debounced function
+   * @param {Object} [options] - Timing options
+   * @param {boolean} [options.leading=false] - Run on the first call of a burst
+   * @param {boolean} [options.trailing=true] - Run after the burst, with the latest arguments
+   * @param {number} [options.maxWait] - Longest delay before a pending call is run anyway
+   * @param {AbortSignal} [options.signal] - Cancels pending calls and ignores later ones when aborted
+   * @returns {Function} Debounced function with cancel(), flush() and pending()
    */
-  debounce(func, wait) {
-    if (typeof func !== 'function') {
-      throw new TypeError('Expected a function');
-    }
-    if (typeof wait !== 'number' || wait < 0) {
-      throw new TypeError('Wait must be a positive number');
-    }
-    let timeout;
-    return function executedFunction(...args) {
-      const later = () => {
-        clearTimeout(timeout);
-        func.apply(this, args);
-      };
-      clearTimeout(timeout);
-      timeout = setTimeout(later, wait);
-    };
+  debounce(func, wait, {leading = false, trailing = true, maxWait, signal} = {}) {
+    checkTimingArgs(func, wait, maxWait);
+    return createDebounced(func, wait, {leading, trailing, maxWait, signal});
   },
 
   /**
-   * Throttle a function.
+   * Throttle a function: run it at most once per `wait` ms. By default the first call runs
+   * immediately and the latest call of each window runs at its end.
    * @param {Function} func - Function to throttle
-   * @param {number} limit - Time limit in milliseconds
-   * @returns {Function} Throttled function
+   * @param {number} wait - Time limit in milliseconds
+   * @param {Object} [options] - Timing options
+   * @param {boolean} [options.leading=true] - Run on the first call of a window
+   * @param {boolean} [options.trailing=true] - Run at the end of a window, with the latest arguments
+   * @param {AbortSignal} [options.signal] - Cancels pending calls and ignores later ones when aborted
+   * @returns {Function} Throttled function with cancel(), flush() and pending()
    */
-  throttle(func, limit) {
+  throttle(func, wait, {leading = true, trailing = true, signal} = {}) {
+    checkTimingArgs(func, wait);
+    return createDebounced(func, wait, {leading, trailing, maxWait: wait, signal});
+  },
+
+  /**
+   * Run a function at most once per animation frame, with the latest arguments. Use for
+   * visual updates driven by resize, scroll or pointer events.
+   * @param {Function} func - Function to schedule
+   * @param {Object} [options] - Scheduling options
+   * @param {AbortSignal} [options.signal] - Cancels the pending frame and ignores later calls when aborted
+   * @returns {Function} Scheduled function with cancel(), flush() and pending()
+   */
+  rafThrottle(func, {signal} = {}) {
     if (typeof func !== 'function') {
       throw new TypeError('Expected a function');
     }
-    if (typeof limit !== 'number' || limit < 0) {
-      throw new TypeError('Limit must be a positive number');
-    }
-    let inThrottle;
-    let lastFunc;
-    let lastRan;
-    return function executedFunction(...args) {
-      if (!inThrottle) {
-        func.apply(this, args);
-        lastRan = Date.now();
-        inThrottle = true;
-      } else {
-        clearTimeout(lastFunc);
-        lastFunc = setTimeout(() => {
-          if (Date.now() - lastRan >= limit) {
-            func.apply(this, args);
-            lastRan = Date.now();
-          }
-        }, Math.max(0, limit - (Date.now() - lastRan)));
+
+    let frameId = null;
+    let lastArgs;
+    let lastThis;
+
+    const run = () => {
+      frameId = null;
+      const args = lastArgs;
+      const thisArg = lastThis;
+      lastArgs = lastThis = undefined;
+      func.apply(thisArg, args);
+    };
+
+    function scheduled(...args) {
+      if (signal?.aborted) return;
+      lastArgs = args;
+      lastThis = this;
+      if (frameId === null) {
+        frameId = requestAnimationFrame(run);
+      }
+    }
+
+    scheduled.cancel = () => {
+      if (frameId !== null) {
+        cancelAnimationFrame(frameId);
+        frameId = null;
+      }
+      lastArgs = lastThis = undefined;
+    };
+
+    scheduled.flush = () => {
+      if (frameId !== null) {
+        cancelAnimationFrame(frameId);
+        run();
       }
     };
+
+    scheduled.pending = () => frameId !== null;
+
+    signal?.addEventListener('abort', scheduled.cancel, {once: true});
+    return scheduled;
   },
 
   /**
@@ -137,9 +931,45 @@ const DropBearUtils = {
     error.code = code;
     if (component) error.component = component;
     if (details) error.details = details;
+
+    errorListeners.forEach(listener => {
+      try {
+        listener(error);
+      } catch (listenerError) {
+        console.error('[DropBearUtils] Error listener failed:', listenerError);
+      }
+    });
     return error;
   },
 
+  /**
+   * Observe every error built by createError, e.g. for error reporting.
+   * @param {Function} callback - Called with each new error
+   * @returns {Function} Cleanup function
+   */
+  onErrorCreated(callback) {
+    if (typeof callback !== 'function') {
+      throw new TypeError('Callback must be a function');
+    }
+    errorListeners.add(callback);
+    return () => errorListeners.delete(callback);
+  },
+
+  invokeDotNet,
+
+  /**
+   * Observe every .NET call made through invokeDotNet, e.g. for breadcrumbs.
+   * @param {Function} callback - Called with {methodName, timestamp} before each call
+   * @returns {Function} Cleanup function
+   */
+  onInterop(callback) {
+    if (typeof callback !== 'function') {
+      throw new TypeError('Callback must be a function');
+    }
+    interopListeners.add(callback);
+    return () => interopListeners.delete(callback);
+  },
+
   /**
    * Create a DropBear event object.
    * @param {string} id - Event identifier
@@ -245,6 +1075,9 @@ const DropBearUtilities = {
   },
 };
 
+DropBearUtils.addLogSink(createConsoleSink());
+DropBearUtils.addLogSink(recentLogs);
+
 // Attach to window immediately (without ModuleManager registration)
 window.DropBearUtils = {
   __initialized: false,
@@ -291,9 +1124,16 @@ export const DropBearUtilsAPI = {
 
   // Utility functions from DropBearUtils:
   createLogger: (...args) => window.DropBearUtils.createLogger(...args),
+  configureLogging: config => window.DropBearUtils.configureLogging(config),
+  getLogLevel: namespace => window.DropBearUtils.getLogLevel(namespace),
+  addDotNetLogSink: (...args) => window.DropBearUtils.addDotNetLogSink(...args),
+  removeLogSink: id => window.DropBearUtils.removeLogSink(id),
+  getRecentLogs: () => window.DropBearUtils.getRecentLogs(),
   validateArgs: (...args) => window.DropBearUtils.validateArgs(...args),
+  withValidation: (...args) => window.DropBearUtils.withValidation(...args),
   debounce: (...args) => window.DropBearUtils.debounce(...args),
   throttle: (...args) => window.DropBearUtils.throttle(...args),
+  rafThrottle: (...args) => window.DropBearUtils.rafThrottle(...args),
   isElement: element => window.DropBearUtils.isElement(element),
   createError: (...args) => window.DropBearUtils.createError(...args),
   createEvent: (...args) => window.DropBearUtils.createEvent(...args),
@@ -307,4 +1147,4 @@ export const DropBearUtilsAPI = {
 };
 
 // Export modules
-export {DropBearUtils, DropBearUtilities};
+export {DropBearUtils, DropBearUtilities, Schema};
@@ -1,15 +1,16 @@
-/**
+﻿/**
  * @fileoverview Validation errors manager for dropbear context
  * @module validation-errors
  */
 
-import { CircuitBreaker, DOMOperationQueue, EventEmitter } from './DropBearCore.module.js';
-import { DropBearUtils } from './DropBearUtils.module.js';
+import { CircuitBreakerRegistry, DOMOperationQueue, EventEmitter } from './DropBearCore.module.js';
+import { DropBearUtils, Schema } from './DropBearUtils.module.js';
 
 const logger = DropBearUtils.createLogger('DropBearValidationErrors');
-const circuitBreaker = new CircuitBreaker({ failureThreshold: 3, resetTimeout: 30000 });
+const circuitBreaker = CircuitBreakerRegistry.get(CircuitBreakerRegistry.DOTNET);
 let isInitialized = false;
 const moduleName = 'DropBearValidationErrors';
+const moduleVersion = '1.0.0';
 
 /** @type {Object} Validation configuration constants */
 const VALIDATION_CONFIG = {
@@ -279,28 +280,25 @@ class ValidationErrorsManager {
       // Limit number of errors to prevent performance issues
       const limitedErrors = errors.slice(0, VALIDATION_CONFIG.MAX_ERRORS);
 
-      await new Promise(resolve =>
-        DOMOperationQueue.add(() => {
-          // Clear existing errors
-          this.list.innerHTML = '';
-
-          // Add new errors
-          limitedErrors.forEach(error => {
-            const item = document.createElement('li');
-            item.className = 'validation-errors__item';
-            item.textContent = error;
-            item.setAttribute('tabindex', '0');
-            this.list.appendChild(item);
-            this.items.set(item, true);
-          });
-
-          // Update summary if it exists
-          if (this.summary) {
-            this.summary.textContent = `${limitedErrors.length} validation error${limitedErrors.length === 1 ? '' : 's'}`;
-          }
+      await DOMOperationQueue.add(() => {
+        // Clear existing errors
+        this.list.innerHTML = '';
+
+        // Add new errors
+        limitedErrors.forEach(error => {
+          const item = document.createElement('li');
+          item.className = 'validation-errors__item';
+          item.textContent = error;
+          item.setAttribute('tabindex', '0');
+          this.list.appendChild(item);
+          this.items.set(item, true);
+        });
 
-          resolve();
-        }));
+        // Update summary if it exists
+        if (this.summary) {
+          this.summary.textContent = `${limitedErrors.length} validation error${limitedErrors.length === 1 ? '' : 's'}`;
+        }
+      });
 
       EventEmitter.emit(
         this.element,
@@ -326,14 +324,12 @@ class ValidationErrorsManager {
     if (this.isDisposed || !this.list) return;
 
     try {
-      await new Promise(resolve =>
-        DOMOperationQueue.add(() => {
-          this.list.innerHTML = '';
-          if (this.summary) {
-            this.summary.textContent = '0 validation errors';
-          }
-          resolve();
-        }));
+      await DOMOperationQueue.add(() => {
+        this.list.innerHTML = '';
+        if (this.summary) {
+          this.summary.textContent = '0 validation errors';
+        }
+      });
 
       EventEmitter.emit(
         this.element,
@@ -507,7 +503,8 @@ window.DropBearModuleManager.register(
     isInitialized: () => window[moduleName].isInitialized(),
     dispose: () => window[moduleName].disposeAll()
   },
-  ['DropBearUtils', 'DropBearCore']
+  ['DropBearUtils', 'DropBearCore'],
+  { version: moduleVersion }
 );
 
 // Export the API functions under a unique namespace for the validation errors module.
@@ -523,8 +520,14 @@ export const DropBearValidationErrorsAPI = {
    * @param {string} containerId - The ID of the container element.
    * @param {Object} [options={}] - Additional configuration options.
    */
-  createValidationContainer: (containerId, options = {}) =>
-    window[moduleName].createValidationContainer(containerId, options),
+  createValidationContainer: DropBearUtils.withValidation('createValidationContainer', {
+    containerId: Schema.id(),
+    options: Schema.object({
+      autoHide: Schema.boolean().optional(),
+      autoHideDelay: Schema.number({ min: 0 }).optional(),
+      animationDuration: Schema.number({ min: 0 }).optional()
+    }).nullable().optional()
+  }, (containerId, options = {}) => window[moduleName].createValidationContainer(containerId, options)),
 
   /**
    * Updates the error messages in a validation container.
@@ -532,8 +535,10 @@ export const DropBearValidationErrorsAPI = {
    * @param {string[]} errors - An array of error messages.
    * @returns {Promise<void>}
    */
-  updateErrors: async (containerId, errors) =>
-    window[moduleName].updateErrors(containerId, errors),
+  updateErrors: DropBearUtils.withValidation('updateErrors', {
+    containerId: Schema.id(),
+    errors: Schema.arrayOf(Schema.string())
+  }, async (containerId, errors) => window[moduleName].updateErrors(containerId, errors)),
 
   /**
    * Updates the ARIA attributes of a validation container.
@@ -541,8 +546,10 @@ export const DropBearValidationErrorsAPI = {
    * @param {boolean} isCollapsed - Whether the container is collapsed.
    * @returns {Promise<void>}
    */
-  updateAriaAttributes: async (containerId, isCollapsed) =>
-    window[moduleName].updateAriaAttributes(containerId, isCollapsed),
+  updateAriaAttributes: DropBearUtils.withValidation('updateAriaAttributes', {
+    containerId: Schema.id(),
+    isCollapsed: Schema.boolean()
+  }, async (containerId, isCollapsed) => window[moduleName].updateAriaAttributes(containerId, isCollapsed)),
 
   /**
    * Shows the validation errors for a given container.
@@ -2,12 +2,46 @@
 export {};  // Makes this file a module
 
 // Common Types
-export type EventCallback = (data: any) => void;
+export type EventCallback = (data: any, eventName: string) => void | Promise<any>;
 export type EventUnsubscribe = () => void;
+export type EventSettledResult = { status: 'fulfilled'; value: any } | { status: 'rejected'; reason: any };
 export type DotNetStreamReference = {
   arrayBuffer: () => Promise<ArrayBuffer>;
+  stream: () => Promise<ReadableStream<Uint8Array>>;
 };
 
+export interface IDownloadOptions {
+  size?: number;
+  stream?: boolean;
+  downloadId?: string;
+  saveAs?: boolean;
+  types?: Array<{ description?: string; accept: Record<string, string[]> }>;
+  startIn?: string;
+  pickerId?: string;
+}
+
+export interface IDirectoryEntry {
+  name: string;
+  content: DownloadContent;
+  contentType?: string;
+  size?: number;
+}
+
+export interface IZipEntry {
+  name: string;
+  content: DownloadContent;
+  size?: number;
+  lastModified?: number | Date;
+  compress?: boolean;
+}
+
+export interface IDownloadProgress {
+  fileName: string;
+  bytesReceived: number;
+  totalBytes: number | null;
+  percent: number | null;
+}
+
 export type DownloadContent = Blob | ArrayBuffer | Uint8Array | DotNetStreamReference;
 
 // Common Interfaces
@@ -46,26 +80,134 @@ export interface IDropBearEvent {
 export type DropBearEventHandler = (event: IDropBearEvent) => void;
 
 // Core Interfaces
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error' | 'none';
+
+export interface ILogRecord {
+  timestamp: number;
+  namespace: string;
+  level: Exclude<LogLevel, 'none'>;
+  message: string;
+  data: any[];
+  correlationId: string | null;
+}
+
+export interface ILogSink {
+  write(record: ILogRecord): void;
+  flush?(): void | Promise<void>;
+  dispose?(): void;
+}
+
 export interface ILogger {
   debug(message: string, ...args: any[]): void;
   info(message: string, ...args: any[]): void;
   warn(message: string, ...args: any[]): void;
   error(message: string, ...args: any[]): void;
+  isEnabled(level: LogLevel): boolean;
+  withCorrelation(correlationId: string): ILogger;
 }
 
+export interface IDotNetLogSinkOptions {
+  methodName?: string;
+  batchSize?: number;
+  flushInterval?: number;
+}
+
+// Argument validation
+export interface IValidationFailure {
+  path: string;
+  expected: string;
+  received: string;
+}
+
+export interface ISchema {
+  expected: string;
+  isOptional: boolean;
+  isNullable: boolean;
+  optional(): ISchema;
+  nullable(): ISchema;
+  validate(value: any, path: string): IValidationFailure | null;
+}
+
+export interface ISchemaFactory {
+  any(): ISchema;
+  string(options?: { minLength?: number; maxLength?: number; pattern?: RegExp }): ISchema;
+  id(): ISchema;
+  number(options?: { min?: number; max?: number; integer?: boolean }): ISchema;
+  integer(options?: { min?: number; max?: number }): ISchema;
+  boolean(): ISchema;
+  func(): ISchema;
+  oneOf(values: any[]): ISchema;
+  union(schemas: ISchema[]): ISchema;
+  arrayOf(item: ISchema, options?: { minLength?: number; maxLength?: number }): ISchema;
+  object(shape?: Record<string, ISchema>, options?: { exact?: boolean }): ISchema;
+  instanceOf(type: Function | string): ISchema;
+  file(): ISchema;
+  element(): ISchema;
+  dotNetRef(): ISchema;
+}
+
+// Rate-limited functions
+export interface ITimingOptions {
+  leading?: boolean;
+  trailing?: boolean;
+  signal?: AbortSignal;
+}
+
+export type ScheduledFunction<T extends (...args: any[]) => any> = ((...args: Parameters<T>) => ReturnType<T> | undefined) & {
+  cancel(): void;
+  flush(): ReturnType<T> | undefined;
+  pending(): boolean;
+};
+
+export type ArgSchemas = Array<ISchema | string> | Record<string, ISchema | string>;
+
 export interface IDisposable {
   dispose(): void;
 }
 
 export interface IEventEmitter {
   on(target: object, event: string, callback: EventCallback): EventUnsubscribe;
-  off(target: object, event: string, callback: EventCallback): void;
+  once(target: object, event: string, callback: EventCallback): EventUnsubscribe;
+  once(target: object, event: string): Promise<any>;
+  off(target: object, event: string, callback?: EventCallback): void;
   emit(target: object, event: string, data?: any): void;
+  emitAsync(target: object, event: string, data?: any): Promise<EventSettledResult[]>;
+  forwardToDotNet(
+    target: object,
+    patterns: string | string[],
+    dotNetRef: any,
+    methodName?: string
+  ): EventUnsubscribe;
+  monitor(callback: (target: object, event: string, data: any) => void): EventUnsubscribe;
+}
+
+export type DOMOperationPhase = 'measure' | 'mutate';
+export type DOMOperationPriority = 'high' | 'normal' | 'low';
+
+export interface IDOMOperationStats {
+  frames: number;
+  operations: number;
+  errors: number;
+  spilledFrames: number;
+  totalTime: number;
+  maxFrameTime: number;
+  lastFrameTime: number;
+  averageFrameTime: number;
+  pending: number;
 }
 
 export interface IDOMOperationQueue {
-  add(operation: () => void): void;
+  frameBudget: number;
+  add<T>(
+    operation: () => T,
+    options?: { phase?: DOMOperationPhase; priority?: DOMOperationPriority }
+  ): Promise<T>;
+  measure<T>(operation: () => T, options?: { priority?: DOMOperationPriority }): Promise<T>;
+  mutate<T>(operation: () => T, options?: { priority?: DOMOperationPriority }): Promise<T>;
   flush(): void;
+  getPendingCount(): number;
+  getStats(): IDOMOperationStats;
+  resetStats(): void;
 }
 
 export interface IResourcePool extends IInitializable {
@@ -82,26 +224,156 @@ export interface IResourcePool extends IInitializable {
   dispose(): void;
 }
 
+export interface IModuleDependencyGraph {
+  modules: Array<{
+    name: string;
+    version: string | null;
+    dependencies: string[];
+    dependents: string[];
+    level: number | null;
+    state: 'lazy' | 'registered' | 'initializing' | 'initialized';
+  }>;
+  order: string[];
+  cycles: string[][];
+  missing: Array<{ module: string; dependency: string; path: string[] }>;
+}
+
+export interface ILazyModuleDescriptor {
+  url: string;
+  exportName?: string;
+  preload?: boolean;
+}
+
+export interface IModuleLoadTimings {
+  modules: Array<{
+    name: string;
+    lazy: boolean;
+    url: string | null;
+    loaded: boolean;
+    loadTime: number | null;
+    initTime: number | null;
+  }>;
+  deferred: string[];
+  totalLoadTime: number;
+  totalInitTime: number;
+}
+
+export type ModuleLifecycleEvent = 'registering' | 'initializing' | 'initialized' | 'failed' | 'disposed';
+
+export interface IModuleHealthReport {
+  timestamp: number;
+  modules: Array<{
+    name: string;
+    version: string | null;
+    state: 'lazy' | 'registered' | 'initializing' | 'initialized' | 'failed';
+    initTime: number | null;
+    loadTime: number | null;
+    lastError: { message: string; code: string | null; timestamp: number } | null;
+    dependencies: string[];
+    dependents: string[];
+  }>;
+  summary: { total: number; initialized: number; initializing: number; failed: number; pending: number };
+}
+
 export interface IModuleManager {
-  register<T>(name: string, module: T, dependencies?: string[]): void;
+  register<T>(
+    name: string,
+    module: T,
+    dependencies?: string[],
+    options?: { version?: string; force?: boolean }
+  ): Promise<void> | undefined;
+  registerLazy(name: string, descriptor: ILazyModuleDescriptor, dependencies?: string[]): void;
+  preload(moduleName: string): string[];
+  getLoadTimings(): IModuleLoadTimings;
   initialize(moduleName: string): Promise<void>;
+  initializeAll(options?: { includeLazy?: boolean }): Promise<string[]>;
+  getDependencyGraph(): IModuleDependencyGraph;
+  getHealthReport(): IModuleHealthReport;
+  setDotNetReference(dotNetRef: any | null): void;
+  on(event: ModuleLifecycleEvent, callback: (event: { id: string; type: string; data: any }) => void): () => void;
   waitForDependencies(dependencies: string[]): Promise<void>;
-  get<T>(moduleName: string): T;
+  get<T>(moduleName: string): T | Promise<T>;
   isInitialized(moduleName: string): boolean;
   isInitializing(moduleName: string): boolean;
   dispose(moduleName: string): boolean;
   clear(): void;
 }
 
+export type CircuitBreakerState = 'open' | 'closed' | 'half-open';
+
 export interface ICircuitBreakerOptions {
+  name?: string;
   failureThreshold?: number;
   resetTimeout?: number;
+  halfOpenMaxCalls?: number;
+  fallback?: (error: Error) => any;
+  shouldRecord?: (error: Error) => boolean;
 }
 
 export interface ICircuitBreaker {
-  readonly state: 'open' | 'closed' | 'half-open';
-  execute<T>(operation: () => Promise<T>): Promise<T>;
+  readonly name: string;
+  readonly state: CircuitBreakerState;
+  execute<T>(operation: () => Promise<T>, fallback?: (error: Error) => T | Promise<T>): Promise<T>;
+  recordFailure(): void;
   reset(): void;
+  getState(): CircuitBreakerState;
+}
+
+export interface ICircuitBreakerStatus {
+  key: string;
+  state: CircuitBreakerState;
+  failures: number;
+  lastFailureTime: number | null;
+}
+
+export interface ICircuitBreakerRegistry {
+  readonly DOTNET: string;
+  get(key: string, options?: ICircuitBreakerOptions): ICircuitBreaker;
+  has(key: string): boolean;
+  on(event: 'state-changed' | 'recovered' | string, callback: EventCallback): EventUnsubscribe;
+  getStatus(): ICircuitBreakerStatus[];
+  getOpen(): ICircuitBreakerStatus[];
+  addDotNetReference(dotNetRef: any): void;
+  removeDotNetReference(dotNetRef: any): void;
+  handleReconnected(): Promise<ICircuitBreakerStatus[]>;
+}
+
+export interface IConnectionManager {
+  readonly state: 'connected' | 'disconnected';
+  watch(): boolean;
+  unwatch(): void;
+  isConnected(): boolean;
+  on(event: 'disconnected' | 'reconnected' | 'invoked' | string, callback: EventCallback): EventUnsubscribe;
+  invoke<T = any>(
+    dotNetRef: any,
+    methodName: string,
+    args?: any[],
+    options?: { key?: string; maxAge?: number }
+  ): Promise<T | undefined>;
+  handleConnectionDown(): void;
+  handleConnectionUp(): Promise<void>;
+  getPendingCount(): number;
+}
+
+export interface IRetryPolicyOptions {
+  maxAttempts?: number;
+  baseDelay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: number;
+  maxElapsedTime?: number;
+  retryOn?: ((error: any, attempt: number) => boolean) | Array<string | (new (...args: any[]) => Error)>;
+  onRetry?: (error: any, attempt: number, delay: number) => void;
+  circuitBreaker?: ICircuitBreaker;
+}
+
+export interface IRetryPolicy {
+  readonly options: Required<IRetryPolicyOptions>;
+  execute<T>(
+    operation: (attempt: number, signal?: AbortSignal) => T | Promise<T>,
+    options?: Omit<IRetryPolicyOptions, 'circuitBreaker'> & { signal?: AbortSignal }
+  ): Promise<T>;
+  getDelay(attempt: number, settings?: IRetryPolicyOptions): number;
 }
 
 // Manager Interfaces
@@ -167,8 +439,22 @@ export interface IDownloadManager extends IInitializable {
   downloadFileFromStream(
     fileName: string,
     content: DownloadContent,
-    contentType: string
+    contentType: string,
+    options?: IDownloadOptions
   ): Promise<void>;
+  downloadAsZip(
+    archiveName: string,
+    entries: IZipEntry[],
+    options?: Pick<IDownloadOptions, 'downloadId' | 'saveAs' | 'startIn' | 'pickerId'>
+  ): Promise<boolean>;
+  downloadToDirectory(
+    files: IDirectoryEntry[],
+    options?: Pick<IDownloadOptions, 'downloadId' | 'startIn' | 'pickerId'>
+  ): Promise<boolean>;
+  setDotNetReference(dotNetRef: any): void;
+  forwardEvents(patterns: string | string[], dotNetRef?: any): void;
+  cancelDownload(downloadId: string): boolean;
+  getDownloadProgress(downloadId: string): IDownloadProgress | null;
   getActiveDownloadCount(): number;
   dispose(): void;
 }
@@ -184,11 +470,36 @@ export interface IPageAlertManager extends IInitializable {
   disposeAll(): void;
 }
 
+export interface IErrorReporterManager extends IInitializable {
+  reporter: any;
+  setDotNetReference(dotNetRef: any): void;
+  capture(error: any, options?: { source?: string; details?: any }): boolean;
+  addBreadcrumb(category: string, message: string): void;
+  flush(): Promise<void>;
+  getStats(): { queued: number; dropped: number; breadcrumbs: number } | null;
+  dispose(): void;
+}
+
 export interface IDropBearUtils extends IInitializable {
-  createLogger(namespace: string): ILogger;
-  debounce<T extends Function>(func: T, wait: number): T;
-  throttle<T extends Function>(func: T, limit: number): T;
-  validateArgs(args: any[], types: string[], functionName: string): void;
+  createLogger(namespace: string, options?: { correlationId?: string | null }): ILogger;
+  configureLogging(config: { level?: LogLevel; namespaces?: Record<string, LogLevel | null> }): void;
+  getLogLevel(namespace: string): LogLevel;
+  addLogSink(sink: ILogSink, options?: { level?: LogLevel }): string;
+  removeLogSink(id: string): boolean;
+  addDotNetLogSink(dotNetRef: any, options?: IDotNetLogSinkOptions & { level?: LogLevel }): string;
+  getRecentLogs(): ILogRecord[];
+  onErrorCreated(callback: (error: IDropBearError) => void): () => void;
+  invokeDotNet<T = any>(dotNetRef: any, methodName: string, ...args: any[]): Promise<T>;
+  onInterop(callback: (call: { methodName: string; timestamp: number }) => void): () => void;
+  createConsoleSink(): ILogSink;
+  createRingBufferSink(capacity?: number): ILogSink & { getRecords(): ILogRecord[]; clear(): void };
+  createDotNetLogSink(dotNetRef: any, options?: IDotNetLogSinkOptions): ILogSink;
+  debounce<T extends (...args: any[]) => any>(func: T, wait: number, options?: ITimingOptions & { maxWait?: number }): ScheduledFunction<T>;
+  throttle<T extends (...args: any[]) => any>(func: T, wait: number, options?: ITimingOptions): ScheduledFunction<T>;
+  rafThrottle<T extends (...args: any[]) => any>(func: T, options?: { signal?: AbortSignal }): ScheduledFunction<T>;
+  validateArgs(args: any[], schemas: ArgSchemas, functionName: string): void;
+  withValidation<T extends Function>(functionName: string, schemas: ArgSchemas, func: T): T;
+  Schema: ISchemaFactory;
   isElement(element: any): element is Element | HTMLDocument;
 }
 
@@ -201,6 +512,12 @@ declare global {
       DOMOperationQueue: IDOMOperationQueue;
       EventEmitter: IEventEmitter;
       CircuitBreaker: new (options?: ICircuitBreakerOptions) => ICircuitBreaker;
+      CircuitBreakerRegistry: ICircuitBreakerRegistry;
+      ConnectionManager: IConnectionManager;
+      RetryPolicy: {
+        new (options?: IRetryPolicyOptions): IRetryPolicy;
+        isTransient(error: any): boolean;
+      };
     };
     DropBearSnackbar: ISnackbarManager;
     DropBearResizeManager: IResizeManager;
@@ -215,6 +532,7 @@ declare global {
       getDroppedFiles(dataTransfer: DataTransfer): File[];
     };
     DropBearResourcePool: IResourcePool;
+    DropBearErrorReporter: IErrorReporterManager;
     Blazor: any;
   }
 }